@@ -1,5 +1,25 @@
 // Diffie–Hellman simulator (minimal, vanilla JS)
-// Educational only. Uses BigInt and a small Miller-Rabin for primality checks (64-bit safe).
+// Educational only. UI and stepper; the BigInt math lives in the ES modules under lib/.
+
+import {
+  modPow, modPowTrace, primalityVerdict, bitLength, randomBigIntBelow, randomBigIntInRange,
+  groupOrderFactors, generatorInfo, powerCycle, smallOrderElement, millerRabinWithBases,
+  MR_FIXED_BASES, MR_DETERMINISTIC_LIMIT, STRONG_PSEUDOPRIMES,
+} from './lib/dh-math.js';
+import { runJob } from './lib/jobs.js';
+import { STANDARD_GROUPS } from './lib/groups.js';
+import { ecMul, CURVES } from './lib/ec.js';
+import { dlogBruteForce } from './lib/dlog.js';
+import { validateDh, validateEcdh, publicValueChecks, describeVerdict, parseBigIntDec } from './lib/validate.js';
+import { describeCertificate } from './lib/certificate.js';
+import { BENCH_SIZES, BENCH_OPS, benchmarkAsync } from './lib/bench.js';
+import { NUMBER_FORMATS, formatBigInt, parseBigIntAs } from './lib/format.js';
+import {
+  TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION, encodeValue, htmlToText, compareTranscripts,
+  transcriptToMarkdown, transcriptToLatex, transcriptToState, compareRuns,
+} from './lib/transcript.js';
+import { QUIZ_LEVELS, QUIZ_HINTS, QUIZ_MAX_POINTS, quizParams, gradeAnswer, quizPoints } from './lib/quiz.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, t, setLanguage, getLanguage, numberLocale, pickLanguage } from './lib/i18n.js';
 
 (() => {
   'use strict';
@@ -10,218 +30,372 @@
   const gInput = el('g');
   const aInput = el('a');
   const bInput = el('b');
+  const maInput = el('ma');
+  const mbInput = el('mb');
   const btnValidate = el('btnValidate');
   const btnRandom = el('btnRandom');
   const btnRandomAll = el('btnRandomAll');
+  const btnRandomSmooth = el('btnRandomSmooth');
+  const bitSizeSel = el('bitSize');
+  const presetSel = el('preset');
+  const protocolSel = el('protocol');
+  const curveSel = el('curve');
+  const numFormatSel = el('numFormat');
+  const curveInfo = el('curveInfo');
+  const curvePlot = el('curvePlot');
+  const pInfo = el('pInfo');
+  const safePrimeChk = el('safePrime');
+  const certifyChk = el('certify');
+  const mrRoundsSel = el('mrRounds');
+  const chkBpsw = el('chkBpsw');
   const btnStep = el('btnStep');
   const btnPrev = el('btnPrev');
   const btnAuto = el('btnAuto');
   const btnReset = el('btnReset');
   const btnVerbose = el('btnVerbose');
+  const btnMitm = el('btnMitm');
+  const btnConfine = el('btnConfine');
+  const btnShare = el('btnShare');
+  const exportFormatSel = el('exportFormat');
+  const btnExport = el('btnExport');
+  const btnImport = el('btnImport');
+  const importFile = el('importFile');
   const msgBox = el('messages');
+  const workBox = el('work');
+  const workText = el('workText');
+  const btnCancelWork = el('btnCancelWork');
   const ABox = el('A');
   const BBox = el('B');
   const S1Box = el('S1');
   const S2Box = el('S2');
+  const MABox = el('MA');
+  const MBBox = el('MB');
+  const SMABox = el('SMA');
+  const SMBBox = el('SMB');
+  const mitmParams = el('mitmParams');
+  const mitmResults = el('mitmResults');
+  const confineParams = el('confineParams');
+  const evilBSel = el('evilB');
+  const chkRange = el('chkRange');
+  const chkSubgroup = el('chkSubgroup');
+  const partiesSel = el('parties');
+  const groupParams = el('groupParams');
+  const pairResults = el('pairResults');
+  const groupResults = el('groupResults');
   const stepsBox = el('steps');
   const stepIndicator = el('stepIndicator');
+  const seqSvg = el('seqDiagram');
+  const seqEveChk = el('seqEve');
+  const seqNote = el('seqNote');
+  const historyCount = el('historyCount');
+  const historyList = el('historyList');
+  const btnCompare = el('btnCompare');
+  const btnHistoryClear = el('btnHistoryClear');
+  const compareOut = el('compareOut');
+  const benchPill = el('benchPill');
+  const benchMax = el('benchMax');
+  const benchIter = el('benchIter');
+  const benchOps = el('benchOps');
+  const benchSlowPrime = el('benchSlowPrime');
+  const benchWebCrypto = el('benchWebCrypto');
+  const btnBench = el('btnBench');
+  const btnBenchStop = el('btnBenchStop');
+  const benchStatus = el('benchStatus');
+  const benchChart = el('benchChart');
+  const benchOut = el('benchOut');
+  const chatAliceInput = el('chatAlice');
+  const chatBobInput = el('chatBob');
+  const btnSendAlice = el('btnSendAlice');
+  const btnSendBob = el('btnSendBob');
+  const chatMismatch = el('chatMismatch');
+  const chatStatus = el('chatStatus');
+  const chatLog = el('chatLog');
+  const eveTarget = el('eveTarget');
+  const eveMethod = el('eveMethod');
+  const btnEve = el('btnEve');
+  const btnEveAll = el('btnEveAll');
+  const eveSees = el('eveSees');
+  const eveOut = el('eveOut');
+  const genOrder = el('genOrder');
+  const genOut = el('genOut');
+  const mrVerdictPill = el('mrVerdict');
+  const mrBasesSel = el('mrBases');
+  const mrPseudoSel = el('mrPseudo');
+  const mrOut = el('mrOut');
+  const quizLevelSel = el('quizLevel');
+  const btnQuiz = el('btnQuiz');
+  const btnQuizNew = el('btnQuizNew');
+  const quizScoreBox = el('quizScore');
+  const langSel = el('lang');
 
   // State
-  const TOTAL_STEPS = 9;
-  let stepIdx = 0; // 0..9 (0 = sebelum mulai)
+  let stepIdx = 0; // 0..totalSteps() (0 = sebelum mulai)
   let timer = null; // autoplay
   let verbose = false; // mode penjelasan rinci
+  let mitm = false; // Mallory sits between Alice and Bob at the exchange step
+  let confine = false; // malicious Bob sends a B of small order instead of g^b
+  let evilOrder = 2n; // order r of that B: 1, 2 or an odd prime dividing p-1 (see smallOrders)
+  let quiz = false; // practice mode: A, B and S stay hidden until the student answers them
+  let quizLevel = QUIZ_LEVELS[0].id;
+  let quizAnswers = {}; // value name -> { label, hints, draft, note, points, done } for the current run
+  const quizScore = { points: 0, max: 0, right: 0, asked: 0 }; // whole session, until the page reloads
 
   let p = 23n, g = 5n, a = 6n, b = 15n;
-  let A = null, B = null, sAlice = null, sBob = null;
+  // Mallory: ma/mb are her secrets towards Alice/Bob
+  let ma = 9n, mb = 13n;
+  // Values computed by the current flow, keyed like the result boxes: A, B, S1 (Alice),
+  // S2 (Bob), MA/MB (Mallory's forged public values), SMA/SMB (her keys), and R0.. / K for
+  // group DH; checkA/checkB hold the receivers' verdicts and leak what the small-subgroup
+  // attack recovered. Only the step definitions write here; see FLOWS.
+  let vals = {};
+  let computedUpTo = 0; // number of steps whose compute() has run
 
-  // Utils: parsing BigInt decimal
-  function parseBigIntDec(str) {
-    const s = String(str || '').trim();
-    if (!/^[0-9]+$/.test(s)) return { ok: false, error: 'Masukkan hanya angka desimal.' };
-    try {
-      const v = BigInt(s);
-      return { ok: true, value: v };
-    } catch (e) {
-      return { ok: false, error: 'Angka terlalu besar/tidak valid.' };
-    }
-  }
-
-  // BigInt mod pow: fast exponentiation
-  function modPow(base, exp, mod) {
-    if (mod === 1n) return 0n;
-    let result = 1n;
-    let b = ((base % mod) + mod) % mod;
-    let e = exp;
-    while (e > 0n) {
-      if (e & 1n) result = (result * b) % mod;
-      e >>= 1n;
-      b = (b * b) % mod;
-    }
-    return result;
-  }
-
-  // Miller–Rabin primality (deterministic for 64-bit using known bases)
-  function isProbablePrime(n) {
-    if (n < 2n) return false;
-    const smallPrimes = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n];
-    for (const p of smallPrimes) {
-      if (n === p) return true;
-      if (n % p === 0n) return n === p;
-    }
-    // write n-1 = d * 2^s
-    let d = n - 1n;
-    let s = 0n;
-    while ((d & 1n) === 0n) { d >>= 1n; s++; }
-
-    function check(a) {
-      if (a % n === 0n) return true;
-      let x = modPow(a, d, n);
-      if (x === 1n || x === n - 1n) return true;
-      for (let r = 1n; r < s; r++) {
-        x = (x * x) % n;
-        if (x === n - 1n) return true;
-      }
-      return false;
-    }
+  // Group DH: 2 runs the classic Alice/Bob flow, 3..8 the ring-based group variant.
+  // Participants 1 and 2 reuse a and b; the others keep their secrets in extraSecrets.
+  const PARTY_NAMES = ['Alice', 'Bob', 'Carol', 'Dave', 'Erin', 'Frank', 'Grace', 'Heidi'];
+  let partyCount = 2;
+  let extraSecrets = [];
 
-    // Deterministic bases for 64-bit integers
-    const bases = [2n, 3n, 5n, 7n, 11n, 13n, 17n];
-    for (const a of bases) {
-      if (!check(a)) return false;
-    }
-    return true; // probably prime (deterministic for 64-bit)
-  }
+  function isGroup() { return partyCount > 2; }
+  function partySecret(i) { return i === 0 ? a : i === 1 ? b : extraSecrets[i - 2]; }
 
-  // crypto-safe random BigInt in [0, maxExclusive)
-  function randomBigIntBelow(maxExclusive) {
-    if (maxExclusive <= 0n) return 0n;
-    const bitLen = maxExclusive.toString(2).length;
-    const byteLen = Math.ceil(bitLen / 8);
-    const bytes = new Uint8Array(byteLen);
-    const mask = (1n << BigInt(bitLen)) - 1n;
-    while (true) {
-      crypto.getRandomValues(bytes);
-      let val = 0n;
-      for (let i = 0; i < byteLen; i++) val = (val << 8n) + BigInt(bytes[i]);
-      val = val & mask;
-      if (val < maxExclusive) return val;
-    }
-  }
+  // Session keys derived from S with HKDF-SHA256, filled in asynchronously by the 'kdf' step.
+  // Each is { hex, key } with key an AES-GCM CryptoKey. kBobWrong backs the "mismatch" toggle.
+  let kAlice = null, kBob = null, kMalA = null, kMalB = null, kBobWrong = null;
+  let kdfRun = 0; // bumps on reset so a late derivation does not resurrect old keys
 
-  // Random BigInt in [min .. max]
-  function randomBigIntInRange(min, max) {
-    if (max < min) [min, max] = [max, min];
-    const span = (max - min) + 1n;
-    const off = randomBigIntBelow(span);
-    return min + off;
-  }
+  // Protocol mode: classic DH in Z_p^* or ECDH on `curve`. Public values and keys are BigInts
+  // in DH and curve points in ECDH; pub/shared/fmtVal/sameVal hide the difference.
+  let protocol = 'dh';
+  let curve = null; // set from CURVES once the math section is initialised
 
-  // Generate a random prime in [minP .. maxP] (BigInt). Uses Miller-Rabin.
-  function randomPrimeInRange(minP, maxP) {
-    if (maxP < 5n) maxP = 5n;
-    if (minP < 5n) minP = 5n;
-    if ((minP & 1n) === 0n) minP += 1n; // make odd
-    if ((maxP & 1n) === 0n) maxP -= 1n; // make odd
-    if (minP > maxP) [minP, maxP] = [maxP, minP];
+  function pub(k) { return protocol === 'ecdh' ? ecMul(k, curve.G, curve) : modPow(g, k, p); }
+  function shared(X, k) { return protocol === 'ecdh' ? ecMul(k, X, curve) : modPow(X, k, p); }
 
-    let candidate = randomBigIntInRange(minP, maxP);
-    if ((candidate & 1n) === 0n) candidate += 1n;
+  // Number format for inputs, boxes, calculations and copy buttons: 'dec' | 'hex' | 'b64' | 'bin'
+  let numFormat = 'dec';
+  function fmtNum(v) { return formatBigInt(v, numFormat); }
+  function parseNum(str) { return parseBigIntAs(str, numFormat); }
 
-    // Try random starting point, then scan upward by 2, then wrap.
-    const limit = Number((maxP - minP) / 2n) + 2; // number of odd numbers in range
-    let tries = 0;
-    while (tries < limit) {
-      if (isProbablePrime(candidate)) return candidate;
-      candidate += 2n;
-      if (candidate > maxP) candidate = minP;
-      tries++;
-    }
-    // Fallback deterministic scan
-    for (let n = minP; n <= maxP; n += 2n) {
-      if (isProbablePrime(n)) return n;
-    }
-    // As a last resort, return a known small prime
-    return 101n;
+  function fmtVal(v) {
+    if (v === null) return 'O';
+    return typeof v === 'bigint' ? fmtNum(v) : `(${fmtNum(v.x)}, ${fmtNum(v.y)})`;
   }
 
-  // Distinct prime factors of n (BigInt), naive trial division. Suitable for small n.
-  function primeFactorsDistinct(n) {
-    const out = [];
-    let x = n;
-    while (x % 2n === 0n) { if (!out.includes(2n)) out.push(2n); x /= 2n; }
-    let f = 3n;
-    while (f * f <= x) {
-      if (x % f === 0n) { if (!out.includes(f)) out.push(f); x /= f; }
-      else f += 2n;
-    }
-    if (x > 1n) { if (!out.includes(x)) out.push(x); }
-    return out;
+  function sameVal(x, y) {
+    if (typeof x === 'bigint' || typeof y === 'bigint') return x === y;
+    if (x === null || y === null) return x === y;
+    return x.x === y.x && x.y === y.y;
   }
 
-  // Try to find a generator of Z_p^* using factorization of p-1
-  function findGenerator(p) {
-    const phi = p - 1n;
-    const factors = primeFactorsDistinct(phi);
-    for (let attempt = 0; attempt < 64; attempt++) {
-      const gCand = randomBigIntInRange(2n, p - 2n);
-      let ok = true;
-      for (const q of factors) {
-        if (modPow(gCand, phi / q, p) === 1n) { ok = false; break; }
-      }
-      if (ok) return gCand;
-    }
-    // Fallback linear search
-    for (let gCand = 2n; gCand <= p - 2n; gCand++) {
-      let ok = true;
-      for (const q of factors) {
-        if (modPow(gCand, phi / q, p) === 1n) { ok = false; break; }
-      }
-      if (ok) return gCand;
-    }
-    return 2n; // last resort
+  // Valid secret range: 2..p-2 for DH, 1..n-1 for ECDH
+  function secretRange() {
+    return protocol === 'ecdh' ? { min: 1n, max: curve.n - 1n } : { min: 2n, max: p - 2n };
   }
 
   // Input helpers
   function readInputs() {
-    const pV = parseBigIntDec(pInput.value);
+    // ECDH keeps p and g untouched; their inputs are hidden
+    const ec = protocol === 'ecdh';
+    const pV = ec ? { ok: true, value: p } : parseNum(pInput.value);
     if (!pV.ok) return { ok: false, error: `p: ${pV.error}` };
-    const gV = parseBigIntDec(gInput.value);
+    const gV = ec ? { ok: true, value: g } : parseNum(gInput.value);
     if (!gV.ok) return { ok: false, error: `g: ${gV.error}` };
-    const aV = parseBigIntDec(aInput.value);
+    const aV = parseNum(aInput.value);
     if (!aV.ok) return { ok: false, error: `a: ${aV.error}` };
-    const bV = parseBigIntDec(bInput.value);
+    const bV = parseNum(bInput.value);
     if (!bV.ok) return { ok: false, error: `b: ${bV.error}` };
-    return { ok: true, p: pV.value, g: gV.value, a: aV.value, b: bV.value };
+    const R = { ok: true, p: pV.value, g: gV.value, a: aV.value, b: bV.value, ma, mb };
+    if (mitm) {
+      const maV = parseNum(maInput.value);
+      if (!maV.ok) return { ok: false, error: `ma: ${maV.error}` };
+      const mbV = parseNum(mbInput.value);
+      if (!mbV.ok) return { ok: false, error: `mb: ${mbV.error}` };
+      R.ma = maV.value; R.mb = mbV.value;
+    }
+    R.extra = [];
+    for (let i = 3; i <= partyCount; i++) {
+      const xV = parseNum(el(`x${i}`).value);
+      if (!xV.ok) return { ok: false, error: `x${i}: ${xV.error}` };
+      R.extra.push(xV.value);
+    }
+    return R;
+  }
+
+  // Options of primalityVerdict() chosen under "Operasi" for p above the deterministic bound;
+  // the trace feeds the Miller–Rabin panel
+  function primeTests() {
+    return { rounds: Number(mrRoundsSel.value), lucas: chkBpsw.checked, trace: true };
+  }
+
+  // Primality of p is re-checked on every step; large p would otherwise cost seconds each time
+  const verdictCache = new Map();
+  function rememberVerdict(P, verdict) {
+    if (verdictCache.size >= 32) verdictCache.clear();
+    verdictCache.set(P, verdict);
+  }
+  function cachedVerdict(P) {
+    if (!verdictCache.has(P)) rememberVerdict(P, primalityVerdict(P, primeTests()));
+    return verdictCache.get(P);
+  }
+  // After the tests change only proofs stay valid
+  function forgetVerdicts() {
+    for (const [P, v] of verdictCache) {
+      if (v.certainty !== 'proven') verdictCache.delete(P);
+    }
+  }
+
+  // Bit length and digit count of p, plus the standard group name when it matches one
+  function describeP() {
+    const R = parseNum(pInput.value);
+    if (!R.ok || R.value < 2n) { pInfo.textContent = ''; return; }
+    const grp = STANDARD_GROUPS.find((x) => x.p === R.value);
+    pInfo.textContent = `${t('param.pInfo', { bits: bitLength(R.value), digits: R.value.toString().length })}${grp ? ` · ${grp.name}` : ''}`;
+    if (!grp) presetSel.value = '';
   }
 
   function validateParams(showMsgs = true) {
     const R = readInputs();
     if (!R.ok) { if (showMsgs) setMessage(R.error); return false; }
-    const P = R.p, G = R.g, Asec = R.a, Bsec = R.b;
-
-    if (P < 3n) { if (showMsgs) setMessage('p harus >= 3.'); return false; }
-    if (!isProbablePrime(P)) { if (showMsgs) setMessage('p tampaknya bukan prima.'); return false; }
-    if (G <= 1n || G >= P) { if (showMsgs) setMessage('g harus dalam rentang 2 .. p-1.'); return false; }
-    if (Asec < 2n || Asec >= P - 1n) { if (showMsgs) setMessage('a harus dalam rentang 2 .. p-2.'); return false; }
-    if (Bsec < 2n || Bsec >= P - 1n) { if (showMsgs) setMessage('b harus dalam rentang 2 .. p-2.'); return false; }
+    const secrets = [
+      ['a', R.a], ['b', R.b],
+      ...(mitm ? [['ma', R.ma], ['mb', R.mb]] : []),
+      ...R.extra.map((k, idx) => [`x${idx + 3}`, k]),
+    ];
+    const res = protocol === 'ecdh'
+      ? validateEcdh(curve, secrets)
+      : validateDh({ p: R.p, g: R.g, secrets }, cachedVerdict);
+    if (!res.ok) { if (showMsgs) setMessage(res.message); return false; }
 
     // If all good, update state (do not compute yet)
-    p = P; g = G; a = Asec; b = Bsec;
-    if (showMsgs) setMessage('Parameter valid.');
+    p = R.p; g = R.g; a = R.a; b = R.b; ma = R.ma; mb = R.mb; extraSecrets = R.extra;
+    buildEvilOptions();
+    updateGenPanel();
+    if (showMsgs) setMessage([res.message, fewKeysWarning()].filter(Boolean).join('\n'));
     return true;
   }
 
+  // Generator analysis. p-1 is factored once per p; standard groups are safe primes and
+  // generated groups remember their factors, so large p never need factoring.
+  const CYCLE_MAX = 64; // longest power cycle shown in the panel
+  const FEW_KEYS = 1n << 32n; // below this many possible keys Eve simply tries them all
+  const orderFactorCache = new Map();
+  function cacheOrderFactors(P, order) {
+    if (orderFactorCache.size >= 32) orderFactorCache.clear();
+    orderFactorCache.set(P, order);
+  }
+  // `primes` are the distinct primes of P-1 known from generating P
+  function rememberOrderFactors(P, primes) {
+    let x = P - 1n;
+    const factors = primes.map((q) => {
+      let e = 0;
+      while (x % q === 0n) { x /= q; e++; }
+      return { q, e };
+    });
+    cacheOrderFactors(P, { factors, rest: 1n });
+  }
+  function orderFactorsOf(P) {
+    const grp = STANDARD_GROUPS.find((x) => x.p === P);
+    if (grp) return { factors: [{ q: 2n, e: 1 }, { q: (P - 1n) / 2n, e: 1 }], rest: 1n };
+    if (!orderFactorCache.has(P)) cacheOrderFactors(P, groupOrderFactors(P, undefined, cachedVerdict));
+    return orderFactorCache.get(P);
+  }
+
+  let genInfo = null;
+  // Order, subgroup and power cycle of the current g; null in ECDH
+  function genAnalysis() {
+    if (protocol !== 'dh') return null;
+    if (!genInfo || genInfo.p !== p || genInfo.g !== g) {
+      const { factors, rest } = orderFactorsOf(p);
+      genInfo = { p, g, factors, rest, ...generatorInfo(g, p, factors, rest), cycle: powerCycle(g, p, CYCLE_MAX) };
+    }
+    return genInfo;
+  }
+
+  // Shown in the message box and in step 1 when <g> is small enough to try every key
+  function fewKeysWarning() {
+    const info = genAnalysis();
+    if (!info || info.order >= FEW_KEYS || 2n * info.order >= p - 1n) return '';
+    return t('gen.fewKeys', { order: fmtNum(info.order), total: fmtNum(p - 1n) });
+  }
+
+  // Subgroup order q when p = 2q+1 is a safe prime and g generates the subgroup of order q
+  function safeSubgroupOrder() {
+    const info = genAnalysis();
+    if (!info || !info.exact || info.factors.length !== 2) return null;
+    const [two, big] = info.factors;
+    return two.e === 1 && big.e === 1 && info.order === big.q ? big.q : null;
+  }
+
+  // Receiver-side checks from the "Pemeriksaan penerima" toggles, run on a public value before
+  // it is raised to the receiver's secret. Returns { ok, html } with one line per enabled
+  // check; html is empty when none are on (and in ECDH), so the honest flows read as before.
+  function activeChecks() {
+    return [chkRange.checked && 'range', chkSubgroup.checked && 'subgroup'].filter(Boolean);
+  }
+  function receiverCheck(name, X) {
+    if (protocol !== 'dh') return { ok: true, html: '' };
+    const q = chkSubgroup.checked ? safeSubgroupOrder() : null;
+    const res = publicValueChecks(X, p, q);
+    const lines = [];
+    if (chkRange.checked) lines.push(`<code>2 ≤ ${name} ≤ p − 2</code> ${res.range ? '✅' : '❌'}`);
+    if (chkSubgroup.checked) {
+      lines.push(q === null
+        ? `<span class="muted">${t('check.subgroupSkipped')}</span>`
+        : `<code>${name}<sup>q</sup> mod p = ${fmtNum(modPow(X, q, p))}</code> ${res.subgroup ? t('check.inside') : t('check.outside')}`);
+    }
+    return { ok: (!chkRange.checked || res.range) && res.subgroup !== false, html: lines.join('<br>') };
+  }
+
+  // Key calculation preceded by the receiver's check lines, or the abort notice on rejection
+  function withCheck(chk, who, calc) {
+    if (!chk || !chk.html) return calc;
+    return chk.ok ? `${chk.html}<br>${calc}` : `${chk.html}<br><span class="value">${t('check.abort', { who })}</span>`;
+  }
+  const rejected = (chk) => chk !== undefined && !chk.ok;
+
+  // Small-subgroup attack: the orders the malicious Bob can pick for B are 1, 2 and the odd
+  // primes up to SMALL_ORDER_MAX dividing p-1. For a safe prime p = 2q+1 that leaves only 1
+  // and 2, since q is the order of the subgroup DH itself works in.
+  const SMALL_ORDER_MAX = 1n << 16n;
+  let evilFor = null; // p the options were built for
+  function smallOrders() {
+    const info = genAnalysis();
+    if (!info) return [];
+    const odd = info.factors.map((x) => x.q).filter((q) => q > 2n && q <= SMALL_ORDER_MAX && 2n * q + 1n !== p);
+    return [1n, 2n, ...odd.slice(0, 8)];
+  }
+  function buildEvilOptions() {
+    if (protocol !== 'dh' || evilFor === p) return;
+    evilFor = p;
+    const orders = smallOrders();
+    evilBSel.innerHTML = orders.map((r) => `<option value="${r}">${evilLabel(r)}</option>`).join('');
+    evilOrder = orders[orders.length - 1]; // the largest leaks the most
+    evilBSel.value = evilOrder.toString();
+  }
+  function evilLabel(r) {
+    return r === 1n ? t('evil.order1') : r === 2n ? t('evil.order2') : t('evil.orderR', { r });
+  }
+  // Bob's fake B of order r: 1, or t^((p-1)/r) (which is p-1 for r = 2)
+  function evilB(r) {
+    return r === 1n ? { h: 1n, t: null } : smallOrderElement(p, r);
+  }
+
   function setMessage(msg) {
     msgBox.textContent = msg || '';
   }
 
   function clearComputed() {
-    A = B = sAlice = sBob = null;
-    ABox.textContent = '?';
-    BBox.textContent = '?';
-    S1Box.textContent = '?';
-    S2Box.textContent = '?';
+    vals = {};
+    computedUpTo = 0;
+    stopTraceFill();
+    traceCache.clear();
+    traceView.clear();
+    kAlice = kBob = kMalA = kMalB = kBobWrong = null;
+    kdfRun++;
+    quizAnswers = {};
+    chatLog.textContent = '';
+    updateComputedBoxes();
   }
 
   function flash(elm) {
@@ -233,283 +407,2666 @@
     setTimeout(() => elm.classList.remove('flash'), 900);
   }
 
+  // Result box for each revealable value; K stands for the whole list of group keys
+  const VALUE_BOXES = {
+    A: ABox, B: BBox, S1: S1Box, S2: S2Box,
+    MA: MABox, MB: MBBox, SMA: SMABox, SMB: SMBBox,
+    K: groupResults,
+  };
+
   function updateComputedBoxes() {
     // Mask values according to current step index to match narrative
-    if (stepIdx >= 3 && A !== null) { ABox.textContent = A.toString(); } else { ABox.textContent = '?'; }
-    if (stepIdx >= 5 && B !== null) { BBox.textContent = B.toString(); } else { BBox.textContent = '?'; }
-    if (stepIdx >= 7 && sAlice !== null) { S1Box.textContent = sAlice.toString(); } else { S1Box.textContent = '?'; }
-    if (stepIdx >= 8 && sBob !== null) { S2Box.textContent = sBob.toString(); } else { S2Box.textContent = '?'; }
+    const at = revealSteps();
+    for (const [name, box] of Object.entries(VALUE_BOXES)) {
+      if (name === 'K') continue;
+      const x = revealed(name, at);
+      box.textContent = x !== null ? fmtVal(x) : '?';
+    }
+    updateGroupResults(at);
+    updateGenPanel(at);
+    updateEveSees();
+    drawCurvePlot();
+    updateChatPanel();
+  }
+
+  // One key per participant, revealed once the last ring round has run
+  function updateGroupResults(at = revealSteps()) {
+    if (!isGroup()) { groupResults.innerHTML = ''; return; }
+    const keys = revealed('K', at);
+    groupResults.innerHTML = PARTY_NAMES.slice(0, partyCount).map((name, i) => (
+      `<div class="kv">K (${name}) = <span id="K${i + 1}">${keys !== null ? fmtVal(keys[i]) : '?'}</span> <span class="inline-actions"><button class="copy-mini" data-copy-target="K${i + 1}">${t('ui.copy')}</button></span></div>`
+    )).join('');
+  }
+
+  // Order of g, the subgroup it generates and, for short cycles, every power g^k with the
+  // revealed A, B and S marked on it
+  function updateGenPanel(at = revealSteps()) {
+    const info = genAnalysis();
+    if (!info) { genOrder.textContent = 'ord(g) = ?'; genOut.innerHTML = ''; return; }
+    const product = (fs) => fs.map(({ q, e }) => (e > 1 ? `${fmtNum(q)}<sup>${e}</sup>` : fmtNum(q))).join(' · ');
+    const rest = info.exact ? '' : `${info.factors.length ? ' · ' : ''}${t('gen.unfactored', { rest: fmtNum(info.rest) })}`;
+    const pm1 = fmtNum(p - 1n), ord = fmtNum(info.order), ordProduct = product(info.orderFactors);
+    genOrder.textContent = `ord(g) ${info.exact ? '=' : '≤'} ${ord}`;
+    const lines = [
+      `<div class="calc"><code>p − 1 = ${pm1} = ${product(info.factors)}${rest}</code></div>`,
+      `<div class="calc"><code>ord(g) ${info.exact ? '=' : t('gen.divides')} ${ord}${info.exact && ordProduct !== ord ? ` = ${ordProduct}` : ''}</code></div>`,
+    ];
+    if (info.primitive === true) {
+      lines.push(`<p>${t('gen.primitive', { g: fmtNum(g), total: pm1 })}</p>`);
+    } else if (info.primitive === false) {
+      const prime = info.exact && info.orderFactors.length === 1 && info.orderFactors[0].e === 1;
+      lines.push(`<p>${t('gen.notPrimitive', { g: fmtNum(g), order: ord, total: pm1, index: fmtNum(info.index) })}`
+        + `${prime ? ` ${t('gen.primeOrder')}` : ''}</p>`);
+    } else {
+      lines.push(`<p>${t('gen.unknown')}</p>`);
+    }
+    const warn = fewKeysWarning();
+    if (warn) lines.push(`<p class="gen-warn">${warn}</p>`);
+    if (info.cycle && quiz) {
+      lines.push(`<p class="muted">${t('gen.cycleHidden')}</p>`);
+    } else if (info.cycle) {
+      const marks = [['A', revealed('A', at)], ['B', revealed('B', at)], ['S', revealed('S1', at)]];
+      const items = info.cycle.map((x, k) => {
+        const hit = marks.filter(([, v]) => v === x).map(([name]) => name).join(', ');
+        return `<span class="cycle-item${hit ? ' cycle-item--hit' : ''}"${hit ? ` title="${hit}"` : ''}>`
+          + `<small>g<sup>${k}</sup>${hit ? ` = ${hit}` : ''}</small>${fmtNum(x)}</span>`;
+      });
+      lines.push(`<div class="cycle">${items.join(' → ')} → <span class="muted">${t('gen.cycleEnd', { n: info.cycle.length })}</span></div>`);
+    } else {
+      lines.push(`<p class="muted">${t('gen.cycleLong', { max: CYCLE_MAX })}</p>`);
+    }
+    genOut.innerHTML = lines.join('');
+  }
+
+  // Miller–Rabin panel for the p of the last "Validasi": the rounds behind its verdict, or a
+  // run with only the first bases chosen under "Basis" to watch strong pseudoprimes pass
+  const MR_SEQ_MAX = 8; // longer squaring sequences show their first and last values only
+  let mrP = null;
+
+  function firstBases(k) {
+    return k <= 4 ? MR_FIXED_BASES.slice(0, k).join(', ') : `2, 3, …, ${MR_FIXED_BASES[k - 1]}`;
+  }
+  // Long numbers as "1234567890…1234567890" with the whole text in a tooltip
+  function shortText(s) {
+    return s.length > 24 ? `<span title="${s}">${s.slice(0, 10)}…${s.slice(-10)}</span>` : s;
+  }
+  function mrShort(x) { return shortText(fmtNum(x)); }
+  function mrValue(x, n) {
+    if (x === n - 1n) return '<span class="mr-minus1">p − 1</span>';
+    if (x === 1n) return '<span class="mr-one">1</span>';
+    return mrShort(x);
+  }
+
+  // Rounds as table rows; with `lucas` (a strongLucasTest() result) its row follows base 2
+  function mrRows(rounds, n, composite, lucas = null) {
+    const kindOf = (pass) => (!pass ? 'witness' : composite ? 'liar' : 'pass');
+    const row = (kind, label, seq) => `<tr class="mr-${kind}"><td class="value">${label}</td><td class="mr-seq">${seq}</td>`
+      + `<td class="mr-result">${t(`mr.${kind}`)}</td></tr>`;
+    const rows = rounds.map(({ a, seq, pass }) => {
+      const shown = seq.length > MR_SEQ_MAX
+        ? [...seq.slice(0, MR_SEQ_MAX - 3).map((x) => mrValue(x, n)), t('mr.skipped', { n: seq.length - MR_SEQ_MAX + 1 }), ...seq.slice(-2).map((x) => mrValue(x, n))]
+        : seq.map((x) => mrValue(x, n));
+      return row(kindOf(pass), mrShort(a), shown.join(' → ') || '—');
+    });
+    if (lucas) {
+      const what = lucas.factor !== null ? t('mr.lucasFactor', { q: mrShort(lucas.factor) }) : `D = ${lucas.D}`;
+      rows.splice(1, 0, row(kindOf(lucas.prime), t('mr.lucas'), what));
+    }
+    return `
+      <table class="trace-table">
+        <thead><tr><th>a</th><th>a<sup>d</sup>, a<sup>2d</sup>, a<sup>4d</sup>, … mod p</th><th>${t('mr.result')}</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>`;
+  }
+
+  function explainP() {
+    const R = parseNum(pInput.value);
+    mrP = protocol === 'dh' && R.ok && R.value >= 3n ? R.value : null;
+    renderMrPanel();
+  }
+
+  function renderMrPanel() {
+    if (mrP === null) {
+      mrVerdictPill.textContent = '?';
+      mrOut.innerHTML = `<p class="muted">${t('mr.idle')}</p>`;
+      return;
+    }
+    const n = mrP;
+    const truth = cachedVerdict(n);
+    const k = Number(mrBasesSel.value);
+    const bases = k ? MR_FIXED_BASES.slice(0, k) : MR_FIXED_BASES;
+    const run = k ? millerRabinWithBases(n, bases) : truth.trace && { ...truth, ...truth.trace };
+    mrVerdictPill.textContent = t(truth.prime ? 'mr.prime' : 'mr.composite');
+    const lines = [`<p>${t('mr.subject', { p: mrShort(n), bits: bitLength(n) })}</p>`];
+    if (!run) {
+      mrOut.innerHTML = [...lines, `<p>${t('mr.proven')}</p>`, `<p>${describeVerdict(truth)}</p>`].join('');
+      return;
+    }
+    const list = bases.join(', ');
+    if (run.d === null) {
+      lines.push(`<p>${run.prime ? t('mr.screenIsPrime', { list }) : t('mr.screenFactor', { q: fmtNum(run.factor) })}</p>`);
+    } else {
+      lines.push(`<p>${t('mr.screenPass', { list })}</p>`);
+      lines.push(`<div class="calc"><code>p − 1 = d · 2<sup>s</sup> = ${mrShort(run.d)} · 2<sup>${run.s}</sup></code></div>`);
+      if (k) lines.push(`<p>${t('mr.planBases', { list })}</p>`);
+      else if (n < MR_DETERMINISTIC_LIMIT) lines.push(`<p>${t('mr.planFixed', { limit: mrShort(MR_DETERMINISTIC_LIMIT) })}</p>`);
+      else lines.push(`<p>${t(chkBpsw.checked ? 'mr.planBpsw' : 'mr.planRandom', { rounds: truth.rounds - 1 })}</p>`);
+      lines.push(mrRows(run.rounds, n, !truth.prime, k ? null : run.lucas));
+      if (run.witness !== null) lines.push(`<p>${t('mr.provedBy', { a: mrShort(run.witness) })}</p>`);
+      else if (!run.prime) lines.push(`<p>${t('mr.provedByLucas')}</p>`);
+      else if (k && !truth.prime) lines.push(`<p class="gen-warn">${t('mr.fooled')}</p>`);
+      else if (k) lines.push(`<p>${t('mr.allPass')}</p>`);
+    }
+    if (k || run.prime) lines.push(`<p>${k ? t('mr.fullSays', { verdict: describeVerdict(truth) }) : describeVerdict(truth)}</p>`);
+    mrOut.innerHTML = lines.join('');
   }
 
   function setStepIndicator() {
-    stepIndicator.textContent = `Langkah ${stepIdx}/${TOTAL_STEPS}`;
+    stepIndicator.textContent = t('ui.stepIndicator', { step: stepIdx, total: totalSteps() });
   }
 
-  function renderSteps() {
-    const pS = p.toString(), gS = g.toString(), aS = a.toString(), bS = b.toString();
+  // Protocol flows. A flow is { id, name, steps(), parties, attacker } where steps() builds the
+  // current list of step definitions from the parameters and the values computed so far, and
+  // parties/attacker name the lifelines of the sequence diagram (none for group DH):
+  //   id                         stable name other code can look up (stepNumber('chat'))
+  //   title, short, long, calc   text for the stepper; short/long follow the verbose toggle
+  //   compute()                  fills vals when the step is first reached
+  //   reveals                    names in vals that become visible from this step on
+  //   mallory                    marks an attacker step
+  //   trace                      exponentiations to show as square-and-multiply tables (DH)
+  //   ask                        value the student computes in practice mode; the first trace checks it
+  //   sends                      messages put on the wire: [{ name, from, to, key | value }], key
+  //                              being a name in vals; all of them end up in Eve's box
+  //   keeps                      values a party picks or computes: [{ name, party, key | value, secret }]
+  // Step numbers, reveal rules and the stepping itself are all derived from this list.
+  const FLOWS = {};
+  function registerFlow(def) { FLOWS[def.id] = def; }
 
-    const steps = [
+  function currentFlow() {
+    if (isGroup()) return FLOWS.group;
+    if (confine) return FLOWS.confine;
+    return mitm ? FLOWS.mitm : FLOWS.dh;
+  }
+  function flowSteps() { return currentFlow().steps(); }
+  function totalSteps() { return flowSteps().length; }
+
+  // 1-based position of the step with this id in the current flow, or null
+  function stepNumber(id) {
+    const idx = flowSteps().findIndex((st) => st.id === id);
+    return idx < 0 ? null : idx + 1;
+  }
+
+  // First step at which each value is shown: { A: 3, B: 5, ... }
+  function revealSteps() {
+    const at = {};
+    flowSteps().forEach((st, idx) => {
+      for (const name of st.reveals || []) if (!(name in at)) at[name] = idx + 1;
+    });
+    return at;
+  }
+
+  // Value if it is computed and the narrative has reached it, otherwise null
+  function revealed(name, at = revealSteps()) {
+    if (quiz && quizAnswers[name] && !quizAnswers[name].done) return null;
+    return name in at && stepIdx >= at[name] && vals[name] !== undefined ? vals[name] : null;
+  }
+
+  // Notation shared by the step builders: symbolic formula ("g^a mod p" / "a·G") and the
+  // concrete calculation with numbers
+  function notation() {
+    const ec = protocol === 'ecdh';
+    return {
+      ec,
+      gS: ec ? 'G' : fmtNum(g),
+      gSym: ec ? 'G' : 'g',
+      v: (x) => (x !== undefined && x !== null ? fmtVal(x) : '...'),
+      f: (base, k) => (ec ? `${k}·${base}` : `${base}^${k} mod p`),
+      op: (base, k) => (ec ? `${k}·${base}` : `${base}<sup>${k}</sup> mod ${fmtNum(p)}`),
+      range: (k) => (ec ? `1 ≤ ${k} ≤ n−1` : `2 ≤ ${k} ≤ p−2`),
+      // One square-and-multiply table: label = baseSym^expSym mod p. None in ECDH, and none
+      // until the base has been computed.
+      tr: (label, baseSym, base, expSym, exp) => (ec || base === undefined ? null : { label, baseSym, base, expSym, exp }),
+    };
+  }
+
+  // Step 1 is the same for every flow: the public group (p, g) or curve (E, G)
+  function paramsStep() {
+    if (protocol === 'ecdh') {
+      return {
+        id: 'params',
+        title: t('step.params.title'),
+        short: t('step.params.shortEc'),
+        long: t('step.params.longEc', { curve: curve.name, n: fmtNum(curve.n) }),
+        sends: [{ name: 'E', value: curve.id, from: 'Alice', to: 'Bob' }, { name: 'G', value: curve.G, from: 'Alice', to: 'Bob' }],
+        calc: `<code>E: y² = x³ + ${fmtNum(curve.a)}x + ${fmtNum(curve.b)} (mod ${fmtNum(curve.p)})</code>, <code>G = ${fmtVal(curve.G)}</code>, <code>n = ${fmtNum(curve.n)}</code>`
+      };
+    }
+    const warning = fewKeysWarning();
+    const warn = warning ? `<br><span class="gen-warn">${warning}</span>` : '';
+    return {
+      id: 'params',
+      title: t('step.params.title'),
+      short: `${t('step.params.short')}${warn}`,
+      long: `${t('step.params.long', { p: fmtNum(p), g: fmtNum(g) })}${warn}`,
+      sends: [{ name: 'p', value: p, from: 'Alice', to: 'Bob' }, { name: 'g', value: g, from: 'Alice', to: 'Bob' }],
+      calc: `<code>p = ${fmtNum(p)}</code>, <code>g = ${fmtNum(g)}</code>`
+    };
+  }
+
+  // Steps 1..9 of the honest exchange
+  function twoPartySteps() {
+    const { ec, gS, gSym, v, f, op, range, tr } = notation();
+    const aS = fmtNum(a), bS = fmtNum(b);
+    return [
+      paramsStep(),
+      {
+        id: 'secretA',
+        title: t('step.secretA.title'),
+        short: t('step.secretA.short'),
+        long: t('step.secretA.long', { a: aS, range: range('a') }),
+        calc: `<code>a = ${aS}</code>`,
+        keeps: [{ name: 'a', value: a, party: 'Alice', secret: true }]
+      },
       {
-        n: 1,
-        title: 'Pilih parameter publik',
-        short: `Pilih p dan g yang diketahui publik.`,
-        long: `Kita gunakan bilangan prima p = ${pS} dan generator g = ${gS}. Keduanya boleh dilihat semua orang.`,
-        calc: `<code>p = ${pS}</code>, <code>g = ${gS}</code>`
+        id: 'publicA',
+        title: t('step.publicA.title'),
+        short: t('step.publicA.short', { f: f(gSym, 'a') }),
+        long: t(ec ? 'step.publicA.longEc' : 'step.publicA.long', { f: f(gSym, 'a') }),
+        calc: `<code>A = ${op(gS, aS)} = <span class="value" id="stepA">${v(vals.A)}</span></code>`,
+        compute: () => { vals.A = pub(a); },
+        reveals: ['A'],
+        keeps: [{ name: 'A', key: 'A', party: 'Alice' }],
+        trace: [tr('A', 'g', g, 'a', a)],
+        ask: 'A'
       },
       {
-        n: 2,
-        title: 'Alice memilih rahasia a',
-        short: `Alice memilih angka rahasia a.`,
-        long: `Alice mengacak rahasia a = ${aS} (2 ≤ a ≤ p−2). Nilai ini tidak dibagikan.`,
-        calc: `<code>a = ${aS}</code>`
+        id: 'secretB',
+        title: t('step.secretB.title'),
+        short: t('step.secretB.short'),
+        long: t('step.secretB.long', { b: bS, range: range('b') }),
+        calc: `<code>b = ${bS}</code>`,
+        keeps: [{ name: 'b', value: b, party: 'Bob', secret: true }]
       },
       {
-        n: 3,
-        title: 'Alice menghitung A',
-        short: `Hitung A = g^a mod p.`,
-        long: `Alice menghitung <code>A = g^a mod p</code> lalu membagikannya ke Bob.`,
-        calc: `<code>A = ${gS}<sup>${aS}</sup> mod ${pS} = <span class="value" id="stepA">${A !== null ? A.toString() : '...'}</span></code>`
+        id: 'publicB',
+        title: t('step.publicB.title'),
+        short: t('step.publicB.short', { f: f(gSym, 'b') }),
+        long: t('step.publicB.long', { f: f(gSym, 'b') }),
+        calc: `<code>B = ${op(gS, bS)} = <span class="value" id="stepB">${v(vals.B)}</span></code>`,
+        compute: () => { vals.B = pub(b); },
+        reveals: ['B'],
+        keeps: [{ name: 'B', key: 'B', party: 'Bob' }],
+        trace: [tr('B', 'g', g, 'b', b)],
+        ask: 'B'
       },
       {
-        n: 4,
-        title: 'Bob memilih rahasia b',
-        short: `Bob memilih angka rahasia b.`,
-        long: `Bob mengacak rahasia b = ${bS} (2 ≤ b ≤ p−2). Nilai ini tidak dibagikan.`,
-        calc: `<code>b = ${bS}</code>`
+        id: 'exchange',
+        title: t('step.exchange.title'),
+        short: t('step.exchange.short'),
+        long: t('step.exchange.long'),
+        calc: `<code>A ↔ B</code>`,
+        sends: [{ name: 'A', key: 'A', from: 'Alice', to: 'Bob' }, { name: 'B', key: 'B', from: 'Bob', to: 'Alice' }]
       },
       {
-        n: 5,
-        title: 'Bob menghitung B',
-        short: `Hitung B = g^b mod p.`,
-        long: `Bob menghitung <code>B = g^b mod p</code> lalu membagikannya ke Alice.`,
-        calc: `<code>B = ${gS}<sup>${bS}</sup> mod ${pS} = <span class="value" id="stepB">${B !== null ? B.toString() : '...'}</span></code>`
+        id: 'keyAlice',
+        title: t('step.keyAlice.title'),
+        short: `S = ${f('B', 'a')}.`,
+        long: t('step.keyAlice.long', { f: f('B', 'a') }),
+        calc: withCheck(vals.checkB, 'Alice', `<code>S = ${op(vals.B !== undefined ? fmtVal(vals.B) : 'B', aS)} = <span class="value" id="stepS1">${v(vals.S1)}</span></code>`),
+        compute: () => {
+          vals.checkB = receiverCheck('B', vals.B);
+          if (vals.checkB.ok) vals.S1 = shared(vals.B, a);
+        },
+        reveals: ['S1'],
+        keeps: [{ name: 'S', key: 'S1', party: 'Alice', secret: true }],
+        trace: [rejected(vals.checkB) ? null : tr('S', 'B', vals.B, 'a', a)],
+        ask: 'S1'
       },
       {
-        n: 6,
-        title: 'Tukar nilai publik',
-        short: `Alice ⇄ Bob saling bertukar A dan B.`,
-        long: `Hanya nilai publik A dan B yang ditukar, rahasia a dan b tetap disimpan masing-masing.`,
-        calc: `<code>A ↔ B</code>`
+        id: 'keyBob',
+        title: t('step.keyBob.title'),
+        short: `S = ${f('A', 'b')}.`,
+        long: t('step.keyBob.long', { f: f('A', 'b') }),
+        calc: withCheck(vals.checkA, 'Bob', `<code>S = ${op(vals.A !== undefined ? fmtVal(vals.A) : 'A', bS)} = <span class="value" id="stepS2">${v(vals.S2)}</span></code>`),
+        compute: () => {
+          vals.checkA = receiverCheck('A', vals.A);
+          if (vals.checkA.ok) vals.S2 = shared(vals.A, b);
+        },
+        reveals: ['S2'],
+        keeps: [{ name: 'S', key: 'S2', party: 'Bob', secret: true }],
+        trace: [rejected(vals.checkA) ? null : tr('S', 'A', vals.A, 'b', b)]
       },
       {
-        n: 7,
-        title: 'Alice menghitung kunci S',
-        short: `S = B^a mod p.`,
-        long: `Dengan B yang diterima, Alice menghitung <code>S = B^a mod p</code>.`,
-        calc: `<code>S = ${B !== null ? B.toString() : 'B'}<sup>${aS}</sup> mod ${pS} = <span class="value" id="stepS1">${sAlice !== null ? sAlice.toString() : '...'}</span></code>`
+        id: 'verify',
+        title: t('step.verify.title'),
+        short: t('step.verify.short'),
+        long: `${t('step.verify.long')}${ec ? ` ${t('step.verify.longEc')}` : ''}`,
+        calc: (() => {
+          const ok = vals.S1 !== undefined && vals.S2 !== undefined && sameVal(vals.S1, vals.S2);
+          const sa = vals.S1 !== undefined ? fmtVal(vals.S1) : '...?';
+          const sb = vals.S2 !== undefined ? fmtVal(vals.S2) : '...?';
+          const res = rejected(vals.checkA) || rejected(vals.checkB) ? t('verdict.aborted') : ok ? t('verdict.match') : t('verdict.mismatch');
+          return `<code>S(Alice) = ${sa}</code> ${t('step.verify.and')} <code>S(Bob) = ${sb}</code> → <span class="value">${res}</span>`;
+        })()
+      }
+    ];
+  }
+
+  // Steps 6..10 of the MITM variant: Mallory intercepts A and B and answers with her own values
+  function mitmSteps() {
+    const { gS, gSym, v, f, op, tr } = notation();
+    const aS = fmtNum(a), bS = fmtNum(b);
+    const maS = fmtNum(ma), mbS = fmtNum(mb);
+    return [
+      {
+        id: 'intercept',
+        mallory: true,
+        title: t('step.intercept.title'),
+        short: t('step.intercept.short'),
+        long: t('step.intercept.long', { ma: maS, mb: mbS, fa: f(gSym, 'ma'), fb: f(gSym, 'mb') }),
+        calc: `<code>MA = ${op(gS, maS)} = <span class="value" id="stepMA">${v(vals.MA)}</span></code>, `
+          + `<code>MB = ${op(gS, mbS)} = <span class="value" id="stepMB">${v(vals.MB)}</span></code><br>`
+          + `<code>${t('step.intercept.calcAlice')}</code>, <code>${t('step.intercept.calcBob')}</code>`,
+        compute: () => { vals.MA = pub(ma); vals.MB = pub(mb); },
+        reveals: ['MA', 'MB'],
+        sends: [
+          { name: 'A', key: 'A', from: 'Alice', to: 'Mallory' }, { name: 'MB', key: 'MB', from: 'Mallory', to: 'Bob' },
+          { name: 'B', key: 'B', from: 'Bob', to: 'Mallory' }, { name: 'MA', key: 'MA', from: 'Mallory', to: 'Alice' },
+        ],
+        keeps: [
+          { name: 'ma', value: ma, party: 'Mallory', secret: true }, { name: 'mb', value: mb, party: 'Mallory', secret: true },
+          { name: 'MA', key: 'MA', party: 'Mallory' }, { name: 'MB', key: 'MB', party: 'Mallory' },
+        ],
+        trace: [tr('MA', 'g', g, 'ma', ma), tr('MB', 'g', g, 'mb', mb)]
+      },
+      {
+        id: 'keyAlice',
+        title: t('step.keyAlice.title'),
+        short: t('step.mitmKeyAlice.short', { f: f('MA', 'a') }),
+        long: t('step.mitmKeyAlice.long', { f: f('MA', 'a') }),
+        calc: withCheck(vals.checkB, 'Alice', `<code>S = ${op(vals.MA !== undefined ? fmtVal(vals.MA) : 'MA', aS)} = <span class="value" id="stepS1">${v(vals.S1)}</span></code>`),
+        compute: () => {
+          vals.checkB = receiverCheck('MA', vals.MA);
+          if (vals.checkB.ok) vals.S1 = shared(vals.MA, a);
+        },
+        reveals: ['S1'],
+        keeps: [{ name: 'S', key: 'S1', party: 'Alice', secret: true }],
+        trace: [rejected(vals.checkB) ? null : tr('S', 'MA', vals.MA, 'a', a)]
+      },
+      {
+        id: 'keyBob',
+        title: t('step.keyBob.title'),
+        short: t('step.mitmKeyBob.short', { f: f('MB', 'b') }),
+        long: t('step.mitmKeyBob.long', { f: f('MB', 'b') }),
+        calc: withCheck(vals.checkA, 'Bob', `<code>S = ${op(vals.MB !== undefined ? fmtVal(vals.MB) : 'MB', bS)} = <span class="value" id="stepS2">${v(vals.S2)}</span></code>`),
+        compute: () => {
+          vals.checkA = receiverCheck('MB', vals.MB);
+          if (vals.checkA.ok) vals.S2 = shared(vals.MB, b);
+        },
+        reveals: ['S2'],
+        keeps: [{ name: 'S', key: 'S2', party: 'Bob', secret: true }],
+        trace: [rejected(vals.checkA) ? null : tr('S', 'MB', vals.MB, 'b', b)]
       },
       {
-        n: 8,
-        title: 'Bob menghitung kunci S',
-        short: `S = A^b mod p.`,
-        long: `Dengan A yang diterima, Bob menghitung <code>S = A^b mod p</code>.`,
-        calc: `<code>S = ${A !== null ? A.toString() : 'A'}<sup>${bS}</sup> mod ${pS} = <span class="value" id="stepS2">${sBob !== null ? sBob.toString() : '...'}</span></code>`
+        id: 'keysMallory',
+        mallory: true,
+        title: t('step.keysMallory.title'),
+        short: t('step.keysMallory.short'),
+        long: t('step.keysMallory.long', { fa: f('A', 'ma'), fb: f('B', 'mb') }),
+        calc: `<code>S(Mallory–Alice) = ${op(vals.A !== undefined ? fmtVal(vals.A) : 'A', maS)} = <span class="value" id="stepSMA">${v(vals.SMA)}</span></code><br>`
+          + `<code>S(Mallory–Bob) = ${op(vals.B !== undefined ? fmtVal(vals.B) : 'B', mbS)} = <span class="value" id="stepSMB">${v(vals.SMB)}</span></code>`,
+        compute: () => { vals.SMA = shared(vals.A, ma); vals.SMB = shared(vals.B, mb); },
+        reveals: ['SMA', 'SMB'],
+        keeps: [
+          { name: 'S(Alice)', key: 'SMA', party: 'Mallory', secret: true }, { name: 'S(Bob)', key: 'SMB', party: 'Mallory', secret: true },
+        ],
+        trace: [tr('S(Mallory–Alice)', 'A', vals.A, 'ma', ma), tr('S(Mallory–Bob)', 'B', vals.B, 'mb', mb)]
       },
       {
-        n: 9,
-        title: 'Verifikasi kunci bersama',
-        short: `Bandingkan S milik Alice dan Bob.`,
-        long: `Nilai kunci harus sama. Jika sama, pertukaran kunci berhasil.`,
+        id: 'verify',
+        mallory: true,
+        title: t('step.mitmVerify.title'),
+        short: t('step.mitmVerify.short'),
+        long: t('step.mitmVerify.long'),
         calc: (() => {
-          const ok = sAlice !== null && sBob !== null && sAlice === sBob;
-          const sa = sAlice !== null ? sAlice.toString() : '...?';
-          const sb = sBob !== null ? sBob.toString() : '...?';
-          const res = ok ? '✅ cocok' : '❌ tidak cocok';
-          return `<code>S(Alice) = ${sa}</code> dan <code>S(Bob) = ${sb}</code> → <span class="value">${res}</span>`;
+          const same = (x, y) => (x !== undefined && y !== undefined && sameVal(x, y) ? t('verdict.match') : t('verdict.mismatch'));
+          return `<code>S(Alice) = ${v(vals.S1)}</code> vs <code>S(Bob) = ${v(vals.S2)}</code> → <span class="value">${same(vals.S1, vals.S2)}</span><br>`
+            + `<code>S(Alice) = ${v(vals.S1)}</code> vs <code>S(Mallory–Alice) = ${v(vals.SMA)}</code> → <span class="value">${same(vals.S1, vals.SMA)}</span><br>`
+            + `<code>S(Bob) = ${v(vals.S2)}</code> vs <code>S(Mallory–Bob) = ${v(vals.SMB)}</code> → <span class="value">${same(vals.S2, vals.SMB)}</span>`;
         })()
       }
     ];
+  }
 
-    const html = [
-      '<div class="steps">',
-      ...steps.slice(0, stepIdx).map((st, idx) => {
-        const stateClass = (idx+1 === stepIdx) ? 'step step--active' : 'step step--done';
-        const title = st.title;
-        const desc = verbose ? st.long : st.short;
-        return `
-          <div class="${stateClass}">
-            <div class="step-num">${st.n}</div>
-            <div class="step-content">
-              <div class="step-title">${title}</div>
-              <div class="step-body">${desc}</div>
-              <div class="calc" style="margin-top:6px">${st.calc}</div>
-            </div>
-          </div>`;
-      }),
-      '</div>'
-    ].join('');
+  // Steps 4..9 of the small-subgroup attack: instead of g^b, Bob sends a B of small order r.
+  // Alice's S = B^a is then one of only r values, and once she uses her key Bob finds which
+  // one by trying them all, which tells him a mod r.
+  function confineSteps() {
+    const { v, f, op, tr } = notation();
+    buildEvilOptions(); // "Acak semua" changes p without going through validateParams()
+    const aS = fmtNum(a), r = evilOrder, rS = fmtNum(r);
+    const ev = evilB(r);
+    const fake = r === 1n ? 'B = 1'
+      : r === 2n ? `B = p − 1 = ${fmtNum(ev.h)}`
+      : `B = ${fmtNum(ev.t)}<sup>(p−1)/${rS}</sup> mod p = ${fmtNum(ev.h)}`;
+    const checking = activeChecks().length > 0;
+    const stopped = rejected(vals.checkB);
+    const leak = vals.leak;
+    // First members of <B>: B^0, B^1, ...
+    const members = () => {
+      const out = [];
+      let x = 1n;
+      for (let k = 0n; k < r && k < 12n; k++) { out.push(fmtNum(x)); x = (x * vals.B) % p; }
+      return `${out.join(', ')}${r > 12n ? ', …' : ''}`;
+    };
+    const why = r === 1n ? t('step.evilB.why1') : r === 2n ? t('step.evilB.why2') : t('step.evilB.whyR', { r: rS });
+    let verdict;
+    if (stopped) verdict = t('confine.verdict.stopped');
+    else if (leak && r === 1n) verdict = t('confine.verdict.one');
+    else if (leak) verdict = `${leak.k === a % r ? '✅' : '❌'} ${t('confine.verdict.leak', { r: rS, bits: Math.log2(Number(r)).toFixed(1) })}`;
+    else verdict = '...';
+    return [
+      {
+        id: 'evilB',
+        mallory: true,
+        title: t('step.evilB.title'),
+        short: t('step.evilB.short', { r: rS }),
+        long: `${why} ${t('step.evilB.long')}`,
+        calc: `<code>${fake}</code>, <code>B<sup>${rS}</sup> mod p = 1</code>`,
+        compute: () => { vals.B = ev.h; },
+        reveals: ['B'],
+        keeps: [{ name: 'B', key: 'B', party: 'Bob' }],
+        trace: r > 2n ? [tr('B', 't', ev.t, '(p−1)/r', (p - 1n) / r)] : []
+      },
+      {
+        id: 'exchange',
+        title: t('step.exchange.title'),
+        short: t('step.confineExchange.short'),
+        long: `${t('step.confineExchange.long')} ${t(checking ? 'step.confineExchange.checked' : 'step.confineExchange.unchecked')}`,
+        calc: `<code>A → Bob</code>, <code>Alice ← B</code>`,
+        sends: [{ name: 'A', key: 'A', from: 'Alice', to: 'Bob' }, { name: 'B', key: 'B', from: 'Bob', to: 'Alice' }]
+      },
+      {
+        id: 'keyAlice',
+        title: t('step.keyAlice.title'),
+        short: `S = ${f('B', 'a')}.`,
+        long: t(checking ? 'step.confineKeyAlice.checked' : 'step.confineKeyAlice.unchecked', { f: f('B', 'a') }),
+        calc: withCheck(vals.checkB, 'Alice', `<code>S = ${op(v(vals.B), aS)} = <span class="value" id="stepS1">${v(vals.S1)}</span></code>`),
+        compute: () => {
+          vals.checkB = receiverCheck('B', vals.B);
+          if (vals.checkB.ok) vals.S1 = shared(vals.B, a);
+        },
+        reveals: ['S1'],
+        keeps: [{ name: 'S', key: 'S1', party: 'Alice', secret: true }],
+        trace: [stopped ? null : tr('S', 'B', vals.B, 'a', a)]
+      },
+      {
+        id: 'confined',
+        mallory: true,
+        title: t('step.confined.title'),
+        short: stopped ? t('step.confined.shortStopped') : t('step.confined.short', { r: rS }),
+        long: stopped ? t('step.confined.longStopped') : t('step.confined.long', { r: rS }),
+        calc: stopped
+          ? `<code>${t('step.confined.calcStopped')}</code>`
+          : `<code>⟨B⟩ = {${vals.B !== undefined ? members() : '...'}}</code>, <code>|⟨B⟩| = ${rS}</code>, <code>S = ${v(vals.S1)} ∈ ⟨B⟩</code>`
+      },
+      {
+        id: 'recover',
+        mallory: true,
+        title: t('step.recover.title'),
+        short: stopped ? t('step.recover.shortStopped') : t('step.recover.short', { r: rS }),
+        long: t('step.recover.long', { r: rS }),
+        calc: stopped
+          ? `<code>${t('step.recover.calcStopped')}</code>`
+          : leak
+            ? t('step.recover.calc', { k: fmtNum(leak.k), tries: leak.tries, r: rS })
+            : '...',
+        compute: () => {
+          if (vals.S1 === undefined) { vals.leak = null; return; }
+          const res = dlogBruteForce(vals.B, vals.S1, p, Number(r));
+          vals.leak = { k: res.x, tries: res.ops + 1 };
+        },
+        keeps: stopped ? [] : [{ name: `a mod ${rS}`, value: leak ? leak.k : null, party: 'Bob', secret: true }]
+      },
+      {
+        id: 'verify',
+        mallory: !stopped,
+        title: t('step.attackResult.title'),
+        short: stopped ? t('step.attackResult.shortStopped') : t('step.attackResult.short', { r: rS }),
+        long: stopped
+          ? t('step.attackResult.longStopped')
+          : `${r === 1n ? `${t('step.attackResult.one')} ` : ''}${t('step.attackResult.long')} `
+            + t(!checking ? 'step.attackResult.enable' : chkRange.checked ? 'step.attackResult.rangeOnly' : 'step.attackResult.noRange'),
+        calc: `<code>a mod ${rS} = ${fmtNum(a % r)}</code> → <span class="value">${verdict}</span>`
+      }
+    ];
+  }
 
-    stepsBox.innerHTML = html;
-    setStepIndicator();
+  // Last two steps: turn S into an AES key with HKDF, then open the encrypted chat
+  function kdfSteps() {
+    const k = (x) => (x ? x.hex : '...');
+    const same = (x, y) => {
+      if (!x || !y) return '...';
+      return x.hex === y.hex ? t('verdict.same') : t('verdict.different');
+    };
+    const rows = [
+      `<code>K(Alice) = HKDF(S(Alice)) = <span class="value" id="stepKA">${k(kAlice)}</span></code>`,
+      `<code>K(Bob) = HKDF(S(Bob)) = <span class="value" id="stepKB">${k(kBob)}</span></code>`,
+    ];
+    if (mitm) {
+      rows.push(`<code>K(Mallory–Alice) = ${k(kMalA)}</code>`, `<code>K(Mallory–Bob) = ${k(kMalB)}</code>`);
+    }
+    rows.push(`K(Alice) vs K(Bob) → <span class="value">${same(kAlice, kBob)}</span>`);
+    return [
+      {
+        id: 'kdf',
+        title: t('step.kdf.title'),
+        short: t('step.kdf.short'),
+        long: t('step.kdf.long', { bytes: t(protocol === 'ecdh' ? 'step.kdf.bytesEc' : 'step.kdf.bytes'), info: KDF_INFO }),
+        calc: rows.join('<br>'),
+        compute: deriveSessionKeys,
+        keeps: [
+          { name: 'K', value: kAlice && kAlice.hex, party: 'Alice', secret: true }, { name: 'K', value: kBob && kBob.hex, party: 'Bob', secret: true },
+          ...(mitm ? [
+            { name: 'K(Alice)', value: kMalA && kMalA.hex, party: 'Mallory', secret: true },
+            { name: 'K(Bob)', value: kMalB && kMalB.hex, party: 'Mallory', secret: true },
+          ] : []),
+        ]
+      },
+      {
+        id: 'chat',
+        mallory: mitm,
+        title: t('step.chat.title'),
+        short: t('step.chat.short'),
+        long: `${t('step.chat.long')}${mitm ? ` ${t('step.chat.longMitm')}` : ''}`,
+        calc: t('step.chat.calc')
+      }
+    ];
   }
 
-  function nextStep() {
-    if (!validateParams(false)) { setMessage('Perbaiki parameter terlebih dahulu.'); return; }
-    if (stepIdx >= TOTAL_STEPS) return;
+  // Ring-based group DH: participants sit in a circle and in every round raise the value
+  // received from their predecessor to their own secret. After round r the value held by
+  // participant i contains the secrets x_i, x_{i-1}, ..., x_{i-r}; after N rounds it is the key.
+  // Round r is stored as vals['R' + r], one value per participant.
+  function groupSteps() {
+    const { ec, gS, op } = notation();
+    const N = partyCount;
+    const range = ec ? '1 ≤ x<sub>i</sub> ≤ n−1' : '2 ≤ x<sub>i</sub> ≤ p−2';
+    const name = (i) => PARTY_NAMES[i];
+    const prev = (i) => (i - 1 + N) % N;
+    const next = (i) => (i + 1) % N;
+    const v = (r, i) => (vals[`R${r}`] !== undefined ? fmtVal(vals[`R${r}`][i]) : '...');
+    // Symbolic content of participant i's value after round r, e.g. g^(x1·x2·x3)
+    const sym = (i, r) => {
+      const idx = [];
+      for (let k = 0; k <= r; k++) idx.push(((i - k) % N + N) % N + 1);
+      const prod = idx.sort((x, y) => x - y).map((k) => `x${k}`).join('·');
+      if (ec) return r === 0 ? `${prod}·G` : `(${prod})·G`;
+      return r === 0 ? `g^${prod}` : `g^(${prod})`;
+    };
+    const all = sym(0, N - 1);
 
-    stepIdx++;
-    switch (stepIdx) {
-      case 1: // pilih p,g (sudah ada)
-        break;
-      case 2: // pilih a
-        break;
-      case 3: // hitung A
-        A = modPow(g, a, p);
-        flash(ABox);
-        break;
-      case 4: // pilih b
-        break;
-      case 5: // hitung B
-        B = modPow(g, b, p);
-        flash(BBox);
-        break;
-      case 6: // tukar A,B
-        break;
-      case 7: // Alice hitung S
-        if (B === null) B = modPow(g, b, p);
-        sAlice = modPow(B, a, p);
-        flash(S1Box);
-        break;
-      case 8: // Bob hitung S
-        if (A === null) A = modPow(g, a, p);
-        sBob = modPow(A, b, p);
-        flash(S2Box);
-        break;
-      case 9: // verifikasi
-        break;
+    const steps = [
+      paramsStep(),
+      {
+        id: 'secrets',
+        title: t('step.secrets.title'),
+        short: t('step.secrets.short', { n: N }),
+        long: t('step.secrets.long', { ring: `${PARTY_NAMES.slice(0, N).join(' → ')} → ${name(0)}`, range }),
+        calc: PARTY_NAMES.slice(0, N).map((nm, i) => `<code>x${i + 1} (${nm}) = ${fmtNum(partySecret(i))}</code>`).join(', ')
+      }
+    ];
+
+    for (let r = 0; r < N; r++) {
+      const last = r === N - 1;
+      let title, short, long;
+      if (r === 0) {
+        title = t('step.round1.title');
+        short = t('step.round1.short', { f: ec ? 'x<sub>i</sub>·G' : 'g^x<sub>i</sub>' });
+        long = t('step.round1.long');
+      } else if (!last) {
+        title = t('step.round.title', { r: r + 1 });
+        short = t(ec ? 'step.round.shortEc' : 'step.round.short');
+        long = t('step.round.long', { k: r + 1 });
+      } else {
+        title = t('step.roundLast.title', { r: N });
+        short = t(ec ? 'step.roundLast.shortEc' : 'step.roundLast.short');
+        long = t('step.roundLast.long', { k: N - 1, all });
+      }
+      const rows = PARTY_NAMES.slice(0, N).map((nm, i) => {
+        const x = fmtNum(partySecret(i));
+        const base = r === 0 ? gS : v(r - 1, prev(i));
+        const from = r === 0 ? '' : ` <span class="muted">${t('step.round.from', { name: name(prev(i)) })}</span>`;
+        const to = last ? '' : ` → ${name(next(i))}`;
+        const label = last ? `K (${nm})` : nm;
+        return `<div><code>${label} = ${op(base, x)} = ${sym(i, r)} = <span class="value">${v(r, i)}</span></code>${from}${to}</div>`;
+      });
+      steps.push({
+        id: `round${r + 1}`,
+        title, short, long,
+        calc: rows.join(''),
+        compute: () => {
+          const round = PARTY_NAMES.slice(0, N).map((_, i) => (
+            r === 0 ? pub(partySecret(i)) : shared(vals[`R${r - 1}`][prev(i)], partySecret(i))
+          ));
+          vals[`R${r}`] = round;
+          if (last) vals.K = round;
+        },
+        reveals: last ? [`R${r}`, 'K'] : [`R${r}`]
+      });
     }
-    updateComputedBoxes();
-    renderSteps();
+
+    const keys = vals.K !== undefined ? vals.K : null;
+    const same = keys !== null && keys.every((k) => sameVal(k, keys[0]));
+    steps.push({
+      id: 'verify',
+      title: t('step.groupVerify.title'),
+      short: t('step.groupVerify.short'),
+      long: t('step.groupVerify.long', { all }),
+      calc: `<code>${t('step.groupVerify.calc')} ${keys === null ? '...' : same ? t('verdict.yes') : t('verdict.no')}</code>`
+    });
+    return steps;
   }
 
-  function prevStep() {
-    if (stepIdx <= 0) return;
-    stepIdx--;
-    updateComputedBoxes();
-    renderSteps();
+  registerFlow({
+    id: 'dh',
+    get name() { return t('flow.dh'); },
+    parties: ['Alice', 'Bob'],
+    steps: () => [...twoPartySteps(), ...kdfSteps()],
+  });
+  // MITM: Mallory hijacks the exchange, so steps 6..9 are replaced by her version of events
+  registerFlow({
+    id: 'mitm',
+    get name() { return t('flow.mitm'); },
+    parties: ['Alice', 'Mallory', 'Bob'],
+    attacker: 'Mallory',
+    steps: () => {
+      const steps = twoPartySteps();
+      steps.splice(5, 4, ...mitmSteps());
+      return [...steps, ...kdfSteps()];
+    },
+  });
+  // Small-subgroup confinement: a malicious Bob takes over from step 4 (see confineSteps)
+  registerFlow({
+    id: 'confine',
+    get name() { return t('flow.confine'); },
+    parties: ['Alice', 'Bob'],
+    attacker: 'Bob',
+    steps: () => [...twoPartySteps().slice(0, 3), ...confineSteps()],
+  });
+  registerFlow({
+    id: 'group',
+    get name() { return t('flow.group'); },
+    steps: groupSteps,
+  });
+
+  // Shareable state in the URL hash; the query string belongs to life-bg.js. Numbers are
+  // decimal, e.g. #mode=dh&p=23&g=5&a=6&b=15&step=7&verbose=1, plus curve (ECDH),
+  // mitm/ma/mb, confine/evil (malicious Bob and the order of his B), check (receiver checks,
+  // "range,subgroup"), n/x3..x8 (group DH) and fmt when they are in use.
+  let restoring = false; // setters re-render while a link is applied; keep its hash until done
+
+  function stateToHash() {
+    const h = new URLSearchParams();
+    h.set('mode', protocol);
+    if (protocol === 'ecdh') h.set('curve', curve.id);
+    else { h.set('p', p.toString()); h.set('g', g.toString()); }
+    h.set('a', a.toString());
+    h.set('b', b.toString());
+    if (mitm) { h.set('mitm', '1'); h.set('ma', ma.toString()); h.set('mb', mb.toString()); }
+    if (confine) { h.set('confine', '1'); h.set('evil', evilOrder.toString()); }
+    if (activeChecks().length) h.set('check', activeChecks().join(','));
+    if (isGroup()) {
+      h.set('n', String(partyCount));
+      extraSecrets.forEach((k, idx) => h.set(`x${idx + 3}`, k.toString()));
+    }
+    h.set('step', String(stepIdx));
+    if (verbose) h.set('verbose', '1');
+    if (numFormat !== 'dec') h.set('fmt', numFormat);
+    return `#${h}`;
   }
 
-  function resetAll() {
+  function saveHash() {
+    if (restoring) return;
+    const next = stateToHash();
+    if (location.hash === next) return;
+    try { history.replaceState(null, '', next); } catch (e) { /* opaque origins (file://) refuse it */ }
+  }
+
+  // Open a state given in the hash format, from a link, an imported transcript or the run
+  // history (`source` is 'link', 'transcript' or 'history' and picks the wording of the messages). Values go through the same parser and validateParams() as typed
+  // input, and a large p is checked in the worker first; on any problem the stepper stays at 0
+  // and says why. Returns a promise of true once the state is open and async computes (HKDF)
+  // are done, or of false when it was rejected or the check of p was cancelled.
+  async function applyState(h, source) {
+    const fail = (why) => {
+      restoring = false;
+      stepIdx = 0;
+      clearComputed();
+      renderSteps();
+      setMessage(t(`state.invalid.${source}`, { why }));
+      return false;
+    };
+
+    const mode = h.get('mode') || 'dh';
+    if (mode !== 'dh' && mode !== 'ecdh') return fail(t('state.unknownMode', { mode }));
+    const crv = mode === 'ecdh' ? CURVES.find((c) => c.id === h.get('curve')) : null;
+    if (mode === 'ecdh' && !crv) return fail(t('state.unknownCurve', { curve: h.get('curve') }));
+    const fmt = h.get('fmt') || 'dec';
+    if (!NUMBER_FORMATS.some((x) => x.id === fmt)) return fail(t('state.unknownFormat', { fmt }));
+    const n = Number(h.get('n') || 2);
+    if (!Number.isInteger(n) || n < 2 || n > PARTY_NAMES.length) return fail(t('state.parties', { max: PARTY_NAMES.length }));
+    const withMitm = h.get('mitm') === '1';
+    if (withMitm && n > 2) return fail(t('state.mitmParties'));
+    const withConfine = h.get('confine') === '1';
+    if (withConfine && (mode !== 'dh' || n > 2 || withMitm)) return fail(t('state.confineOnly'));
+    const checks = (h.get('check') || '').split(',').filter(Boolean);
+    const unknownCheck = checks.find((c) => c !== 'range' && c !== 'subgroup');
+    if (unknownCheck) return fail(t('state.unknownCheck', { check: unknownCheck }));
+    const step = Number(h.get('step') || 0);
+    if (!Number.isInteger(step) || step < 0) return fail(t('state.stepInt'));
+
+    const names = [...(mode === 'dh' ? ['p', 'g'] : []), 'a', 'b', ...(withMitm ? ['ma', 'mb'] : [])];
+    for (let i = 3; i <= n; i++) names.push(`x${i}`);
+    if (withConfine) names.push('evil');
+    const nums = {};
+    for (const name of names) {
+      if (!h.has(name)) return fail(t('state.missing', { name }));
+      const R = parseBigIntDec(h.get(name));
+      if (!R.ok) return fail(`${name}: ${R.error}`);
+      nums[name] = R.value;
+    }
+
+    restoring = true;
     stopAuto();
-    // read current inputs, but do not change them unless invalid
-    const R = readInputs();
-    if (R.ok) { p = R.p; g = R.g; a = R.a; b = R.b; }
+    stopJob();
+    if (quiz) setQuiz(false);
+    verbose = h.get('verbose') === '1';
+    btnVerbose.textContent = t(verbose ? 'ui.brief' : 'ui.verbose');
+    setNumFormat(fmt);
+    if (mode === 'ecdh') { curveSel.value = crv.id; setCurve(crv.id); } else setProtocol('dh');
+    setMitm(withMitm);
+    setConfine(withConfine);
+    chkRange.checked = checks.includes('range');
+    chkSubgroup.checked = checks.includes('subgroup');
+    setPartyCount(n);
+    const inputs = { p: pInput, g: gInput, a: aInput, b: bInput, ma: maInput, mb: mbInput };
+    for (const [name, v] of Object.entries(nums)) {
+      if (name !== 'evil') (inputs[name] || el(name)).value = fmtNum(v);
+    }
+    describeP();
     stepIdx = 0;
     clearComputed();
-    setMessage('');
+    // Checks started above for the old inputs are dropped
+    stopJob();
+    if (uncheckedP() !== null) {
+      renderSteps();
+      const checked = await new Promise((resolve) => withCheckedP(() => resolve(true), () => resolve(false)));
+      if (!checked) { restoring = false; return false; }
+    }
+    if (!validateParams(true)) return fail(msgBox.textContent);
+    if (withConfine) {
+      if (!smallOrders().includes(nums.evil)) return fail(t('state.evilOrder', { r: nums.evil }));
+      evilOrder = nums.evil;
+      evilBSel.value = evilOrder.toString();
+    }
+    if (step > totalSteps()) return fail(t('state.stepRange', { step, total: totalSteps() }));
+
+    stepIdx = step;
+    const pending = runComputes(flowSteps());
+    updateComputedBoxes();
+    restoring = false;
     renderSteps();
+    setMessage(`${t(`state.opened.${source}`, { step: stepIdx, total: totalSteps() })}\n${msgBox.textContent}`);
+    await pending;
+    return true;
   }
 
-  function startAuto() {
-    if (timer) return; // already running
-    btnAuto.textContent = 'Hentikan Auto';
-    btnStep.disabled = true;
-    btnPrev.disabled = true;
-    btnRandom.disabled = true;
-    btnValidate.disabled = true;
-    timer = setInterval(() => {
-      if (stepIdx >= TOTAL_STEPS) { stopAuto(); return; }
-      nextStep();
-    }, 900);
+  // Returns false when there is no hash to restore
+  function restoreFromHash() {
+    const raw = location.hash.replace(/^#/, '');
+    if (!raw) return false;
+    applyState(new URLSearchParams(raw), 'link');
+    return true;
   }
 
-  function stopAuto() {
-    if (timer) clearInterval(timer);
-    timer = null;
-    btnAuto.textContent = 'Auto Play';
-    btnStep.disabled = false;
-    btnPrev.disabled = false;
-    btnRandom.disabled = false;
-    btnValidate.disabled = false;
+  // Transcript of the steps rendered so far; the shape is documented in lib/transcript.js
+  function buildTranscript() {
+    const params = {};
+    if (protocol === 'dh') { params.p = p.toString(); params.g = g.toString(); }
+    params.a = a.toString();
+    params.b = b.toString();
+    if (mitm) { params.ma = ma.toString(); params.mb = mb.toString(); }
+    if (confine) params.evil = evilOrder.toString();
+    extraSecrets.forEach((k, idx) => { params[`x${idx + 3}`] = k.toString(); });
+    const results = {};
+    const at = revealSteps();
+    for (const name of Object.keys(VALUE_BOXES)) {
+      const x = revealed(name, at);
+      if (x !== null) results[name] = encodeValue(x);
+    }
+    const flow = currentFlow();
+    return {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      created: new Date().toISOString(),
+      language: getLanguage(),
+      protocol,
+      curve: protocol === 'ecdh' ? curve.id : null,
+      flow: flow.id,
+      flowName: flow.name,
+      parties: partyCount,
+      numberFormat: numFormat,
+      verbose,
+      checks: activeChecks(),
+      step: stepIdx,
+      totalSteps: totalSteps(),
+      params,
+      results,
+      // An open practice question exports its question, not the answer (see quizPending)
+      steps: flowSteps().slice(0, stepIdx).map((st, idx) => ({
+        n: idx + 1,
+        id: st.id,
+        title: htmlToText(st.title),
+        short: htmlToText(st.short),
+        long: htmlToText(st.long),
+        calc: htmlToText(quizPending(st) ? quizQuestion(st) : st.calc),
+        ...(quizPending(st) ? { hidden: st.ask } : {}),
+      })),
+    };
   }
 
-  function toggleAuto() { timer ? stopAuto() : startAuto(); }
+  const EXPORT_FORMATS = {
+    json: { ext: 'json', type: 'application/json', render: (doc) => `${JSON.stringify(doc, null, 2)}\n` },
+    md: { ext: 'md', type: 'text/markdown', render: transcriptToMarkdown },
+    tex: { ext: 'tex', type: 'application/x-tex', render: transcriptToLatex },
+  };
 
-  function randomizeSecrets() {
-    if (!validateParams(false)) { setMessage('p dan g harus valid untuk mengacak a,b.'); return; }
-    // a,b in [2 .. p-2]
-    const range = (p - 3n) + 1n; // count of values from 2..p-2
-    if (range <= 0n) { setMessage('Rentang a,b tidak valid.'); return; }
-    const r1 = randomBigIntBelow(range) + 2n;
-    const r2 = randomBigIntBelow(range) + 2n;
-    a = r1; b = r2;
-    aInput.value = a.toString();
-    bInput.value = b.toString();
-    setMessage('a dan b diacak.');
-    clearComputed();
-    renderSteps();
+  function exportTranscript() {
+    if (stepIdx === 0) { setMessage(t('export.empty')); return; }
+    const fmt = EXPORT_FORMATS[exportFormatSel.value] || EXPORT_FORMATS.json;
+    const blob = new Blob([fmt.render(buildTranscript())], { type: `${fmt.type};charset=utf-8` });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${t('export.fileName', { step: stepIdx })}.${fmt.ext}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    setMessage(t('export.done', { step: stepIdx, file: link.download }));
   }
 
-  function randomizeAll() {
+  // Load a JSON transcript through applyState(), then rebuild it from its parameters and
+  // report every value or step text that does not match. The rebuild uses the transcript's
+  // language (Indonesian before it was recorded) so its step texts are comparable.
+  async function importTranscript(text) {
+    let rec;
+    try { rec = JSON.parse(text); } catch (e) { setMessage(t('import.notJson', { error: e.message })); return; }
+    if (!rec || rec.format !== TRANSCRIPT_FORMAT) { setMessage(t('import.notTranscript')); return; }
+    if (rec.version !== TRANSCRIPT_VERSION) { setMessage(t('import.version', { version: rec.version })); return; }
+    if (!Array.isArray(rec.steps) || !rec.params || typeof rec.params !== 'object') { setMessage(t('import.malformed')); return; }
     stopAuto();
-    // Choose a reasonable range for demo primes
-    const minP = 401n, maxP = 2000n;
-    const newP = randomPrimeInRange(minP, maxP);
-    const newG = findGenerator(newP);
-    const range = (newP - 3n) + 1n; // 2..p-2 inclusive
-    const newA = (range > 0n ? randomBigIntBelow(range) + 2n : 2n);
-    const newB = (range > 0n ? randomBigIntBelow(range) + 2n : 3n);
+    if (!(await applyState(transcriptToState(rec), 'transcript'))) return;
+    const opened = msgBox.textContent;
+    const ui = getLanguage();
+    setLanguage(rec.language || DEFAULT_LANGUAGE);
+    const rebuilt = buildTranscript();
+    setLanguage(ui);
+    const diffs = compareTranscripts(rec, rebuilt);
+    setMessage(diffs.length
+      ? `${t('import.inconsistent')}\n${diffs.map((d) => `• ${d}`).join('\n')}`
+      : `${opened}\n${t('import.consistent', { steps: rec.steps.length, values: Object.keys(rec.results || {}).length })}`);
+  }
 
-    // Update inputs
-    pInput.value = newP.toString();
-    gInput.value = newG.toString();
-    aInput.value = newA.toString();
-    bInput.value = newB.toString();
+  // Run history: the transcript of every exchange that reaches its verification step, kept
+  // until the page reloads. Entries can be reopened or compared side by side.
+  const HISTORY_MAX = 50;
+  const runs = []; // { no, run } with run a buildTranscript() result
+  let runCount = 0;
+  const runsPicked = new Set(); // entry numbers ticked for comparison
+  let runsCompared = []; // entry numbers in the comparison shown
 
-    // Update state and UI
-    p = newP; g = newG; a = newA; b = newB;
-    stepIdx = 0;
-    clearComputed();
-    setMessage('Parameter p, g, a, b diacak.');
-    renderSteps();
+  // Runs with the same flow, group and secrets are the same run
+  const runKey = (r) => JSON.stringify([r.flow, r.protocol, r.curve, r.checks, r.params]);
+
+  function recordRun() {
+    const run = buildTranscript();
+    if (runs.some((x) => runKey(x.run) === runKey(run))) return;
+    runs.push({ no: ++runCount, run });
+    if (runs.length > HISTORY_MAX) runsPicked.delete(runs.shift().no);
+    renderHistory();
   }
 
-  // Event wiring
-  btnValidate.addEventListener('click', () => {
-    if (validateParams(true)) { clearComputed(); renderSteps(); }
-  });
-  btnRandom.addEventListener('click', randomizeSecrets);
-  btnRandomAll.addEventListener('click', randomizeAll);
-  btnStep.addEventListener('click', nextStep);
-  btnPrev.addEventListener('click', prevStep);
-  btnAuto.addEventListener('click', toggleAuto);
-  btnReset.addEventListener('click', resetAll);
-  btnVerbose.addEventListener('click', () => {
-    verbose = !verbose;
-    btnVerbose.textContent = verbose ? 'Mode Ringkas' : 'Mode Rinci';
-    renderSteps();
-  });
+  // Encoded transcript value (see encodeValue) in the page's number format
+  function runValue(j) {
+    if (j === undefined) return '—';
+    if (j === null) return 'O';
+    if (typeof j === 'string') return fmtNum(BigInt(j));
+    if (Array.isArray(j)) return j.map(runValue).join(', ');
+    return `(${fmtNum(BigInt(j.x))}, ${fmtNum(BigInt(j.y))})`;
+  }
+  const RESULT_LABELS = { S1: 'S (Alice)', S2: 'S (Bob)', SMA: 'S (Mallory–Alice)', SMB: 'S (Mallory–Bob)' };
+  const runTime = (run) => new Date(run.created).toLocaleTimeString(numberLocale());
+  const runFlow = (run) => (FLOWS[run.flow] ? FLOWS[run.flow].name : run.flow);
+  function runGroup(run) {
+    if (run.protocol === 'ecdh') return `ECDH ${run.curve}`;
+    const P = BigInt(run.params.p);
+    return `p = ${shortText(fmtNum(P))} (${t('param.bits', { bits: bitLength(P) })})`;
+  }
 
-  // If user edits inputs, stop autoplay and clear computed
-  for (const inp of [pInput, gInput, aInput, bInput]) {
-    inp.addEventListener('input', () => { stopAuto(); clearComputed(); stepIdx = 0; setStepIndicator(); stepsBox.textContent = ''; setMessage(''); });
+  function renderHistory() {
+    historyCount.textContent = t('history.count', { n: runs.length });
+    historyList.innerHTML = runs.slice().reverse().map(({ no, run }) => {
+      const S = run.results.S1 ?? run.results.K;
+      return `<div class="history-item">
+          <label class="check" for="run${no}"><input id="run${no}" type="checkbox" data-run="${no}"${runsPicked.has(no) ? ' checked' : ''} /> #${no} · ${runTime(run)}</label>
+          <span class="muted">${runFlow(run)} · ${runGroup(run)}${S !== undefined ? ` · S = ${shortText(runValue(S))}` : ''}</span>
+          <button class="copy-mini" data-open-run="${no}">${t('history.open')}</button>
+        </div>`;
+    }).join('');
+    btnCompare.disabled = runsPicked.size < 2;
+    btnHistoryClear.disabled = runs.length === 0;
+    renderComparison();
   }
 
-  // Copy mini buttons (delegated)
-  document.addEventListener('click', async (ev) => {
-    const btn = ev.target.closest('.copy-mini');
+  function renderComparison() {
+    const shown = runsCompared.map((no) => runs.find((x) => x.no === no)).filter(Boolean);
+    if (shown.length < 2) { compareOut.innerHTML = ''; return; }
+    const list = shown.map((x) => x.run);
+    const rows = compareRuns(list);
+    const cells = (values) => values.map((v) => `<td class="value">${v}</td>`).join('');
+    const differ = rows.filter((r) => !r.same).map((r) => RESULT_LABELS[r.name] || r.name);
+    compareOut.innerHTML = `
+      <table class="eve-table">
+        <thead><tr><th></th>${shown.map((x) => `<th>#${x.no}</th>`).join('')}</tr></thead>
+        <tbody>
+          <tr><th>${t('history.time')}</th>${cells(list.map(runTime))}</tr>
+          <tr><th>${t('history.flow')}</th>${cells(list.map(runFlow))}</tr>
+          ${rows.map((r) => `<tr${r.same ? '' : ' class="history-diff"'}><th>${RESULT_LABELS[r.name] || r.name}</th>`
+            + `${cells(r.values.map((v) => shortText(runValue(v))))}</tr>`).join('')}
+        </tbody>
+      </table>
+      <p>${differ.length ? t('history.differ', { names: differ.join(', ') }) : t('history.same')}</p>`;
+  }
+
+  historyList.addEventListener('change', (ev) => {
+    const no = Number(ev.target.dataset.run);
+    if (!no) return;
+    if (ev.target.checked) runsPicked.add(no); else runsPicked.delete(no);
+    btnCompare.disabled = runsPicked.size < 2;
+  });
+  historyList.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('[data-open-run]');
     if (!btn) return;
-    const targetId = btn.getAttribute('data-copy-target');
-    if (!targetId) return;
-    const span = el(targetId);
-    const text = span && span.textContent ? span.textContent.trim() : '';
-    if (!text || text === '?') { setMessage('Tidak ada nilai untuk disalin.'); return; }
-    try {
-      if (navigator.clipboard && navigator.clipboard.writeText) {
-        await navigator.clipboard.writeText(text);
-      } else {
-        // Fallback
-        const ta = document.createElement('textarea');
-        ta.value = text; document.body.appendChild(ta); ta.select(); document.execCommand('copy'); document.body.removeChild(ta);
-      }
-      setMessage(`Disalin: ${text}`);
-    } catch (e) {
-      setMessage('Gagal menyalin ke clipboard.');
-    }
+    const entry = runs.find((x) => x.no === Number(btn.dataset.openRun));
+    if (entry) applyState(transcriptToState(entry.run), 'history');
+  });
+  btnCompare.addEventListener('click', () => {
+    runsCompared = runs.map((x) => x.no).filter((no) => runsPicked.has(no));
+    renderComparison();
+  });
+  btnHistoryClear.addEventListener('click', () => {
+    runs.length = 0;
+    runsPicked.clear();
+    runsCompared = [];
+    renderHistory();
+  });
+
+  // Square-and-multiply tables for the steps' `trace` entries. Which tables are open and the
+  // page they show survive re-rendering; during auto play the first page of the step just
+  // reached fills in row by row.
+  const TRACE_PAGE = 16;
+  const traceView = new Map(); // key -> { open, page }
+  const traceCache = new Map(); // key -> { base, exp, mod, trace }
+  let traceFill = null; // { key, shown, timer } while rows are being revealed
+
+  function traceOf(key, tc) {
+    const hit = traceCache.get(key);
+    if (hit && hit.base === tc.base && hit.exp === tc.exp && hit.mod === p) return hit.trace;
+    const trace = modPowTrace(tc.base, tc.exp, p);
+    traceCache.set(key, { base: tc.base, exp: tc.exp, mod: p, trace });
+    return trace;
+  }
+
+  // Large counts as "≈ 10^k" so a − 1 with hundreds of digits stays readable
+  function approxCount(n) {
+    const s = n.toString();
+    return s.length > 15 ? `≈ 10^${s.length - 1}` : Number(n).toLocaleString(numberLocale());
+  }
+
+  function traceHtml(key, tc) {
+    const { rows } = traceOf(key, tc);
+    const view = traceView.get(key) || { open: false, page: 0 };
+    const pages = Math.max(1, Math.ceil(rows.length / TRACE_PAGE));
+    const page = Math.min(view.page, pages - 1);
+    const start = page * TRACE_PAGE;
+    const shown = traceFill && traceFill.key === key ? traceFill.shown : Infinity;
+    const ones = rows.filter((r) => r.bit).length;
+    const expDesc = rows.length <= 64
+      ? `${tc.expSym} = ${fmtNum(tc.exp)} = ${tc.exp.toString(2)}₂`
+      : t('trace.expBits', { exp: tc.expSym, bits: rows.length });
+    const body = rows.slice(start, start + TRACE_PAGE).map((r, j) => `
+      <tr data-row="${start + j}"${start + j >= shown ? ' hidden' : ''}>
+        <td>${r.i}</td><td>${r.bit}</td><td class="value">${fmtNum(r.base)}</td>
+        <td>${r.bit ? t('trace.mulMark') : '—'}</td><td class="value">${fmtNum(r.result)}</td>
+      </tr>`).join('');
+    const pageBtn = (to, label, off) => `<button class="trace-page" data-trace="${key}" data-page="${to}"${off ? ' disabled' : ''}>${label}</button>`;
+    const pager = pages > 1 ? `
+      <div class="trace-pager">
+        ${pageBtn(0, '«', page === 0)}${pageBtn(page - 1, t('trace.prev'), page === 0)}
+        <span>${t('trace.page', { page: page + 1, pages, from: start, to: Math.min(start + TRACE_PAGE, rows.length) - 1 })}</span>
+        ${pageBtn(page + 1, t('trace.next'), page === pages - 1)}${pageBtn(pages - 1, '»', page === pages - 1)}
+      </div>` : '';
+    return `
+      <details class="trace" data-trace="${key}"${view.open ? ' open' : ''}>
+        <summary>${t('trace.summary', { label: tc.label, base: tc.baseSym, exp: tc.expSym })}</summary>
+        <p class="muted">${t('trace.explain', { exp: expDesc, squarings: rows.length, multiplications: ones, naive: approxCount(tc.exp > 1n ? tc.exp - 1n : 0n) })}</p>
+        <table class="trace-table">
+          <thead><tr><th>i</th><th>bit</th><th>b = ${tc.baseSym}<sup>2^i</sup> mod p</th><th>${t('trace.multiply')}</th><th>${t('trace.result')}</th></tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+        ${pager}
+      </details>`;
+  }
+
+  function stepTraces(st) {
+    return (st.trace || []).filter(Boolean).map((tc) => traceHtml(`${st.id}:${tc.label}`, tc)).join('');
+  }
+
+  function startTraceFill(st) {
+    stopTraceFill();
+    const tc = (st.trace || []).find(Boolean);
+    if (!tc) return;
+    const key = `${st.id}:${tc.label}`;
+    const total = Math.min(traceOf(key, tc).rows.length, TRACE_PAGE);
+    traceView.set(key, { open: true, page: 0 });
+    traceFill = { key, shown: 0, timer: null };
+    traceFill.timer = setInterval(() => {
+      const box = [...stepsBox.querySelectorAll('details.trace')].find((d) => d.dataset.trace === key);
+      const row = box && box.querySelector(`tr[data-row="${traceFill.shown}"]`);
+      if (row) row.hidden = false;
+      if (++traceFill.shown >= total) stopTraceFill();
+    }, Math.max(25, Math.floor(700 / total)));
+  }
+
+  function stopTraceFill() {
+    if (!traceFill) return;
+    clearInterval(traceFill.timer);
+    traceFill = null;
+  }
+
+  // Practice mode. A step with `ask` shows a question instead of its result until the student
+  // types the right value or has used up the hints; each wrong answer opens the next hint.
+  const QUIZ_TRACE_ROWS = 3; // square-and-multiply rows given away by the second hint
+
+  function quizPending(st) {
+    return !!(quiz && st.ask && quizAnswers[st.ask] && !quizAnswers[st.ask].done);
+  }
+
+  function openQuestion(st) {
+    if (quizAnswers[st.ask]) return;
+    quizAnswers[st.ask] = { label: st.trace[0].label, hints: 0, draft: '', note: '', points: 0, done: false };
+  }
+
+  function focusQuestion(name) {
+    const inp = el(`quiz-${name}`);
+    if (inp) inp.focus();
+  }
+
+  function quizHintHtml(kind, tc, key) {
+    if (kind === 'formula') {
+      const formula = `${tc.label} = ${tc.baseSym}<sup>${tc.expSym}</sup> mod p = ${fmtNum(tc.base)}<sup>${fmtNum(tc.exp)}</sup> mod ${fmtNum(p)}`;
+      return `<p>${t('quiz.hint.formula', { formula })}</p>`;
+    }
+    if (kind === 'trace') {
+      const { rows } = traceOf(key, tc);
+      // Never the whole table: the last row holds the answer
+      const body = rows.slice(0, Math.max(1, Math.min(QUIZ_TRACE_ROWS, rows.length - 1))).map((r) => `
+        <tr><td>${r.i}</td><td>${r.bit}</td><td class="value">${fmtNum(r.base)}</td>
+        <td>${r.bit ? t('trace.mulMark') : '—'}</td><td class="value">${fmtNum(r.result)}</td></tr>`).join('');
+      return `<p>${t('quiz.hint.trace', { exp: tc.expSym, bits: tc.exp.toString(2), last: rows.length - 1 })}</p>
+        <table class="trace-table">
+          <thead><tr><th>i</th><th>bit</th><th>b = ${tc.baseSym}<sup>2^i</sup> mod p</th><th>${t('trace.multiply')}</th><th>${t('trace.result')}</th></tr></thead>
+          <tbody>${body}</tbody>
+        </table>`;
+    }
+    return '';
+  }
+
+  // The question of an open step, in place of its calculation
+  function quizQuestion(st) {
+    const tc = st.trace[0];
+    return `${tc.label} = ${tc.baseSym}<sup>${tc.expSym}</sup> mod p = ?`;
+  }
+
+  function quizHtml(st) {
+    const tc = st.trace[0];
+    const ans = quizAnswers[st.ask];
+    const hints = QUIZ_HINTS.slice(0, ans.hints).map((kind) => quizHintHtml(kind, tc, `${st.id}:${tc.label}`)).join('');
+    return `
+      <div class="quiz calc" data-ask="${st.ask}">
+        <label for="quiz-${st.ask}"><code>${quizQuestion(st)}</code></label>
+        <div class="flex">
+          <input id="quiz-${st.ask}" type="text" inputmode="${numFormat === 'dec' ? 'numeric' : 'text'}" autocomplete="off" value="${escapeHtml(ans.draft)}" />
+          <button class="quiz-check btn-primary" data-ask="${st.ask}">${t('quiz.check')}</button>
+          <button class="quiz-hint" data-ask="${st.ask}">${t('quiz.hint')}</button>
+        </div>
+        ${ans.note ? `<div class="quiz-note">${ans.note}</div>` : ''}
+        ${hints}
+      </div>`;
+  }
+
+  // Line under an answered question: how it went and the points it earned
+  function quizResult(st) {
+    const ans = quiz && st.ask ? quizAnswers[st.ask] : null;
+    if (!ans || !ans.done) return '';
+    return ans.hints >= QUIZ_HINTS.length
+      ? `<br><span class="quiz-note">${t('quiz.shown')}</span>`
+      : `<br><span class="quiz-note">${t('quiz.right', { points: ans.points, max: QUIZ_MAX_POINTS })}</span>`;
+  }
+
+  function updateQuizScore() {
+    quizScoreBox.textContent = t('quiz.score', quizScore);
+  }
+
+  // Close a question, count it in the session score and show the value it was hiding
+  function settleQuestion(name, right) {
+    const ans = quizAnswers[name];
+    ans.done = true;
+    ans.points = right ? quizPoints(ans.hints) : 0;
+    quizScore.points += ans.points;
+    quizScore.max += QUIZ_MAX_POINTS;
+    quizScore.asked++;
+    if (right) quizScore.right++;
+    updateQuizScore();
+    flash(VALUE_BOXES[name]);
+  }
+
+  // Next hint, either asked for or earned by a wrong answer; the last one gives the answer away
+  function nextHint(name) {
+    const ans = quizAnswers[name];
+    ans.hints++;
+    if (ans.hints < QUIZ_HINTS.length) return false;
+    settleQuestion(name, false);
+    return true;
+  }
+
+  function checkAnswer(name) {
+    const st = flowSteps().find((x) => x.ask === name);
+    const ans = quizAnswers[name];
+    if (!st || !quizPending(st)) return;
+    const tc = st.trace[0];
+    const res = gradeAnswer(ans.draft, { base: tc.base, exp: tc.exp, mod: p }, numFormat);
+    if (!res.ok) {
+      ans.note = res.error;
+    } else if (res.verdict === 'unreduced') {
+      ans.note = t('quiz.unreduced', { name: ans.label, p: fmtNum(p) });
+    } else if (res.verdict === 'correct') {
+      settleQuestion(name, true);
+      setMessage(t('quiz.correct', { name: ans.label, value: fmtVal(vals[name]), points: ans.points }));
+    } else if (nextHint(name)) {
+      setMessage(`${t('quiz.wrong')} ${t('quiz.answer', { name: ans.label, value: fmtVal(vals[name]) })}`);
+    } else {
+      ans.note = `${t('quiz.wrong')} ${t('quiz.seeHint', { n: ans.hints })}`;
+    }
+    updateComputedBoxes();
+    renderSteps();
+    focusQuestion(name);
+  }
+
+  function askHint(name) {
+    const ans = quizAnswers[name];
+    if (!ans || ans.done) return;
+    ans.note = '';
+    if (nextHint(name)) setMessage(t('quiz.answer', { name: ans.label, value: fmtVal(vals[name]) }));
+    updateComputedBoxes();
+    renderSteps();
+    focusQuestion(name);
+  }
+
+  // Practice needs the plain two-party DH flow, so the other modes are switched off and locked
+  function setQuiz(on) {
+    stopAuto();
+    if (on) {
+      if (protocol !== 'dh') setProtocol('dh');
+      if (isGroup()) setPartyCount(2);
+      setMitm(false);
+      setConfine(false);
+    }
+    quiz = on;
+    btnQuiz.textContent = t(quiz ? 'quiz.stop' : 'quiz.start');
+    btnQuiz.setAttribute('aria-pressed', String(quiz));
+    btnQuizNew.disabled = !quiz;
+    protocolSel.disabled = quiz;
+    partiesSel.disabled = quiz;
+    btnMitm.disabled = quiz || isGroup();
+    btnConfine.disabled = quiz || isGroup();
+  }
+
+  // Fresh p, g, a and b at the chosen level; the stepper starts over
+  function newExercise() {
+    stopJob();
+    const q = quizParams(quizLevel);
+    pInput.value = fmtNum(q.p);
+    gInput.value = fmtNum(q.g);
+    aInput.value = fmtNum(q.a);
+    bInput.value = fmtNum(q.b);
+    describeP();
+    stepIdx = 0;
+    clearComputed();
+    validateParams(false);
+    const level = QUIZ_LEVELS.find((l) => l.id === quizLevel);
+    setMessage(t('quiz.new', { level: level.name, p: fmtNum(p), g: fmtNum(g), a: fmtNum(a), b: fmtNum(b) }));
+    renderSteps();
+  }
+
+  function renderSteps() {
+    const steps = flowSteps();
+    const html = [
+      '<div class="steps">',
+      ...steps.slice(0, stepIdx).map((st, idx) => {
+        let stateClass = (idx+1 === stepIdx) ? 'step step--active' : 'step step--done';
+        if (st.mallory) stateClass += ' step--mallory';
+        const title = st.title;
+        const desc = verbose ? st.long : st.short;
+        const work = quizPending(st) ? quizHtml(st) : `<div class="calc" style="margin-top:6px">${st.calc}${quizResult(st)}</div>
+              ${stepTraces(st)}`;
+        return `
+          <div class="${stateClass}">
+            <div class="step-num">${idx + 1}</div>
+            <div class="step-content">
+              <div class="step-title">${title}</div>
+              <div class="step-body">${desc}</div>
+              ${work}
+            </div>
+          </div>`;
+      }),
+      '</div>'
+    ].join('');
+
+    stepsBox.innerHTML = html;
+    setStepIndicator();
+    drawSequence(steps);
+    saveHash();
+  }
+
+  // Sequence diagram of the two-party flows, drawn from the steps' sends/keeps up to stepIdx.
+  // A step forward sends its messages across the wire; a step back sends them home again.
+  const SEQ_WIDTH = 560;
+  const SEQ_MOVE_MS = 1000; // renders within this time of a step keep its animation
+  let seqDrawn = 0; // stepIdx of the last drawing
+  let seqMove = null; // { step, back, until } while a step is animating
+  let seqMarkup = '';
+
+  function seqValue(item) {
+    if (!('key' in item)) return item.value ?? null;
+    if (quiz && quizAnswers[item.key] && !quizAnswers[item.key].done) return null;
+    return vals[item.key] ?? null;
+  }
+  // "A = 12345…6789" with the whole value in a tooltip
+  function seqText(item) {
+    const x = seqValue(item);
+    if (x === null) return { text: `${item.name} = ?`, full: '' };
+    const s = typeof x === 'string' ? x : fmtVal(x);
+    return s.length > 12 ? { text: `${item.name} = ${s.slice(0, 5)}…${s.slice(-4)}`, full: s } : { text: `${item.name} = ${s}`, full: '' };
+  }
+  const seqEsc = (s) => s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+
+  function drawSequence(steps = flowSteps()) {
+    const flow = currentFlow();
+    const show = !!flow.parties;
+    seqSvg.hidden = !show;
+    seqEveChk.disabled = !show;
+    seqNote.hidden = show;
+    if (!show) { seqNote.textContent = t('seq.groupOnly'); seqMarkup = ''; return; }
+    if (stepIdx !== seqDrawn) {
+      seqMove = Math.abs(stepIdx - seqDrawn) === 1
+        ? { step: Math.max(stepIdx, seqDrawn), back: stepIdx < seqDrawn, until: Date.now() + SEQ_MOVE_MS }
+        : null;
+      seqDrawn = stepIdx;
+    }
+    const moving = seqMove && Date.now() < seqMove.until ? seqMove : null;
+    const eve = seqEveChk.checked;
+
+    const cols = flow.parties.length;
+    const boxW = 170;
+    const colX = flow.parties.map((_, i) => 20 + boxW / 2 + i * (SEQ_WIDTH - 40 - boxW) / (cols - 1));
+    const xOf = (party) => colX[flow.parties.indexOf(party)];
+    const lineH = 15;
+    // Boxes are as tall as the fullest box at the end of the flow, so nothing moves while stepping
+    const held = (upTo) => {
+      const out = Object.fromEntries(flow.parties.map((q) => [q, []]));
+      steps.slice(0, upTo).forEach((st, idx) => {
+        for (const k of st.keeps || []) out[k.party].push({ ...k, step: idx + 1 });
+        for (const m of st.sends || []) out[m.to].push({ ...m, step: idx + 1, received: true });
+      });
+      return out;
+    };
+    const boxH = 28 + lineH * Math.max(1, ...Object.values(held(steps.length)).map((xs) => xs.length));
+    const sends = [];
+    steps.forEach((st, idx) => { for (const m of st.sends || []) sends.push({ ...m, step: idx + 1 }); });
+    const rowH = 24;
+    const top = boxH + 30;
+    const eveTop = top + sends.length * rowH + 16;
+    const eveH = 28 + lineH * Math.max(1, sends.length);
+    const height = (eve ? eveTop + eveH : top + sends.length * rowH) + 8;
+    const isNew = (step) => moving && !moving.back && step === moving.step;
+
+    const itemText = (k, x, y) => {
+      const { text, full } = seqText(k);
+      const cls = [k.secret ? 'seq-secret' : k.received ? 'seq-received' : 'seq-own', isNew(k.step) ? 'seq-new' : ''].filter(Boolean).join(' ');
+      return `<text x="${x}" y="${y}" class="${cls}">${k.secret ? '🔒 ' : k.received ? '← ' : ''}${seqEsc(text)}${full ? `<title>${seqEsc(`${k.name} = ${full}`)}</title>` : ''}</text>`;
+    };
+    const now = held(stepIdx);
+    const parts = flow.parties.map((q) => {
+      const x = xOf(q);
+      const evil = q === flow.attacker;
+      return `<g class="seq-party${evil ? ' seq-party--evil' : ''}">`
+        + `<rect x="${x - boxW / 2}" y="4" width="${boxW}" height="${boxH}" rx="8"/>`
+        + `<text x="${x}" y="21" class="seq-name" text-anchor="middle">${q}</text>`
+        + now[q].map((k, i) => itemText(k, x - boxW / 2 + 8, 40 + i * lineH)).join('')
+        + `<line x1="${x}" y1="${boxH + 4}" x2="${x}" y2="${top + sends.length * rowH}" class="seq-life"/></g>`;
+    });
+
+    const rows = sends.map((m, i) => {
+      const y = top + i * rowH + rowH / 2;
+      const x1 = xOf(m.from), x2 = xOf(m.to);
+      const dir = Math.sign(x2 - x1);
+      const { text, full } = seqText(m);
+      const label = `<text x="${(x1 + x2) / 2}" y="${y - 4}" text-anchor="middle" class="seq-msg">${seqEsc(text)}${full ? `<title>${seqEsc(`${m.name} = ${full}`)}</title>` : ''}</text>`;
+      const packet = (cls) => `<g class="${cls}" style="--dx: ${x1 - x2}px"><rect x="${x2 - 14 - dir * 6}" y="${y - 8}" width="28" height="16" rx="4"/>`
+        + `<text x="${x2 - dir * 6}" y="${y + 4}" text-anchor="middle">${seqEsc(m.name)}</text></g>`;
+      if (m.step > stepIdx) return moving && moving.back && m.step === moving.step ? packet('seq-packet seq-packet--back') : '';
+      const fresh = isNew(m.step);
+      return `<g class="seq-row${fresh ? ' seq-new' : ''}"><text x="4" y="${y + 4}" class="seq-step">${m.step}</text>`
+        + `<line x1="${x1 + dir * 4}" y1="${y}" x2="${x2 - dir * 6}" y2="${y}" class="seq-arrow" marker-end="url(#seqHead)"/>${label}`
+        + `${eve ? `<circle cx="${(x1 + x2) / 2}" cy="${y}" r="3" class="seq-tap"/>` : ''}</g>${fresh ? packet('seq-packet') : ''}`;
+    });
+
+    let eveBox = '';
+    if (eve) {
+      const seen = sends.filter((m) => m.step <= stepIdx);
+      const x = SEQ_WIDTH / 2, w = 260;
+      eveBox = `<g class="seq-party seq-party--eve">`
+        + `<rect x="${x - w / 2}" y="${eveTop}" width="${w}" height="${eveH}" rx="8"/>`
+        + `<text x="${x}" y="${eveTop + 17}" class="seq-name" text-anchor="middle">${t('seq.eve')}</text>`
+        + (seen.length
+          ? seen.map((m, i) => itemText({ ...m, received: true }, x - w / 2 + 8, eveTop + 36 + i * lineH)).join('')
+          : `<text x="${x}" y="${eveTop + 36}" text-anchor="middle" class="seq-empty">${t('seq.eveNothing')}</text>`)
+        + '</g>';
+    }
+
+    const markup = `
+      <defs><marker id="seqHead" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z"/></marker></defs>
+      ${parts.join('')}${eveBox}${rows.join('')}`;
+    seqSvg.setAttribute('viewBox', `0 0 ${SEQ_WIDTH} ${height}`);
+    if (markup !== seqMarkup) { seqMarkup = markup; seqSvg.innerHTML = markup; }
+  }
+
+  // Run the compute() of every step up to stepIdx that has not run yet, in order, so later
+  // steps can rely on the values of earlier ones. The promise settles when async computes
+  // (the HKDF step) have finished.
+  function runComputes(steps) {
+    const pending = [];
+    while (computedUpTo < stepIdx) {
+      const st = steps[computedUpTo++];
+      if (st.compute) pending.push(st.compute());
+      if (quiz && st.ask && vals[st.ask] !== undefined) openQuestion(st);
+    }
+    return Promise.all(pending);
+  }
+
+  function nextStep() {
+    if (uncheckedP() !== null) { withCheckedP(nextStep); return; }
+    if (!validateParams(false)) { setMessage(t('ui.fixParams')); return; }
+    const steps = flowSteps();
+    if (stepIdx >= steps.length) return;
+    const open = steps.slice(0, stepIdx).findIndex(quizPending);
+    if (open >= 0) {
+      stopAuto();
+      setMessage(t('quiz.answerFirst', { name: quizAnswers[steps[open].ask].label, n: open + 1 }));
+      focusQuestion(steps[open].ask);
+      return;
+    }
+
+    stepIdx++;
+    runComputes(steps);
+    if (steps[stepIdx - 1].id === 'verify') recordRun();
+    for (const name of steps[stepIdx - 1].reveals || []) flash(VALUE_BOXES[name]);
+    // Rebuilt so the trace sees the values computed just now
+    if (timer) startTraceFill(flowSteps()[stepIdx - 1]);
+    updateComputedBoxes();
+    renderSteps();
+    if (steps[stepIdx - 1].ask) focusQuestion(steps[stepIdx - 1].ask);
+  }
+
+  function prevStep() {
+    if (stepIdx <= 0) return;
+    stepIdx--;
+    updateComputedBoxes();
+    renderSteps();
+  }
+
+  function resetAll() {
+    stopAuto();
+    // read current inputs, but do not change them unless invalid
+    const R = readInputs();
+    if (R.ok) { p = R.p; g = R.g; a = R.a; b = R.b; extraSecrets = R.extra; }
+    stepIdx = 0;
+    clearComputed();
+    setMessage('');
+    renderSteps();
+  }
+
+  function startAuto() {
+    if (timer) return; // already running
+    btnAuto.textContent = t('ui.autoStop');
+    btnStep.disabled = true;
+    btnPrev.disabled = true;
+    btnRandom.disabled = true;
+    btnValidate.disabled = true;
+    timer = setInterval(() => {
+      if (stepIdx >= totalSteps()) { stopAuto(); return; }
+      nextStep();
+    }, 900);
+  }
+
+  function stopAuto() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    btnAuto.textContent = t('ui.auto');
+    btnStep.disabled = false;
+    btnPrev.disabled = false;
+    btnRandom.disabled = false;
+    btnValidate.disabled = false;
+  }
+
+  function toggleAuto() { timer ? stopAuto() : startAuto(); }
+
+  function randomizeSecrets() {
+    if (uncheckedP() !== null) { withCheckedP(randomizeSecrets); return; }
+    if (protocol === 'dh' && !validateParams(false)) { setMessage(t('random.needParams')); return; }
+    // a,b in [2 .. p-2] (DH) or [1 .. n-1] (ECDH)
+    const { min, max } = secretRange();
+    if (max < min) { setMessage(t('random.badRange')); return; }
+    const r1 = randomBigIntInRange(min, max);
+    const r2 = randomBigIntInRange(min, max);
+    a = r1; b = r2;
+    aInput.value = fmtNum(a);
+    bInput.value = fmtNum(b);
+    if (isGroup()) {
+      rollExtraSecrets(min, max);
+      setMessage(t('random.group', { n: partyCount }));
+    } else if (mitm) {
+      ma = randomBigIntInRange(min, max);
+      mb = randomBigIntInRange(min, max);
+      maInput.value = fmtNum(ma);
+      mbInput.value = fmtNum(mb);
+      setMessage(t('random.mitm'));
+    } else {
+      setMessage(t('random.secrets'));
+    }
+    clearComputed();
+    renderSteps();
+  }
+
+  // Secrets of participants 3..N, written back to their inputs
+  function rollExtraSecrets(min, max) {
+    extraSecrets = extraSecrets.map(() => randomBigIntInRange(min, max));
+    extraSecrets.forEach((k, idx) => { el(`x${idx + 3}`).value = fmtNum(k); });
+  }
+
+  // Prime searches and primality checks of large p run in a worker (lib/dh-worker.js), so the
+  // stepper stays usable meanwhile. One job at a time: a new one replaces the running one, and
+  // cancelling terminates the worker. Without worker support the job runs here and blocks.
+  const WORKER_BITS = 256; // smaller p are checked on the spot
+  let worker = null;
+  let workerBroken = false;
+  let job = null; // { id, name, args, label, done, stopped, started } of the running job
+  let jobSeq = 0;
+
+  function createWorker() {
+    const w = new Worker('./lib/dh-worker.js', { type: 'module' });
+    w.onmessage = ({ data }) => onJobMessage(data);
+    // The script did not load (no module workers, opaque origin): run the job here instead
+    w.onerror = (ev) => {
+      ev.preventDefault();
+      w.terminate();
+      if (worker === w) worker = null;
+      workerBroken = true;
+      if (job) runHereLater(job.id);
+    };
+    return w;
+  }
+
+  // Run job `name` of lib/jobs.js; done(result, ms) is called when it finishes, and the optional
+  // stopped() when it is cancelled, replaced or fails instead
+  function startJob(name, args, label, done, stopped = null) {
+    stopJob();
+    job = { id: ++jobSeq, name, args, label, done, stopped, started: performance.now() };
+    showWork(null);
+    if (!workerBroken && typeof Worker === 'function') {
+      try {
+        if (!worker) worker = createWorker();
+        worker.postMessage({ id: job.id, name, args });
+        return;
+      } catch (e) {
+        worker = null;
+        workerBroken = true;
+      }
+    }
+    runHereLater(job.id);
+  }
+
+  // Give the progress line a chance to paint before the blocking run
+  function runHereLater(id) {
+    setTimeout(() => {
+      if (!job || job.id !== id) return;
+      try {
+        onJobMessage({ id, ...runJob(job.name, job.args) });
+      } catch (e) {
+        onJobMessage({ id, error: e.message });
+      }
+    }, 30);
+  }
+
+  function onJobMessage(data) {
+    if (!job || job.id !== data.id) return; // from a job that was replaced
+    if ('error' in data) {
+      const { label, stopped } = job;
+      endJob();
+      setMessage(t('work.failed', { label, error: data.error }));
+      if (stopped) stopped();
+    } else if ('result' in data) {
+      const { done, started } = job;
+      endJob();
+      done(data.result, performance.now() - started);
+    } else {
+      showWork(data.progress);
+    }
+  }
+
+  // `progress` is { candidates, rounds } from the worker, null before the first report
+  function showWork(progress) {
+    const s = ((performance.now() - job.started) / 1000).toLocaleString(numberLocale(), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    const n = (x) => x.toLocaleString(numberLocale());
+    if (!progress) workText.textContent = job.label;
+    else if (progress.candidates) workText.textContent = t('work.progress', { label: job.label, candidates: n(progress.candidates), rounds: n(progress.rounds), s });
+    else workText.textContent = t('work.progressRounds', { label: job.label, rounds: n(progress.rounds), s });
+    workBox.hidden = false;
+  }
+
+  function endJob() {
+    job = null;
+    workBox.hidden = true;
+  }
+
+  // A job cannot be interrupted inside the worker, so the worker goes with it. Returns the
+  // label of the stopped job, or null when nothing was running.
+  function stopJob() {
+    if (!job) return null;
+    if (worker) { worker.terminate(); worker = null; }
+    const { label, stopped } = job;
+    endJob();
+    if (stopped) stopped();
+    return label;
+  }
+
+  // The p typed in DH mode when its primality is not known yet and checking it is slow
+  function uncheckedP() {
+    if (protocol !== 'dh') return null;
+    const R = parseNum(pInput.value);
+    if (!R.ok || bitLength(R.value) < WORKER_BITS || verdictCache.has(R.value)) return null;
+    return R.value;
+  }
+
+  // Check a large p (and factor p-1 for the generator panel) in the worker, then call fn, which
+  // validates from the caches. Small or already checked p go straight to fn; stopped() is
+  // called instead when the check is cancelled or replaced.
+  function withCheckedP(fn, stopped = null) {
+    const P = uncheckedP();
+    if (P === null) { fn(); return; }
+    const done = ({ verdict, order }) => {
+      rememberVerdict(P, verdict);
+      if (order) cacheOrderFactors(P, order);
+      fn();
+    };
+    // A check of the same p is kept running (auto play ticks, repeated clicks); only the
+    // latest caller continues when it ends
+    if (job && job.name === 'checkP' && job.args.p === P) {
+      job.done = done;
+      job.stopped = stopped;
+      return;
+    }
+    const factor = !STANDARD_GROUPS.some((x) => x.p === P) && !orderFactorCache.has(P);
+    startJob('checkP', { p: P, factor, tests: primeTests() }, t('work.checkP', { bits: bitLength(P) }), done, stopped);
+  }
+
+  function randomizeAll() {
+    stopAuto();
+    // ECDH keeps the chosen curve; only the secrets change
+    if (protocol === 'ecdh') { stepIdx = 0; randomizeSecrets(); return; }
+    const bits = Number(bitSizeSel.value) || 0; // 0 = demo range 401..2000
+    const safe = safePrimeChk.checked;
+    const certify = safe && certifyChk.checked && bits > 0;
+    const label = !bits ? t('work.demo') : t(certify ? 'random.generatingCertified' : safe ? 'random.generatingSafe' : 'random.generating', { bits });
+    startJob('group', { bits, safe, certify, tests: primeTests() }, label, (grp, ms) => applyRandomGroup(grp, safe, ms));
+  }
+
+  // grp is the { p, g, factors } found by the 'group' job
+  function applyRandomGroup(grp, safe, ms) {
+    const newP = grp.p, newG = grp.g;
+    rememberVerdict(newP, grp.verdict);
+    rememberOrderFactors(newP, grp.factors);
+    const range = (newP - 3n) + 1n; // 2..p-2 inclusive
+    const newA = (range > 0n ? randomBigIntBelow(range) + 2n : 2n);
+    const newB = (range > 0n ? randomBigIntBelow(range) + 2n : 3n);
+    // Mallory's secrets are re-rolled too so they stay in 2..p-2 for the new p
+    const newMa = (range > 0n ? randomBigIntBelow(range) + 2n : 2n);
+    const newMb = (range > 0n ? randomBigIntBelow(range) + 2n : 3n);
+
+    // Update inputs
+    pInput.value = fmtNum(newP);
+    gInput.value = fmtNum(newG);
+    describeP();
+    aInput.value = fmtNum(newA);
+    bInput.value = fmtNum(newB);
+    maInput.value = fmtNum(newMa);
+    mbInput.value = fmtNum(newMb);
+    rollExtraSecrets(2n, newP - 2n);
+
+    // Update state and UI
+    p = newP; g = newG; a = newA; b = newB; ma = newMa; mb = newMb;
+    stepIdx = 0;
+    clearComputed();
+    const kind = t(safe ? 'random.kindSafe' : 'random.kindPrimitive');
+    const lines = [t('random.done', { bits: bitLength(newP), kind, ms: ms.toFixed(0) }), describeVerdict(grp.verdict)];
+    if (grp.verdict.certificate) lines.push(...describeCertificate(grp.verdict.certificate).map((line, i) => `${i + 1}. ${line}`));
+    setMessage(lines.join('\n'));
+    renderSteps();
+  }
+
+  // Preset: 64-bit prime whose p-1 only has small factors, so Pohlig–Hellman wins instantly
+  function randomizeSmooth() {
+    stopAuto();
+    startJob('smooth', { bits: 64, tests: primeTests() }, t('work.smooth'), applySmooth);
+  }
+
+  function applySmooth(sp) {
+    if (sp === null) { setMessage(t('random.smoothFailed')); return; }
+    const newP = sp.p, newG = sp.g;
+    rememberVerdict(newP, sp.verdict);
+    rememberOrderFactors(newP, sp.factors);
+    const range = (newP - 3n) + 1n;
+    pInput.value = fmtNum(newP);
+    gInput.value = fmtNum(newG);
+    describeP();
+    aInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    bInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    maInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    mbInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    rollExtraSecrets(2n, newP - 2n);
+    stepIdx = 0;
+    clearComputed();
+    if (validateParams(true)) renderSteps();
+  }
+
+  // Switch between classic DH and ECDH; the stepper restarts but keeps verbose/MITM settings
+  function setProtocol(mode) {
+    stopAuto();
+    protocol = mode === 'ecdh' ? 'ecdh' : 'dh';
+    protocolSel.value = protocol;
+    for (const node of document.querySelectorAll('.dh-only')) node.hidden = protocol !== 'dh';
+    for (const node of document.querySelectorAll('.ecdh-only')) node.hidden = protocol !== 'ecdh';
+    if (protocol === 'ecdh' && confine) setConfine(false);
+    // Labels carry both notations, e.g. data-dh="A = g^a mod p" data-ecdh="A = a·G"
+    for (const node of document.querySelectorAll('[data-ecdh]')) {
+      node.textContent = protocol === 'ecdh' ? node.dataset.ecdh : node.dataset.dh;
+    }
+    describeCurve();
+    stepIdx = 0;
+    clearComputed();
+    renderSteps();
+    withCheckedP(() => {
+      if (validateParams(false)) setMessage(protocol === 'ecdh' ? t('mode.ecdh', { curve: curve.name }) : t('mode.dh'));
+      else setMessage(t('mode.invalid'));
+      renderSteps();
+    });
+  }
+
+  function setMitm(on) {
+    mitm = on;
+    btnMitm.textContent = t(mitm ? 'ui.mitmOff' : 'ui.mitmOn');
+    btnMitm.setAttribute('aria-pressed', String(mitm));
+    mitmParams.hidden = !mitm;
+    mitmResults.hidden = !mitm;
+  }
+
+  function setConfine(on) {
+    confine = on;
+    btnConfine.textContent = t(confine ? 'ui.confineOff' : 'ui.confineOn');
+    btnConfine.setAttribute('aria-pressed', String(confine));
+    confineParams.hidden = !confine;
+  }
+
+  // 2 = Alice and Bob, 3..8 = ring-based group DH. MITM and the chat only exist for two parties.
+  function setPartyCount(n) {
+    stopAuto();
+    partyCount = Math.min(Math.max(n, 2), PARTY_NAMES.length);
+    partiesSel.value = String(partyCount);
+    if (isGroup() && mitm) setMitm(false);
+    if (isGroup() && confine) setConfine(false);
+    btnMitm.disabled = isGroup();
+    btnConfine.disabled = isGroup();
+    buildGroupInputs();
+    pairResults.hidden = isGroup();
+    groupResults.hidden = !isGroup();
+    stepIdx = 0;
+    clearComputed();
+    renderSteps();
+    withCheckedP(() => {
+      if (!validateParams(false)) setMessage(t('mode.partiesInvalid'));
+      else setMessage(isGroup() ? t('mode.group', { n: partyCount }) : t('mode.twoParty'));
+      renderSteps();
+    });
+  }
+
+  // Secret inputs for Carol..Heidi; values already typed are kept when the count changes
+  function buildGroupInputs() {
+    const { min, max } = secretRange();
+    const old = extraSecrets;
+    extraSecrets = [];
+    groupParams.innerHTML = '';
+    for (let i = 2; i < partyCount; i++) {
+      const k = old[i - 2] !== undefined ? old[i - 2] : (max >= min ? randomBigIntInRange(min, max) : min);
+      extraSecrets.push(k);
+      const box = document.createElement('div');
+      const label = document.createElement('label');
+      label.htmlFor = `x${i + 1}`;
+      // Labelled through data-i18n so a language switch relabels it with the static text
+      label.dataset.i18n = 'param.partySecret';
+      label.dataset.i18nParams = JSON.stringify({ name: PARTY_NAMES[i], n: i + 1 });
+      label.textContent = t(label.dataset.i18n, { name: PARTY_NAMES[i], n: i + 1 });
+      const inp = document.createElement('input');
+      inp.id = `x${i + 1}`;
+      inp.type = 'text';
+      inp.inputMode = numFormat === 'dec' ? 'numeric' : 'text';
+      inp.value = fmtNum(k);
+      inp.addEventListener('input', onParamInput);
+      box.append(label, inp);
+      groupParams.appendChild(box);
+    }
+    groupParams.hidden = !isGroup();
+  }
+
+  // Switch the number format. Typed values are rewritten when they parse in the old format;
+  // anything else is left alone so the user can still fix it.
+  function setNumFormat(fmt) {
+    const next = NUMBER_FORMATS.some((f) => f.id === fmt) ? fmt : 'dec';
+    for (const inp of [pInput, gInput, aInput, bInput, maInput, mbInput, ...groupParams.querySelectorAll('input')]) {
+      const R = parseNum(inp.value);
+      if (R.ok) inp.value = formatBigInt(R.value, next);
+      inp.inputMode = next === 'dec' ? 'numeric' : 'text';
+    }
+    numFormat = next;
+    numFormatSel.value = next;
+    describeCurve();
+    updateComputedBoxes();
+    renderSteps();
+  }
+
+  function setCurve(id) {
+    curve = CURVES.find((c) => c.id === id) || CURVES[0];
+    setProtocol('ecdh');
+  }
+
+  function describeCurve() {
+    curveInfo.textContent = `p = ${fmtNum(curve.p)}, a = ${fmtNum(curve.a)}, b = ${fmtNum(curve.b)}, G = ${fmtVal(curve.G)}, n = ${fmtNum(curve.n)}`;
+    curvePlot.hidden = !curve.plot;
+  }
+
+  // Point plot for the teaching curves: every point of E(F_p), with G, A, B and S highlighted
+  // once the narrative has revealed them
+  function drawCurvePlot() {
+    if (protocol !== 'ecdh' || !curve.plot) return;
+    const size = 240, pad = 18;
+    const P = Number(curve.p);
+    const cell = (size - 2 * pad) / (P - 1);
+    const X = (x) => pad + Number(x) * cell;
+    const Y = (y) => size - pad - Number(y) * cell;
+    const marks = [
+      { pt: curve.G, cls: 'pt-g', label: 'G' },
+      { pt: revealed('A'), cls: 'pt-a', label: 'A' },
+      { pt: revealed('B'), cls: 'pt-b', label: 'B' },
+      { pt: revealed('S1'), cls: 'pt-s', label: 'S' },
+    ];
+    const dots = [];
+    for (let x = 0n; x < curve.p; x++) {
+      const rhs = (x * x * x + curve.a * x + curve.b) % curve.p;
+      for (let y = 0n; y < curve.p; y++) {
+        if ((y * y) % curve.p === rhs) dots.push(`<circle cx="${X(x)}" cy="${Y(y)}" r="2.5" class="pt"/>`);
+      }
+    }
+    const hl = marks.filter((m) => m.pt).map((m) =>
+      `<circle cx="${X(m.pt.x)}" cy="${Y(m.pt.y)}" r="5" class="${m.cls}"/>`
+      + `<text x="${X(m.pt.x) + 6}" y="${Y(m.pt.y) - 6}" class="${m.cls}-label">${m.label}</text>`);
+    curvePlot.innerHTML = `
+      <line x1="${pad}" y1="${size - pad}" x2="${size - pad}" y2="${size - pad}" class="axis"/>
+      <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${size - pad}" class="axis"/>
+      <text x="${size - pad}" y="${size - 4}" class="axis-label" text-anchor="end">x (0..${P - 1})</text>
+      <text x="2" y="${pad - 6}" class="axis-label">y</text>
+      ${dots.join('')}
+      ${hl.join('')}`;
+  }
+
+  // Fill p and g from a standard group and pick fresh secrets for it
+  function applyPreset() {
+    const grp = STANDARD_GROUPS.find((x) => x.id === presetSel.value);
+    if (!grp) return;
+    stopAuto();
+    const range = (grp.p - 3n) + 1n;
+    pInput.value = fmtNum(grp.p);
+    gInput.value = fmtNum(grp.g);
+    aInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    bInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    maInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    mbInput.value = fmtNum(randomBigIntBelow(range) + 2n);
+    describeP();
+    stepIdx = 0;
+    clearComputed();
+    renderSteps();
+    setMessage(t('preset.loading', { name: grp.name }));
+    // The probabilistic check on a 4096-bit p takes a few seconds; it runs in the worker
+    withCheckedP(() => {
+      if (validateParams(true)) {
+        setMessage(`${t('preset.loaded', { name: grp.name, bits: bitLength(grp.p), g: fmtNum(grp.g) })}\n${msgBox.textContent}`);
+        renderSteps();
+      }
+    });
+  }
+
+  // Event wiring
+  btnValidate.addEventListener('click', () => withCheckedP(() => {
+    if (validateParams(true)) { clearComputed(); renderSteps(); }
+    explainP();
+  }));
+  mrBasesSel.addEventListener('change', () => withCheckedP(explainP));
+  // A pseudoprime becomes p, with the bases it fools chosen, and is validated at once
+  mrPseudoSel.addEventListener('change', () => {
+    const item = STRONG_PSEUDOPRIMES[Number(mrPseudoSel.value)];
+    if (!item) return;
+    pInput.value = fmtNum(item.n);
+    mrBasesSel.value = String(item.bases);
+    describeP();
+    btnValidate.click();
+  });
+  btnCancelWork.addEventListener('click', () => {
+    const label = stopJob();
+    if (label) setMessage(t('work.cancelled', { label }));
+  });
+  btnRandom.addEventListener('click', randomizeSecrets);
+  btnRandomAll.addEventListener('click', randomizeAll);
+  btnRandomSmooth.addEventListener('click', randomizeSmooth);
+  safePrimeChk.addEventListener('change', () => { certifyChk.disabled = !safePrimeChk.checked; });
+  seqEveChk.addEventListener('change', () => drawSequence());
+  for (const ctl of [mrRoundsSel, chkBpsw]) {
+    ctl.addEventListener('change', () => {
+      forgetVerdicts();
+      withCheckedP(() => {
+        if (validateParams(true)) renderSteps();
+        if (mrP !== null) explainP();
+      });
+    });
+  }
+  presetSel.addEventListener('change', applyPreset);
+  protocolSel.addEventListener('change', () => setProtocol(protocolSel.value));
+  curveSel.addEventListener('change', () => setCurve(curveSel.value));
+  numFormatSel.addEventListener('change', () => setNumFormat(numFormatSel.value));
+  btnStep.addEventListener('click', nextStep);
+  btnPrev.addEventListener('click', prevStep);
+  btnAuto.addEventListener('click', toggleAuto);
+  btnReset.addEventListener('click', resetAll);
+  btnVerbose.addEventListener('click', () => {
+    verbose = !verbose;
+    btnVerbose.textContent = t(verbose ? 'ui.brief' : 'ui.verbose');
+    renderSteps();
+  });
+  btnMitm.addEventListener('click', () => {
+    stopAuto();
+    setMitm(!mitm);
+    if (mitm) setConfine(false);
+    // The flow changes shape, so restart it from the beginning
+    stepIdx = 0;
+    clearComputed();
+    setMessage(mitm ? t('mode.mitmOn', { step: stepNumber('intercept') }) : t('mode.mitmOff'));
+    renderSteps();
+  });
+
+  btnConfine.addEventListener('click', () => {
+    stopAuto();
+    setConfine(!confine);
+    if (confine) setMitm(false);
+    stepIdx = 0;
+    clearComputed();
+    setMessage(confine ? t('mode.confineOn', { r: evilOrder, step: stepNumber('evilB') }) : t('mode.confineOff'));
+    renderSteps();
+  });
+  evilBSel.addEventListener('change', () => {
+    stopAuto();
+    evilOrder = BigInt(evilBSel.value);
+    stepIdx = 0;
+    clearComputed();
+    renderSteps();
+  });
+  for (const chk of [chkRange, chkSubgroup]) {
+    chk.addEventListener('change', () => {
+      stopAuto();
+      stepIdx = 0;
+      clearComputed();
+      const skipped = chkSubgroup.checked && protocol === 'dh' && safeSubgroupOrder() === null;
+      setMessage(skipped ? t('check.subgroupOnlySafe') : '');
+      renderSteps();
+    });
+  }
+
+  partiesSel.addEventListener('change', () => setPartyCount(Number(partiesSel.value)));
+
+  // If user edits inputs, stop autoplay and clear computed
+  function onParamInput() {
+    stopAuto(); clearComputed(); stepIdx = 0; setStepIndicator(); stepsBox.textContent = ''; setMessage('');
+  }
+  for (const inp of [pInput, gInput, aInput, bInput, maInput, mbInput]) {
+    inp.addEventListener('input', onParamInput);
+  }
+  pInput.addEventListener('input', describeP);
+
+  // HKDF + AES-GCM session (Web Crypto)
+  const KDF_INFO = 'difie-hellman demo chat v1';
+  const hasSubtle = typeof crypto !== 'undefined' && !!crypto.subtle;
+  const toHex = (bytes) => Array.from(bytes, (x) => x.toString(16).padStart(2, '0')).join('');
+
+  function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // Big-endian bytes of the shared secret: DH pads S to the byte length of p, ECDH uses x(S)
+  function sharedSecretBytes(S) {
+    const mod = protocol === 'ecdh' ? curve.p : p;
+    const value = protocol === 'ecdh' ? S.x : S;
+    const len = Math.ceil(bitLength(mod) / 8);
+    const out = new Uint8Array(len);
+    let v = value;
+    for (let i = len - 1; i >= 0; i--) { out[i] = Number(v & 0xffn); v >>= 8n; }
+    return out;
+  }
+
+  async function hkdfAesKey(ikm) {
+    const base = await crypto.subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(KDF_INFO) },
+      base, 256);
+    const raw = new Uint8Array(bits);
+    const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    return { hex: toHex(raw), key };
+  }
+
+  async function deriveSessionKeys() {
+    if (!hasSubtle) { setMessage(t('chat.noSubtle')); return; }
+    const run = kdfRun;
+    const { S1: sA, S2: sB, SMA: sMA = null, SMB: sMB = null } = vals;
+    if (sA === undefined || sB === undefined) return; // a receiver rejected the exchange
+    try {
+      const wrongIkm = sharedSecretBytes(sB);
+      wrongIkm[wrongIkm.length - 1] ^= 1; // one flipped bit is enough to break decryption
+      const [kA, kB, kMA, kMB, kW] = await Promise.all([
+        hkdfAesKey(sharedSecretBytes(sA)),
+        hkdfAesKey(sharedSecretBytes(sB)),
+        sMA !== null ? hkdfAesKey(sharedSecretBytes(sMA)) : null,
+        sMB !== null ? hkdfAesKey(sharedSecretBytes(sMB)) : null,
+        hkdfAesKey(wrongIkm),
+      ]);
+      if (run !== kdfRun) return;
+      kAlice = kA; kBob = kB; kMalA = kMA; kMalB = kMB; kBobWrong = kW;
+      updateComputedBoxes();
+      renderSteps();
+    } catch (e) {
+      setMessage(t('chat.kdfFailed', { error: e.message }));
+    }
+  }
+
+  async function aesEncrypt(k, text) {
+    const nonce = crypto.getRandomValues(new Uint8Array(12));
+    const ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv: nonce }, k.key, new TextEncoder().encode(text)));
+    return { nonce, ct };
+  }
+
+  // Resolves to { ok, text } instead of throwing, so a wrong key shows up as a failed line
+  async function aesDecrypt(k, msg) {
+    try {
+      const pt = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: msg.nonce }, k.key, msg.ct);
+      return { ok: true, text: new TextDecoder().decode(pt) };
+    } catch (e) {
+      return { ok: false, text: '' };
+    }
+  }
+
+  function chatReady() {
+    const n = stepNumber('chat');
+    return n !== null && stepIdx >= n && kAlice !== null && kBob !== null;
+  }
+
+  function updateChatPanel() {
+    const ready = chatReady();
+    for (const node of [chatAliceInput, chatBobInput, btnSendAlice, btnSendBob]) node.disabled = !ready;
+    const n = stepNumber('chat');
+    if (n === null) { chatStatus.textContent = t('chat.notInFlow'); return; }
+    chatStatus.textContent = ready ? t(mitm ? 'chat.openMitm' : 'chat.open') : t('chat.locked', { step: n });
+  }
+
+  async function sendChat(from) {
+    if (!chatReady()) return;
+    const input = from === 'alice' ? chatAliceInput : chatBobInput;
+    const text = input.value.trim();
+    if (!text) return;
+    input.value = '';
+    const names = { alice: 'Alice', bob: 'Bob' };
+    const to = from === 'alice' ? 'bob' : 'alice';
+    // Bob's key is swapped for a wrong one when the mismatch toggle is on
+    const bobKey = chatMismatch.checked ? kBobWrong : kBob;
+    const keyOf = (who) => (who === 'alice' ? kAlice : bobKey);
+    const line = (label, v) => `<div><span class="muted">${label}:</span> <code>${v}</code></div>`;
+    const verdict = (who, r) => (r.ok
+      ? `<div>${t('chat.decrypted', { who, text: escapeHtml(r.text) })}</div>`
+      : `<div class="chat-fail">${t('chat.decryptFailed', { who })}</div>`);
+
+    const sent = await aesEncrypt(keyOf(from), text);
+    const parts = [
+      `<div class="chat-head">${names[from]} → ${names[to]}: “${escapeHtml(text)}”</div>`,
+      line('nonce', toHex(sent.nonce)),
+      line(t('chat.ciphertext', { bytes: sent.ct.length }), toHex(sent.ct)),
+    ];
+    const direct = await aesDecrypt(keyOf(to), sent);
+    if (mitm) {
+      // Mallory holds the sender's key, reads the message and re-encrypts it for the receiver
+      const malIn = from === 'alice' ? kMalA : kMalB;
+      const malOut = from === 'alice' ? kMalB : kMalA;
+      const read = await aesDecrypt(malIn, sent);
+      parts.push(`<div class="chat-mallory">${read.ok ? t('chat.malloryReads', { text: escapeHtml(read.text) }) : t('chat.malloryFails')}</div>`);
+      parts.push(`<div class="muted">${t('chat.forwarded')}</div>`, verdict(names[to], direct));
+      if (read.ok) {
+        const relayed = await aesEncrypt(malOut, read.text);
+        parts.push(`<div class="muted">${t('chat.reencrypts', { to: names[to] })}</div>`,
+          line('nonce', toHex(relayed.nonce)), line('ciphertext + tag', toHex(relayed.ct)),
+          verdict(names[to], await aesDecrypt(keyOf(to), relayed)));
+      }
+    } else {
+      parts.push(verdict(names[to], direct));
+    }
+    const entry = document.createElement('div');
+    entry.className = 'chat-entry';
+    entry.innerHTML = parts.join('');
+    chatLog.prepend(entry);
+  }
+
+  btnSendAlice.addEventListener('click', () => sendChat('alice'));
+  btnSendBob.addEventListener('click', () => sendChat('bob'));
+  chatAliceInput.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') sendChat('alice'); });
+  chatBobInput.addEventListener('keydown', (ev) => { if (ev.key === 'Enter') sendChat('bob'); });
+
+  // Eve: passive eavesdropper that only knows p, g and whatever has been sent so far
+  // The search runs as a job (see startJob), so a large p costs time but never freezes the tab
+  const EVE_LIMIT = 2000000; // operation budget per method
+  const EVE_METHODS = {
+    brute: { name: 'Brute force', cost: 'p' },
+    bsgs: { name: 'Baby-step giant-step', cost: '√p' },
+    rho: { name: "Pollard's rho", cost: '√p' },
+    ph: { name: 'Pohlig–Hellman', get cost() { return t('eve.costPh'); } },
+  };
+
+  // First step (1-based) sending each value over the channel, from the steps' `sends`
+  function sendSteps() {
+    const at = {};
+    flowSteps().forEach((st, idx) => {
+      for (const m of st.sends || []) if (m.key && !(m.key in at)) at[m.key] = idx + 1;
+    });
+    return at;
+  }
+
+  // Public values Eve has seen go over the wire; A and B are computed steps before they are sent
+  function eveKnown() {
+    const at = sendSteps();
+    return { A: revealed('A', at), B: revealed('B', at) };
+  }
+
+  function updateEveSees() {
+    const K = eveKnown();
+    const seen = ['p', 'g'];
+    if (K.A !== null) seen.push('A');
+    if (K.B !== null) seen.push('B');
+    eveSees.textContent = t('eve.sees', { values: seen.join(', ') });
+  }
+
+  // Human-readable duration from log10(milliseconds); handles astronomically large values
+  function formatDurationLog10(l10ms) {
+    if (l10ms < 3) return `${Math.max(0, 10 ** l10ms).toFixed(1)} ms`;
+    const l10s = l10ms - 3;
+    if (l10s < Math.log10(60)) return t('time.seconds', { n: (10 ** l10s).toFixed(1) });
+    if (l10s < Math.log10(3600)) return t('time.minutes', { n: (10 ** l10s / 60).toFixed(1) });
+    if (l10s < Math.log10(86400)) return t('time.hours', { n: (10 ** l10s / 3600).toFixed(1) });
+    const l10y = l10s - Math.log10(31557600);
+    if (l10y < 0) return t('time.days', { n: (10 ** l10s / 86400).toFixed(1) });
+    if (l10y < 6) return t('time.years', { n: Math.round(10 ** l10y).toLocaleString(numberLocale()) });
+    return t('time.years', { n: `≈ 10^${Math.round(l10y)}` });
+  }
+
+  function runEve(keys) {
+    if (protocol === 'ecdh') {
+      eveOut.innerHTML = `<p>${t('eve.onlyDh')}</p>`;
+      return;
+    }
+    if (isGroup()) {
+      eveOut.innerHTML = `<p>${t('eve.onlyTwoParty')}</p>`;
+      return;
+    }
+    const target = eveTarget.value === 'b' ? 'b' : 'a';
+    const K = eveKnown();
+    const h = target === 'a' ? K.A : K.B;
+    const pubName = target.toUpperCase();
+    if (h === null) {
+      eveOut.innerHTML = `<p>${t('eve.notYet', { name: pubName, step: sendSteps()[pubName] })}</p>`;
+      return;
+    }
+    const real = target === 'a' ? a : b;
+    const other = target === 'a' ? K.B : K.A; // lets Eve finish the job and compute S
+    const P = p;
+    const bits = P.toString(2).length;
+    eveOut.textContent = t('eve.working');
+    btnEve.disabled = btnEveAll.disabled = true;
+    const args = { methods: keys, g, h, p: P, limit: EVE_LIMIT, lang: getLanguage() };
+    startJob('eve', args, t('eve.working'), ({ rows: found, rate }) => {
+      btnEve.disabled = btnEveAll.disabled = false;
+      const rows = found.map(({ method, res, ms }) => ({ m: EVE_METHODS[method], res, ms }));
+
+      const body = rows.map(({ m, res, ms }) => {
+        let verdict;
+        if (res.x === null) verdict = t(res.status === 'limit' ? 'eve.limit' : 'eve.failed');
+        else if (res.x === real) verdict = `✅ ${target} = ${fmtNum(res.x)}`;
+        else verdict = t('eve.otherX', { x: fmtNum(res.x), target, name: pubName });
+        return `<tr><td>${m.name}</td><td>${res.ops.toLocaleString(numberLocale())}</td><td>${ms.toFixed(1)} ms</td><td>${verdict}</td></tr>`;
+      }).join('');
+
+      const logs = rows.map(({ m, res }) => `
+        <details class="eve-log">
+          <summary>${t('eve.log', { method: m.name, lines: res.log.length })}</summary>
+          <pre>${res.log.join('\n')}</pre>
+        </details>`).join('');
+
+      // Pohlig–Hellman: one row per prime-power subgroup, next to the real secret reduced the same way
+      const phRow = rows.find((r) => r.res.parts && r.res.parts.length);
+      const phTable = phRow ? `
+        <p>${t('eve.phTitle')}</p>
+        <table class="eve-table">
+          <thead><tr><th>${t('eve.phSubgroup')}</th><th>x mod q^e (Eve)</th><th>${t('eve.phReal', { target })}</th></tr></thead>
+          <tbody>${phRow.res.parts.map((pt) => `<tr><td>${pt.e > 1 ? `${pt.q}^${pt.e} = ${pt.mod}` : pt.mod}</td><td>${pt.x}</td><td>${real % pt.mod}</td></tr>`).join('')}</tbody>
+        </table>` : '';
+
+      const hit = rows.find((r) => r.res.x !== null);
+      let finish = '';
+      if (hit) {
+        finish = `<p>${t('eve.real', { target, value: fmtNum(real) })}`;
+        if (other !== null) finish += ` ${t('eve.shared', { base: target === 'a' ? 'B' : 'A', value: fmtNum(modPow(other, hit.res.x, P)) })}`;
+        finish += '</p>';
+      }
+
+      // Extrapolate from the speed measured in the job to show how the cost scales with p
+      const scale = [bits, 64, 128, 256, 2048].filter((v, i, arr) => arr.indexOf(v) === i).map((bb) => {
+        const l10Brute = bb * Math.log10(2) - Math.log10(rate);
+        const l10Sqrt = (bb / 2) * Math.log10(2) - Math.log10(rate);
+        return `<tr><td>${t(bb === bits ? 'eve.bitsThis' : 'eve.bits', { bits: bb })}</td><td>${formatDurationLog10(l10Brute)}</td><td>${formatDurationLog10(l10Sqrt)}</td></tr>`;
+      }).join('');
+
+      eveOut.innerHTML = `
+        <p>${t('eve.target', { target: `${pubName} = ${fmtNum(h)}`, bits })}</p>
+        <table class="eve-table">
+          <thead><tr><th>${t('eve.method')}</th><th>${t('eve.ops')}</th><th>${t('eve.time')}</th><th>${t('eve.result')}</th></tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+        ${finish}
+        ${phTable}
+        ${logs}
+        <p class="muted">${t('eve.estimate', { rate: Math.round(rate).toLocaleString(numberLocale()) })}</p>
+        <table class="eve-table">
+          <thead><tr><th>${t('eve.size')}</th><th>Brute force</th><th>BSGS / rho</th></tr></thead>
+          <tbody>${scale}</tbody>
+        </table>`;
+    }, () => {
+      btnEve.disabled = btnEveAll.disabled = false;
+      eveOut.textContent = t('eve.stopped');
+    });
+  }
+
+  btnEve.addEventListener('click', () => runEve([eveMethod.value in EVE_METHODS ? eveMethod.value : 'brute']));
+  btnEveAll.addEventListener('click', () => runEve(Object.keys(EVE_METHODS)));
+
+  // Benchmark panel. Every (size, helper) pair is a job of its own, in size order so the chart
+  // grows as results arrive; Web Crypto runs first, here on the page, since its work is native
+  // and async. Results stay until the next run.
+  const BENCH_BUDGET_MS = 5000; // per pair; slow sizes stop early with fewer samples
+  // One prime search sample takes about a minute from here, beyond any budget: only on request
+  const SLOW_PRIME_BITS = 4096;
+  const BENCH_COLORS = { modPow: '#4f46e5', isProbablePrime: '#059669', randomPrimeInRange: '#d97706' };
+  const RSA_SIZES = [1024, 2048, 4096]; // modulus bits
+  const ECDH_CURVES = [['P-256', 3072], ['P-384', 7680], ['P-521', 15360]]; // with DH bits of equal strength
+  let benchResults = []; // benchmark() results of lib/bench.js
+  let benchNative = []; // { kind: 'rsaSign' | 'rsaKeygen' | 'ecdh', bits, curve, dhBits, median, ... }
+  let benchSeq = 0; // a stopped run drops its late results
+  let benchNoSubtle = false; // Web Crypto was asked for but is missing
+  let benchEnd = ''; // message key of how the last run ended
+
+  // Milliseconds with three significant digits, seconds from 10 s on
+  function benchMs(ms) {
+    if (ms >= 10000) return t('time.seconds', { n: (ms / 1000).toLocaleString(numberLocale(), { maximumFractionDigits: 1 }) });
+    return `${ms.toLocaleString(numberLocale(), { maximumSignificantDigits: 3 })} ms`;
+  }
+
+  async function runWebCryptoBench(seq, max, options) {
+    const data = new Uint8Array(32);
+    for (const bits of RSA_SIZES.filter((m) => m / 2 <= max)) {
+      if (seq !== benchSeq) return;
+      benchStatus.textContent = t('bench.runningNative', { name: `RSA ${bits}` });
+      try {
+        const algo = { name: 'RSASSA-PKCS1-v1_5', modulusLength: bits, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+        let keys = null;
+        const keygen = await benchmarkAsync(async () => { keys = await crypto.subtle.generateKey(algo, false, ['sign', 'verify']); }, options);
+        benchNative.push({ kind: 'rsaKeygen', bits, ...keygen });
+        if (bits <= max) {
+          const sign = await benchmarkAsync(() => crypto.subtle.sign(algo.name, keys.privateKey, data), options);
+          benchNative.push({ kind: 'rsaSign', bits, ...sign });
+        }
+      } catch (e) {
+        // This size is not supported here
+      }
+      renderBench();
+    }
+    for (const [curve, dhBits] of ECDH_CURVES) {
+      if (seq !== benchSeq) return;
+      benchStatus.textContent = t('bench.runningNative', { name: `ECDH ${curve}` });
+      try {
+        const algo = { name: 'ECDH', namedCurve: curve };
+        const [alice, bob] = await Promise.all([0, 1].map(() => crypto.subtle.generateKey(algo, false, ['deriveBits'])));
+        const len = { 'P-256': 256, 'P-384': 384, 'P-521': 528 }[curve];
+        const res = await benchmarkAsync(() => crypto.subtle.deriveBits({ name: 'ECDH', public: bob.publicKey }, alice.privateKey, len), options);
+        benchNative.push({ kind: 'ecdh', curve, dhBits, ...res });
+      } catch (e) {
+        // Curve not supported here
+      }
+      renderBench();
+    }
+  }
+
+  async function runBench() {
+    stopBench();
+    const seq = ++benchSeq;
+    const max = Number(benchMax.value);
+    const options = { iterations: Number(benchIter.value), budget: BENCH_BUDGET_MS };
+    const ops = [...benchOps.querySelectorAll('input[value]:checked')].map((x) => x.value);
+    const cells = BENCH_SIZES.filter((bits) => bits <= max).flatMap((bits) => ops.map((op) => ({ op, bits })))
+      .filter(({ op, bits }) => op !== 'randomPrimeInRange' || bits < SLOW_PRIME_BITS || benchSlowPrime.checked);
+    benchResults = [];
+    benchNative = [];
+    benchNoSubtle = benchWebCrypto.checked && !hasSubtle;
+    btnBench.disabled = true;
+    btnBenchStop.disabled = false;
+    renderBench();
+    if (benchWebCrypto.checked && hasSubtle) await runWebCryptoBench(seq, max, options);
+    if (seq !== benchSeq) return;
+    // A job started meanwhile is not replaced
+    if (job) endBench('bench.stopped');
+    else nextBenchCell(seq, cells, 0, options);
+  }
+
+  function nextBenchCell(seq, cells, idx, options) {
+    if (idx === cells.length) { endBench('bench.done'); return; }
+    const { op, bits } = cells[idx];
+    const label = t('bench.running', { op, bits, i: idx + 1, n: cells.length });
+    benchStatus.textContent = label;
+    startJob('bench', { op, bits, options }, label, (res) => {
+      benchResults.push(res);
+      renderBench();
+      nextBenchCell(seq, cells, idx + 1, options);
+    }, () => { if (seq === benchSeq) endBench('bench.stopped'); });
+  }
+
+  function endBench(key) {
+    benchSeq++;
+    benchEnd = key;
+    btnBench.disabled = false;
+    btnBenchStop.disabled = true;
+    benchStatus.textContent = t(key);
+  }
+
+  // Stop a running benchmark, whether in Web Crypto or in a job
+  function stopBench() {
+    if (btnBenchStop.disabled) return;
+    if (job && job.name === 'bench') stopJob();
+    else endBench('bench.stopped');
+  }
+
+  // Lines of the chart: the helpers, and dashed the Web Crypto work comparable to them
+  function benchSeries() {
+    const series = BENCH_OPS.map((op) => ({
+      label: op, color: BENCH_COLORS[op], dashed: false,
+      points: benchResults.filter((r) => r.op === op).map((r) => ({ bits: r.bits, ms: r.median })),
+    }));
+    const native = (kind) => benchNative.filter((r) => r.kind === kind);
+    series.push({
+      label: t('bench.rsaSign'), color: BENCH_COLORS.modPow, dashed: true,
+      points: native('rsaSign').map((r) => ({ bits: r.bits, ms: r.median })),
+    }, {
+      label: t('bench.rsaPrime'), color: BENCH_COLORS.randomPrimeInRange, dashed: true,
+      points: native('rsaKeygen').map((r) => ({ bits: r.bits / 2, ms: r.median / 2 })),
+    });
+    return series.filter((x) => x.points.length);
+  }
+
+  // Log–log chart, 64..4096 bits across and ms up, drawn for the device's pixel ratio
+  function drawBenchChart(series) {
+    benchChart.hidden = !series.length;
+    const ctx = series.length ? benchChart.getContext('2d') : null;
+    if (!ctx) return;
+    const W = 640, H = 320, pad = { l: 64, r: 12, t: 10, b: 40 };
+    const dpr = window.devicePixelRatio || 1;
+    benchChart.width = W * dpr;
+    benchChart.height = H * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, W, H);
+    const times = series.flatMap((x) => x.points.map((pt) => Math.max(pt.ms, 1e-4)));
+    const lo = Math.floor(Math.log10(Math.min(...times)));
+    const hi = Math.max(lo + 1, Math.ceil(Math.log10(Math.max(...times))));
+    const [x0, x1] = [Math.log2(BENCH_SIZES[0]), Math.log2(BENCH_SIZES.at(-1))];
+    const xOf = (bits) => pad.l + ((Math.log2(bits) - x0) / (x1 - x0)) * (W - pad.l - pad.r);
+    const yOf = (ms) => H - pad.b - ((Math.log10(Math.max(ms, 1e-4)) - lo) / (hi - lo)) * (H - pad.t - pad.b);
+
+    ctx.font = '11px system-ui, sans-serif';
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.fillStyle = '#6b7280';
+    ctx.textAlign = 'right';
+    for (let e = lo; e <= hi; e++) {
+      const y = yOf(10 ** e);
+      ctx.beginPath(); ctx.moveTo(pad.l, y); ctx.lineTo(W - pad.r, y); ctx.stroke();
+      ctx.fillText(benchMs(10 ** e), pad.l - 6, y + 4);
+    }
+    ctx.textAlign = 'center';
+    for (const bits of BENCH_SIZES) {
+      const x = xOf(bits);
+      ctx.beginPath(); ctx.moveTo(x, pad.t); ctx.lineTo(x, H - pad.b); ctx.stroke();
+      ctx.fillText(String(bits), x, H - pad.b + 14);
+    }
+    ctx.fillText(t('bench.axisBits'), (pad.l + W - pad.r) / 2, H - 8);
+
+    ctx.lineWidth = 2;
+    for (const { color, dashed, points } of series) {
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.setLineDash(dashed ? [6, 4] : []);
+      ctx.beginPath();
+      points.forEach((pt, i) => (i ? ctx.lineTo(xOf(pt.bits), yOf(pt.ms)) : ctx.moveTo(xOf(pt.bits), yOf(pt.ms))));
+      ctx.stroke();
+      for (const pt of points) { ctx.beginPath(); ctx.arc(xOf(pt.bits), yOf(pt.ms), 3, 0, 2 * Math.PI); ctx.fill(); }
+    }
+    ctx.setLineDash([]);
+
+    // Legend in the empty top-left corner: costs grow to the right
+    ctx.textAlign = 'left';
+    series.forEach(({ label, color, dashed }, i) => {
+      const y = pad.t + 10 + i * 15;
+      ctx.strokeStyle = color;
+      ctx.setLineDash(dashed ? [6, 4] : []);
+      ctx.beginPath(); ctx.moveTo(pad.l + 8, y); ctx.lineTo(pad.l + 28, y); ctx.stroke();
+      ctx.fillStyle = '#111827';
+      ctx.fillText(label, pad.l + 34, y + 4);
+    });
+    ctx.setLineDash([]);
+  }
+
+  function renderBench() {
+    const series = benchSeries();
+    drawBenchChart(series);
+    if (benchEnd && btnBenchStop.disabled) benchStatus.textContent = t(benchEnd);
+    benchPill.textContent = benchResults.length || benchNative.length
+      ? t('bench.count', { n: benchResults.length + benchNative.length }) : '—';
+    const out = [];
+    const sizes = [...new Set(benchResults.map((r) => r.bits))];
+    if (sizes.length) {
+      const cell = (bits, op) => {
+        const r = benchResults.find((x) => x.bits === bits && x.op === op);
+        return r ? `<td class="value" title="${t('bench.spread', { min: benchMs(r.min), max: benchMs(r.max), runs: r.runs, reps: r.reps })}">${benchMs(r.median)}</td>` : '<td>—</td>';
+      };
+      out.push(`<table class="eve-table">
+        <thead><tr><th>${t('bench.axisBits')}</th>${BENCH_OPS.map((op) => `<th><code>${op}</code></th>`).join('')}</tr></thead>
+        <tbody>${sizes.map((bits) => `<tr><td>${bits}</td>${BENCH_OPS.map((op) => cell(bits, op)).join('')}</tr>`).join('')}</tbody>
+      </table>`);
+      // Doubling p costs Alice and Bob a few times more work, and Eve a factor of 2^bits
+      const mp = benchResults.filter((r) => r.op === 'modPow');
+      if (mp.length >= 2) {
+        const [from, to] = mp.slice(-2);
+        out.push(`<p>${t('bench.asymmetry', {
+          from: from.bits, to: to.bits, extra: to.bits - from.bits,
+          factor: (to.median / from.median).toLocaleString(numberLocale(), { maximumFractionDigits: 1 }),
+        })}</p>`);
+      }
+    }
+    if (benchNative.length) {
+      const js = (op, bits) => benchResults.find((x) => x.op === op && x.bits === bits);
+      const rows = benchNative.map((r) => {
+        let name, ref = null;
+        if (r.kind === 'rsaSign') {
+          name = t('bench.rsaSignRow', { bits: r.bits });
+          const m = js('modPow', r.bits);
+          if (m) ref = `<code>modPow</code> ${r.bits}: ${benchMs(m.median)}`;
+        } else if (r.kind === 'rsaKeygen') {
+          name = t('bench.rsaKeygenRow', { bits: r.bits, half: r.bits / 2 });
+          const m = js('randomPrimeInRange', r.bits / 2);
+          if (m) ref = `2 × <code>randomPrimeInRange</code> ${r.bits / 2}: ${benchMs(2 * m.median)}`;
+        } else {
+          name = t('bench.ecdhRow', { curve: r.curve, dh: r.dhBits });
+        }
+        return `<tr><td>${name}</td><td class="value">${benchMs(r.median)}</td><td>${ref || '—'}</td></tr>`;
+      });
+      out.push(`<table class="eve-table">
+        <thead><tr><th>Web Crypto</th><th>${t('bench.median')}</th><th>${t('bench.jsSame')}</th></tr></thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+      <p class="muted">${t('bench.nativeNote')}</p>`);
+    }
+    if (benchNoSubtle) out.push(`<p class="muted">${t('bench.noWebCrypto')}</p>`);
+    benchOut.innerHTML = out.join('');
+  }
+
+  btnBench.addEventListener('click', runBench);
+  btnBenchStop.addEventListener('click', stopBench);
+
+  async function copyText(text) {
+    try {
+      if (navigator.clipboard && navigator.clipboard.writeText) {
+        await navigator.clipboard.writeText(text);
+      } else {
+        // Fallback
+        const ta = document.createElement('textarea');
+        ta.value = text; document.body.appendChild(ta); ta.select(); document.execCommand('copy'); document.body.removeChild(ta);
+      }
+      setMessage(t('copy.done', { text }));
+    } catch (e) {
+      setMessage(t('copy.failed'));
+    }
+  }
+
+  // Copy mini buttons (delegated)
+  document.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('.copy-mini');
+    if (!btn) return;
+    const targetId = btn.getAttribute('data-copy-target');
+    if (!targetId) return;
+    const span = el(targetId);
+    const text = span && span.textContent ? span.textContent.trim() : '';
+    if (!text || text === '?') { setMessage(t('copy.empty')); return; }
+    copyText(text);
+  });
+
+  btnShare.addEventListener('click', () => {
+    saveHash();
+    copyText(location.href);
+  });
+  window.addEventListener('hashchange', restoreFromHash);
+
+  // Trace tables: remember which ones are open, and switch pages
+  stepsBox.addEventListener('toggle', (ev) => {
+    const d = ev.target;
+    if (!d.classList || !d.classList.contains('trace')) return;
+    const view = traceView.get(d.dataset.trace) || { page: 0 };
+    traceView.set(d.dataset.trace, { ...view, open: d.open });
+  }, true);
+  stepsBox.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('.trace-page');
+    if (!btn) return;
+    stopTraceFill();
+    traceView.set(btn.dataset.trace, { open: true, page: Number(btn.dataset.page) });
+    renderSteps();
+  });
+
+  // Practice questions inside the steps
+  stepsBox.addEventListener('click', (ev) => {
+    const btn = ev.target.closest('.quiz-check, .quiz-hint');
+    if (!btn) return;
+    if (btn.classList.contains('quiz-check')) checkAnswer(btn.dataset.ask);
+    else askHint(btn.dataset.ask);
+  });
+  stepsBox.addEventListener('input', (ev) => {
+    const box = ev.target.closest('.quiz');
+    if (box && quizAnswers[box.dataset.ask]) quizAnswers[box.dataset.ask].draft = ev.target.value;
+  });
+  stepsBox.addEventListener('keydown', (ev) => {
+    const box = ev.target.closest('.quiz');
+    if (box && ev.key === 'Enter') checkAnswer(box.dataset.ask);
+  });
+  quizLevelSel.addEventListener('change', () => {
+    quizLevel = quizLevelSel.value;
+    if (quiz) newExercise();
+  });
+  btnQuiz.addEventListener('click', () => {
+    if (quiz) {
+      setQuiz(false);
+      updateComputedBoxes();
+      renderSteps();
+      setMessage(t('quiz.done', { score: quizScoreBox.textContent }));
+      return;
+    }
+    setQuiz(true);
+    newExercise();
+  });
+  btnQuizNew.addEventListener('click', newExercise);
+
+  btnExport.addEventListener('click', exportTranscript);
+  btnImport.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    importFile.value = '';
+    if (file) await importTranscript(await file.text());
+  });
+
+  // Language: the switch, else ?lang= in the query string (the hash holds the simulator state),
+  // else the browser's preferred languages. Static text in index.html names its message in
+  // data-i18n (text), data-i18n-html or data-i18n-<attribute>, with data-i18n-params as JSON.
+  const I18N_ATTRS = ['title', 'placeholder', 'aria-label'];
+
+  function applyStaticText() {
+    document.documentElement.lang = getLanguage();
+    const selector = ['data-i18n', 'data-i18n-html', ...I18N_ATTRS.map((x) => `data-i18n-${x}`)].map((x) => `[${x}]`).join(',');
+    for (const node of document.querySelectorAll(selector)) {
+      const params = node.dataset.i18nParams ? JSON.parse(node.dataset.i18nParams) : {};
+      if (node.dataset.i18n) node.textContent = t(node.dataset.i18n, params);
+      if (node.dataset.i18nHtml) node.innerHTML = t(node.dataset.i18nHtml, params);
+      for (const attr of I18N_ATTRS) {
+        const key = node.getAttribute(`data-i18n-${attr}`);
+        if (key) node.setAttribute(attr, t(key, params));
+      }
+    }
+  }
+
+  // Options built from a list; static options (those with data-i18n) and the selection stay
+  function fillOptions(sel, items, label = (x) => x.name) {
+    const value = sel.value;
+    for (const opt of [...sel.options]) if (!opt.dataset.i18n) opt.remove();
+    for (const item of items) {
+      const opt = document.createElement('option');
+      opt.value = item.id;
+      opt.textContent = label(item);
+      sel.appendChild(opt);
+    }
+    if ([...sel.options].some((opt) => opt.value === value)) sel.value = value;
+  }
+
+  function fillAllOptions() {
+    fillOptions(presetSel, STANDARD_GROUPS, (grp) => `${grp.name} — ${t('param.bits', { bits: bitLength(grp.p) })}`);
+    fillOptions(curveSel, CURVES);
+    fillOptions(numFormatSel, NUMBER_FORMATS);
+    fillOptions(quizLevelSel, QUIZ_LEVELS);
+    fillOptions(mrBasesSel, MR_FIXED_BASES.map((q, i) => ({ id: i + 1, name: firstBases(i + 1) })));
+    fillOptions(mrPseudoSel, STRONG_PSEUDOPRIMES.map((x, i) => ({ id: i, name: t('mr.pseudoOption', { n: fmtNum(x.n), bases: firstBases(x.bases) }) })));
+    for (const opt of evilBSel.options) opt.textContent = evilLabel(BigInt(opt.value));
+  }
+
+  // Buttons whose label shows a state
+  function labelToggles() {
+    btnAuto.textContent = t(timer ? 'ui.autoStop' : 'ui.auto');
+    btnVerbose.textContent = t(verbose ? 'ui.brief' : 'ui.verbose');
+    btnMitm.textContent = t(mitm ? 'ui.mitmOff' : 'ui.mitmOn');
+    btnConfine.textContent = t(confine ? 'ui.confineOff' : 'ui.confineOn');
+    btnQuiz.textContent = t(quiz ? 'quiz.stop' : 'quiz.start');
+  }
+
+  // Everything is re-rendered in place; the simulation keeps its state and step
+  function switchLanguage(lang) {
+    setLanguage(lang);
+    langSel.value = getLanguage();
+    applyStaticText();
+    fillAllOptions();
+    labelToggles();
+    describeP();
+    updateQuizScore();
+    setMessage('');
+    renderMrPanel();
+    renderHistory();
+    renderBench();
+    updateComputedBoxes();
+    renderSteps();
+  }
+
+  fillOptions(langSel, LANGUAGES);
+  langSel.addEventListener('change', () => {
+    switchLanguage(langSel.value);
+    const url = new URL(location.href);
+    url.searchParams.set('lang', getLanguage());
+    try { history.replaceState(null, '', url); } catch (e) { /* opaque origins (file://) refuse it */ }
   });
 
   // Init from defaults
-  validateParams(false);
-  clearComputed();
-  renderSteps();
+  setLanguage(pickLanguage([new URLSearchParams(location.search).get('lang'), ...(navigator.languages || [navigator.language])]));
+  langSel.value = getLanguage();
+  applyStaticText();
+  fillAllOptions();
+  labelToggles();
+  updateQuizScore();
+  renderMrPanel();
+  renderHistory();
+  renderBench();
+  curve = CURVES[0];
+  describeCurve();
+  describeP();
+  if (!restoreFromHash()) {
+    validateParams(false);
+    clearComputed();
+    renderSteps();
+  }
 })();
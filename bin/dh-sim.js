@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// Command-line companion to the simulator: generate parameters, validate them with the same
+// rules as the page, print exchange transcripts and check students' answers in batch.
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+  modPow, isProbablePrime, bitLength, randomBigIntInRange, randomPrimeBits, randomSafePrime,
+  randomGroup, findGenerator, subgroupGenerator, primeFactorization,
+} from '../lib/dh-math.js';
+import { ecMul, CURVES } from '../lib/ec.js';
+import { parseBigIntDec, validateDh, validateEcdh } from '../lib/validate.js';
+import { BENCH_SIZES, BENCH_OPS, benchmark } from '../lib/bench.js';
+import { LANGUAGES, t, setLanguage } from '../lib/i18n.js';
+
+class UsageError extends Error {}
+
+const OPTIONS = {
+  bits: { type: 'string' },
+  safe: { type: 'boolean', default: false },
+  count: { type: 'string' },
+  p: { type: 'string' },
+  g: { type: 'string' },
+  a: { type: 'string' },
+  b: { type: 'string' },
+  curve: { type: 'string' },
+  subgroup: { type: 'boolean', default: false },
+  file: { type: 'string' },
+  format: { type: 'string', default: 'text' },
+  lang: { type: 'string', default: 'id' },
+  help: { type: 'boolean', default: false },
+};
+
+// JSON with BigInts as decimal strings (JSON numbers lose precision above 2^53)
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
+
+function fmtVal(v) {
+  if (v === null) return 'O';
+  return typeof v === 'bigint' ? v.toString() : `(${v.x}, ${v.y})`;
+}
+
+function sameVal(x, y) {
+  if (typeof x === 'bigint' || typeof y === 'bigint') return x === y;
+  if (x === null || y === null) return x === y;
+  return x.x === y.x && x.y === y.y;
+}
+
+function parseNum(name, raw) {
+  const R = parseBigIntDec(raw);
+  if (!R.ok) throw new UsageError(`--${name}: ${R.error}`);
+  return R.value;
+}
+
+function parseCount(raw) {
+  if (raw === undefined) return 1;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 1 || n > 1000) throw new UsageError(t('cli.countRange'));
+  return n;
+}
+
+function parseBits(raw, safe) {
+  if (raw === undefined) throw new UsageError(t('cli.required', { name: 'bits' }));
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 8 || n > 4096) throw new UsageError(t('cli.bitsRange'));
+  if (safe && n > 2048) process.stderr.write(`${t('cli.slowSafe', { bits: n })}\n`);
+  return n;
+}
+
+function findCurve(id) {
+  const curve = CURVES.find((c) => c.id === id);
+  if (!curve) throw new UsageError(t('cli.unknownCurve', { id, ids: CURVES.map((c) => c.id).join(', ') }));
+  return curve;
+}
+
+// Generator of Z_p^* (or of the order-q subgroup of a safe prime). p-1 must be factorable:
+// either p is a safe prime, or trial division up to 2^20 leaves a prime (or no) cofactor.
+function generatorFor(p, subgroup) {
+  const q = (p - 1n) / 2n;
+  if (isProbablePrime(q)) {
+    return subgroup ? { g: subgroupGenerator(p, q), order: q } : { g: findGenerator(p, [2n, q]), order: p - 1n };
+  }
+  if (subgroup) throw new UsageError(t('cli.subgroupSafe'));
+  const fz = primeFactorization(p - 1n, 1n << 20n);
+  if (fz.cofactor > 1n) {
+    if (!isProbablePrime(fz.cofactor)) throw new UsageError(t('cli.unfactorable', { rest: fz.cofactor }));
+    fz.factors.push({ q: fz.cofactor, e: 1 });
+  }
+  return { g: findGenerator(p, fz.factors.map((f) => f.q)), order: p - 1n };
+}
+
+function cmdPrime(opts) {
+  const bits = parseBits(opts.bits, opts.safe);
+  const out = [];
+  for (let i = parseCount(opts.count); i > 0; i--) {
+    out.push(opts.safe ? randomSafePrime(bits) : { p: randomPrimeBits(bits) });
+  }
+  return {
+    json: out,
+    text: out.map((r) => (r.q !== undefined ? `p = ${r.p}  (q = ${r.q})` : `${r.p}`)).join('\n'),
+  };
+}
+
+function cmdGroup(opts) {
+  const bits = parseBits(opts.bits, opts.safe);
+  const out = [];
+  for (let i = parseCount(opts.count); i > 0; i--) {
+    const grp = randomGroup(bits, opts.safe);
+    out.push({ p: grp.p, g: grp.g, order: grp.q !== null ? grp.q : grp.p - 1n, factors: grp.factors });
+  }
+  return {
+    json: out,
+    text: out.map((r) => `p = ${r.p}\ng = ${r.g}\nord(g) = ${r.order}`).join('\n\n'),
+  };
+}
+
+function cmdGenerator(opts) {
+  if (opts.p === undefined) throw new UsageError(t('cli.required', { name: 'p' }));
+  const p = parseNum('p', opts.p);
+  if (p < 5n || !isProbablePrime(p)) throw new UsageError(t('cli.pPrime'));
+  const { g, order } = generatorFor(p, opts.subgroup);
+  return { json: { p, g, order }, text: `g = ${g}\nord(g) = ${order}` };
+}
+
+// Reads --p/--g or --curve plus --a/--b; a and b are drawn at random when missing
+function readParams(opts, { randomSecrets }) {
+  const curve = opts.curve !== undefined ? findCurve(opts.curve) : null;
+  let p = null, g = null;
+  if (!curve) {
+    if (opts.p === undefined || opts.g === undefined) throw new UsageError(t('cli.pgRequired'));
+    p = parseNum('p', opts.p);
+    g = parseNum('g', opts.g);
+  }
+  const [min, max] = curve ? [1n, curve.n - 1n] : [2n, p - 2n];
+  const secret = (name) => {
+    if (opts[name] !== undefined) return parseNum(name, opts[name]);
+    if (!randomSecrets) throw new UsageError(t('cli.required', { name }));
+    return max >= min ? randomBigIntInRange(min, max) : min;
+  };
+  return { curve, p, g, a: secret('a'), b: secret('b') };
+}
+
+function validate({ curve, p, g, a, b }) {
+  const secrets = [['a', a], ['b', b]];
+  return curve ? validateEcdh(curve, secrets) : validateDh({ p, g, secrets });
+}
+
+function cmdValidate(opts) {
+  const res = validate(readParams(opts, { randomSecrets: false }));
+  return { json: { valid: res.ok, message: res.message }, text: res.message, exitCode: res.ok ? 0 : 1 };
+}
+
+// Full honest exchange, following the nine steps of the page
+function transcript(params) {
+  const { curve, p, g, a, b } = params;
+  const pub = (k) => (curve ? ecMul(k, curve.G, curve) : modPow(g, k, p));
+  const shared = (X, k) => (curve ? ecMul(k, X, curve) : modPow(X, k, p));
+  const A = pub(a), B = pub(b);
+  const sAlice = shared(B, a), sBob = shared(A, b);
+  const f = (base, k) => (curve ? `${k}·${base}` : `${base}^${k} mod p`);
+  const steps = [
+    curve
+      ? { title: t('cli.step.params'), text: t('cli.step.curve', { name: curve.name, G: fmtVal(curve.G), n: curve.n }) }
+      : { title: t('cli.step.params'), text: `p = ${p} (${t('cli.bits', { bits: bitLength(p) })}), g = ${g}` },
+    { title: t('cli.step.secretA'), text: `a = ${a}` },
+    { title: t('cli.step.publicA'), text: `A = ${f(curve ? 'G' : 'g', 'a')} = ${fmtVal(A)}` },
+    { title: t('cli.step.secretB'), text: `b = ${b}` },
+    { title: t('cli.step.publicB'), text: `B = ${f(curve ? 'G' : 'g', 'b')} = ${fmtVal(B)}` },
+    { title: t('cli.step.exchange'), text: 'A ↔ B' },
+    { title: t('cli.step.keyAlice'), text: `S = ${f('B', 'a')} = ${fmtVal(sAlice)}` },
+    { title: t('cli.step.keyBob'), text: `S = ${f('A', 'b')} = ${fmtVal(sBob)}` },
+    { title: t('cli.step.verify'), text: t(sameVal(sAlice, sBob) ? 'cli.step.match' : 'cli.step.mismatch') },
+  ];
+  return {
+    protocol: curve ? 'ecdh' : 'dh',
+    ...(curve ? { curve: curve.id } : { p, g }),
+    a, b, A, B, sAlice, sBob,
+    match: sameVal(sAlice, sBob),
+    steps: steps.map((st, idx) => ({ n: idx + 1, ...st })),
+  };
+}
+
+function cmdExchange(opts) {
+  const count = parseCount(opts.count);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    let params;
+    if (opts.bits !== undefined && opts.curve === undefined) {
+      const grp = randomGroup(parseBits(opts.bits, opts.safe), opts.safe);
+      params = readParams({ ...opts, p: grp.p.toString(), g: grp.g.toString() }, { randomSecrets: true });
+    } else {
+      params = readParams(opts, { randomSecrets: true });
+    }
+    const res = validate(params);
+    if (!res.ok) throw new UsageError(res.message);
+    out.push(transcript(params));
+  }
+  const text = out.map((run) => run.steps.map((st) => `${st.n}. ${st.title}: ${st.text}`).join('\n')).join('\n\n');
+  return { json: count === 1 ? out[0] : out, text };
+}
+
+// Name of the first field holding a JSON number beyond 2^53, which JSON.parse has already rounded
+function unsafeNumber(rec) {
+  for (const k of ['p', 'g', 'a', 'b', 'A', 'B', 'S']) {
+    const v = rec[k];
+    if (typeof v === 'number' && !Number.isSafeInteger(v)) return k;
+    for (const c of ['x', 'y']) {
+      if (v && typeof v === 'object' && typeof v[c] === 'number' && !Number.isSafeInteger(v[c])) return `${k}.${c}`;
+    }
+  }
+  return null;
+}
+
+// One answer record: { id?, p, g | curve, a, b, A?, B?, S? }. Numbers may be JSON strings or
+// safe integers; larger JSON numbers make the record invalid. Every given answer is compared
+// with the recomputed value.
+function checkRecord(rec, idx) {
+  const id = rec.id !== undefined ? rec.id : idx + 1;
+  const unsafe = unsafeNumber(rec);
+  if (unsafe) return { id, valid: false, message: t('cli.unsafeNumber', { name: unsafe }), answers: {} };
+  const str = (v) => (typeof v === 'number' ? String(v) : v);
+  const opts = {};
+  for (const k of ['p', 'g', 'a', 'b', 'curve']) if (rec[k] !== undefined) opts[k] = str(rec[k]);
+  let params;
+  try {
+    params = readParams(opts, { randomSecrets: false });
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    return { id, valid: false, message: e.message.replace(/--/g, ''), answers: {} };
+  }
+  const res = validate(params);
+  if (!res.ok) return { id, valid: false, message: res.message, answers: {} };
+  const run = transcript(params);
+  const answers = {};
+  for (const [key, want] of [['A', run.A], ['B', run.B], ['S', run.sAlice]]) {
+    if (rec[key] === undefined) continue;
+    const given = rec[key];
+    let ok;
+    if (params.curve) {
+      const x = parseBigIntDec(str(given && given.x)), y = parseBigIntDec(str(given && given.y));
+      ok = x.ok && y.ok && sameVal(want, { x: x.value, y: y.value });
+    } else {
+      const R = parseBigIntDec(str(given));
+      ok = R.ok && R.value === want;
+    }
+    answers[key] = { given, expected: want, ok };
+  }
+  return { id, valid: true, message: res.message.split('\n')[0], answers };
+}
+
+// Unreadable files, bad JSON and records that are not objects are usage errors (exit 2)
+function readRecords(file) {
+  let raw;
+  try {
+    raw = readFileSync(file === '-' ? 0 : file, 'utf8').trim();
+  } catch (e) {
+    throw new UsageError(t('cli.fileUnreadable', { error: e.code || e.message }));
+  }
+  const parse = (text, where) => {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new UsageError(t('cli.badJson', { where, error: e.message }));
+    }
+  };
+  const records = raw.startsWith('[')
+    ? parse(raw, '--file')
+    : raw.split('\n').map((line, idx) => (line.trim() ? parse(line, t('cli.line', { n: idx + 1 })) : undefined)).filter((x) => x !== undefined);
+  if (!Array.isArray(records)) throw new UsageError(t('cli.notList'));
+  records.forEach((rec, idx) => {
+    if (rec === null || typeof rec !== 'object' || Array.isArray(rec)) throw new UsageError(t('cli.notObject', { n: idx + 1 }));
+  });
+  return records;
+}
+
+function cmdCheck(opts) {
+  if (opts.file === undefined) throw new UsageError(t('cli.required', { name: 'file' }));
+  const results = readRecords(opts.file).map(checkRecord);
+  const correct = results.filter((r) => r.valid && Object.values(r.answers).every((x) => x.ok)).length;
+  const lines = results.map((r) => {
+    if (!r.valid) return `#${r.id}: ${t('cli.check.invalid', { message: r.message })}`;
+    const parts = Object.entries(r.answers).map(([k, x]) => (x.ok ? `${k} ✓` : `${k} ✗ (${t('cli.check.expected', { value: fmtVal(x.expected) })})`));
+    return `#${r.id}: ${parts.length ? parts.join(', ') : t('cli.check.noAnswers')}`;
+  });
+  lines.push(t('cli.check.total', { correct, total: results.length }));
+  return {
+    json: { correct, total: results.length, results },
+    text: lines.join('\n'),
+    exitCode: correct === results.length ? 0 : 1,
+  };
+}
+
+// Median time of each helper per size, after one warm-up run
+function cmdBench(opts) {
+  const max = opts.bits === undefined ? 1024 : parseBits(opts.bits, false);
+  const iterations = opts.count === undefined ? 5 : parseCount(opts.count);
+  const sizes = BENCH_SIZES.filter((bits) => bits <= max);
+  if (!sizes.length) throw new UsageError(t('cli.benchMin', { min: BENCH_SIZES[0] }));
+  const out = sizes.flatMap((bits) => BENCH_OPS.map((op) => benchmark(op, bits, { iterations })));
+  const ms = (x) => `${x.toFixed(x < 10 ? 3 : 1)} ms`;
+  const widths = BENCH_OPS.map((op) => Math.max(op.length, 12));
+  const row = (first, cells) => [first.padEnd(6), ...cells.map((c, i) => c.padStart(widths[i]))].join('  ');
+  const lines = [row(t('cli.bitHeader'), BENCH_OPS)];
+  for (const bits of sizes) lines.push(row(String(bits), out.filter((r) => r.bits === bits).map((r) => ms(r.median))));
+  return { json: out, text: lines.join('\n') };
+}
+
+const COMMANDS = {
+  prime: cmdPrime,
+  group: cmdGroup,
+  generator: cmdGenerator,
+  validate: cmdValidate,
+  exchange: cmdExchange,
+  check: cmdCheck,
+  bench: cmdBench,
+};
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    process.stderr.write(`${e.message}\n\n${t('cli.usage')}\n`);
+    return 2;
+  }
+  const { values: opts, positionals } = parsed;
+  if (!LANGUAGES.some((l) => l.id === opts.lang)) {
+    process.stderr.write(`${t('cli.langUnknown', { ids: LANGUAGES.map((l) => l.id).join(', ') })}\n`);
+    return 2;
+  }
+  setLanguage(opts.lang);
+  const cmd = COMMANDS[positionals[0]];
+  if (opts.help || !cmd) {
+    (opts.help ? process.stdout : process.stderr).write(`${t('cli.usage')}\n`);
+    return opts.help ? 0 : 2;
+  }
+  if (opts.format !== 'text' && opts.format !== 'json') {
+    process.stderr.write(`${t('cli.formatUnknown')}\n`);
+    return 2;
+  }
+  try {
+    const res = cmd(opts);
+    process.stdout.write(`${opts.format === 'json' ? toJson(res.json) : res.text}\n`);
+    return res.exitCode || 0;
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    process.stderr.write(`${e.message}\n`);
+    return 2;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
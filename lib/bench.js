@@ -0,0 +1,94 @@
+// Timings of the math helpers by bit size, for the benchmark panel and `dh-sim bench`. They show
+// how the cost of an exchange grows with p, and catch slowdowns when the helpers change.
+
+import {
+  modPow, isProbablePrime, randomPrimeInRange, randomBigIntInRange, randomPrimeBits, bitLength,
+} from './dh-math.js';
+import { STANDARD_GROUPS } from './groups.js';
+
+export const BENCH_SIZES = [64, 128, 256, 512, 1024, 2048, 4096];
+
+// Numbers of exactly `bits` bits
+function sizeRange(bits) {
+  return { lo: 1n << BigInt(bits - 1), hi: (1n << BigInt(bits)) - 1n };
+}
+
+// Prime tested by isProbablePrime(): a standard group prime of that size, else a fresh one,
+// kept for the next measurements. A prime is the slow case: every round runs.
+const testPrimes = new Map();
+function testPrime(bits) {
+  if (!testPrimes.has(bits)) {
+    const grp = STANDARD_GROUPS.find((x) => bitLength(x.p) === bits);
+    testPrimes.set(bits, grp ? grp.p : randomPrimeBits(bits));
+  }
+  return testPrimes.get(bits);
+}
+
+// input(bits) is prepared before the clock starts, run(input) is timed
+const OPS = {
+  // An exchange step: full-size exponent and modulus, as in g^a mod p with a ≈ p
+  modPow: {
+    input(bits) {
+      const { lo, hi } = sizeRange(bits);
+      const m = randomBigIntInRange(lo, hi) | 1n;
+      return { b: randomBigIntInRange(2n, m - 1n), e: randomBigIntInRange(lo, hi), m };
+    },
+    run: ({ b, e, m }) => modPow(b, e, m),
+  },
+  isProbablePrime: {
+    input: testPrime,
+    run: (p) => isProbablePrime(p),
+  },
+  randomPrimeInRange: {
+    input: sizeRange,
+    run: ({ lo, hi }) => randomPrimeInRange(lo, hi),
+  },
+};
+
+export const BENCH_OPS = Object.keys(OPS);
+
+// Runs shorter than this are repeated inside one sample, so coarse browser timers still resolve them
+const MIN_SAMPLE_MS = 5;
+
+// Median, min and max in ms of a list of run times
+export function summarize(times) {
+  const sorted = [...times].sort((x, y) => x - y);
+  const mid = sorted.length >> 1;
+  const median = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return { runs: sorted.length, median, min: sorted[0], max: sorted.at(-1) };
+}
+
+// Time `op` at `bits` bits: `warmup` untimed runs, then up to `iterations` timed samples. The
+// warm-up also sets how many runs (`reps`) make one sample. Once `budget` ms are spent it stops
+// after the current sample, so slow sizes end with fewer (but at least one) samples. Returns
+// { op, bits, reps, runs, median, min, max } with times in ms per run.
+export function benchmark(op, bits, { warmup = 1, iterations = 5, budget = 10000 } = {}) {
+  if (!Object.prototype.hasOwnProperty.call(OPS, op)) throw new Error(`Unknown operation: ${op}`);
+  const { input, run } = OPS[op];
+  const start = performance.now();
+  const times = [];
+  let reps = 1;
+  for (let i = 0; i < warmup + iterations; i++) {
+    const inputs = Array.from({ length: reps }, () => input(bits));
+    const t0 = performance.now();
+    for (const args of inputs) run(args);
+    const ms = (performance.now() - t0) / reps;
+    if (i >= warmup) times.push(ms);
+    else reps = Math.min(1000, Math.ceil(MIN_SAMPLE_MS / Math.max(ms, MIN_SAMPLE_MS / 1000)));
+    if (times.length && performance.now() - start >= budget) break;
+  }
+  return { op, bits, reps, ...summarize(times) };
+}
+
+// benchmark() for an async function, such as a Web Crypto call: { reps: 1, runs, median, min, max }
+export async function benchmarkAsync(run, { warmup = 1, iterations = 5, budget = 10000 } = {}) {
+  const start = performance.now();
+  const times = [];
+  for (let i = 0; i < warmup + iterations; i++) {
+    const t0 = performance.now();
+    await run();
+    if (i >= warmup) times.push(performance.now() - t0);
+    if (times.length && performance.now() - start >= budget) break;
+  }
+  return { reps: 1, ...summarize(times) };
+}
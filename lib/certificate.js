@@ -0,0 +1,155 @@
+// Primality certificates: proofs that n is prime which anyone can re-check with a few modPow,
+// built while generating the prime.
+//
+//   Pratt:       { type: 'pratt', n, a, factors: [cert] }  every prime of n-1, a of order n-1
+//   Pocklington: { type: 'pocklington', n, a, R, F: cert } n-1 = F·R with F prime and F² > n,
+//                a^(n-1) ≡ 1 and gcd(a^R − 1, n) = 1 (mod n)
+//
+// Pocklington steps halve the size until n-1 is small enough to factor by trial division,
+// where a Pratt certificate ends the chain. The prime 2 is { type: 'pratt', n: 2n, a: 1n, factors: [] }.
+
+import {
+  modPow, gcd, randomBigIntInRange, randomPrimeBits, randomSafePrime, primeFactorsDistinct,
+  hasSmallFactor, reportProgress, bitLength,
+} from './dh-math.js';
+import { t } from './i18n.js';
+
+// Below this size n-1 is factored by trial division (at most 2^16 divisions)
+export const PRATT_BITS = 32;
+
+// Pratt certificate of a prime n < 2^PRATT_BITS
+export function prattCertificate(n) {
+  if (n === 2n) return { type: 'pratt', n, a: 1n, factors: [] };
+  const qs = primeFactorsDistinct(n - 1n);
+  for (let a = 2n; a < n; a++) {
+    if (modPow(a, n - 1n, n) !== 1n) throw new Error(`${n} is not prime`);
+    if (qs.every((q) => modPow(a, (n - 1n) / q, n) !== 1n)) {
+      return { type: 'pratt', n, a, factors: qs.map(prattCertificate) };
+    }
+  }
+  throw new Error(`${n} is not prime`);
+}
+
+// Base a proving n = F·R + 1 prime by Pocklington (F proven prime, F² > n), or null when n
+// is composite. A few bases suffice: a prime n has φ(n) − φ(n)/F good ones.
+function pocklingtonBase(n, R) {
+  for (let a = 2n; a < 64n; a++) {
+    if (modPow(a, n - 1n, n) !== 1n) return null;
+    const d = gcd(modPow(a, R, n) - 1n, n);
+    if (d === 1n) return a;
+    if (d !== n) return null;
+  }
+  return null;
+}
+
+// Cofactors R for which F·R + 1 has exactly `bits` bits
+function cofactorRange(F, bits) {
+  return { lo: ((1n << BigInt(bits - 1)) + F - 1n) / F, hi: ((1n << BigInt(bits)) - 2n) / F };
+}
+
+function randomEvenIn({ lo, hi }) {
+  const R = randomBigIntInRange(lo, hi);
+  return (R & 1n) === 0n ? R : R < hi ? R + 1n : R - 1n;
+}
+
+// Random prime of `bits` bits with its certificate
+export function provablePrime(bits) {
+  if (bits <= PRATT_BITS) return prattCertificate(randomPrimeBits(bits));
+  while (true) {
+    // F has more than half the bits, so F² > n
+    const F = provablePrime(((bits + 1) >> 1) + 1);
+    const range = cofactorRange(F.n, bits);
+    // About as many tries as there are cofactors, then a new F
+    for (let tries = (range.hi - range.lo) / 2n; tries > 0n; tries--) {
+      reportProgress('candidate');
+      const R = randomEvenIn(range);
+      const n = F.n * R + 1n;
+      if (hasSmallFactor(n)) continue;
+      const a = pocklingtonBase(n, R);
+      if (a !== null) return { type: 'pocklington', n, a, R, F };
+    }
+  }
+}
+
+// Random safe prime p = 2q+1 of `bits` bits with certificates for q and p. Returns
+// { p, q, certificate }; above PRATT_BITS the certificate of p is a Pocklington step on F = q.
+export function provableSafePrime(bits) {
+  if (bits <= PRATT_BITS) {
+    const { p, q } = randomSafePrime(bits);
+    return { p, q, certificate: prattCertificate(p) };
+  }
+  while (true) {
+    const F = provablePrime((bits >> 1) + 1);
+    const range = cofactorRange(F.n, bits - 1);
+    for (let tries = (range.hi - range.lo) / 2n; tries > 0n; tries--) {
+      reportProgress('candidate');
+      const R = randomEvenIn(range);
+      const q = F.n * R + 1n;
+      const p = 2n * q + 1n;
+      if (hasSmallFactor(q) || hasSmallFactor(p)) continue;
+      // Cheap Fermat filter on p before proving q
+      if (modPow(2n, p - 1n, p) !== 1n) continue;
+      const aq = pocklingtonBase(q, R);
+      if (aq === null) continue;
+      const ap = pocklingtonBase(p, 2n);
+      if (ap === null) continue;
+      const qCert = { type: 'pocklington', n: q, a: aq, R, F };
+      return { p, q, certificate: { type: 'pocklington', n: p, a: ap, R: 2n, F: qCert } };
+    }
+  }
+}
+
+// Re-check a certificate from scratch. Returns { ok, error } with the first failing step.
+export function verifyCertificate(cert) {
+  const fail = (why) => ({ ok: false, error: t(`cert.error.${why}`, { n: cert.n }) });
+  if (!cert || typeof cert.n !== 'bigint' || typeof cert.a !== 'bigint') return { ok: false, error: t('cert.error.shape') };
+  const { n, a } = cert;
+  if (cert.type === 'pratt') {
+    if (n === 2n) return { ok: true, error: null };
+    if (n < 2n || !Array.isArray(cert.factors)) return fail('shape');
+    let rest = n - 1n;
+    for (const f of cert.factors) {
+      const sub = verifyCertificate(f);
+      if (!sub.ok) return sub;
+      if (rest % f.n !== 0n) return fail('factors');
+      while (rest % f.n === 0n) rest /= f.n;
+    }
+    if (rest !== 1n) return fail('factors');
+    if (modPow(a, n - 1n, n) !== 1n) return fail('fermat');
+    if (cert.factors.some((f) => modPow(a, (n - 1n) / f.n, n) === 1n)) return fail('order');
+    return { ok: true, error: null };
+  }
+  if (cert.type === 'pocklington') {
+    const { R, F } = cert;
+    if (typeof R !== 'bigint' || !F || typeof F.n !== 'bigint') return fail('shape');
+    const sub = verifyCertificate(F);
+    if (!sub.ok) return sub;
+    if (F.n * R + 1n !== n) return fail('split');
+    if (F.n * F.n <= n) return fail('size');
+    if (modPow(a, n - 1n, n) !== 1n) return fail('fermat');
+    if (gcd(modPow(a, R, n) - 1n, n) !== 1n) return fail('gcd');
+    return { ok: true, error: null };
+  }
+  return fail('shape');
+}
+
+// Primes proven by the certificate, from n down to the last Pratt step
+export function certificateChain(cert) {
+  const out = [];
+  for (let c = cert; c; c = c.type === 'pocklington' ? c.F : null) out.push(c);
+  return out;
+}
+
+// One line per step of the chain, in the current language
+export function describeCertificate(cert) {
+  return certificateChain(cert).map((c) => (c.type === 'pocklington'
+    ? t('cert.pocklington', { bits: bitLength(c.n), a: c.a, rBits: bitLength(c.R), fBits: bitLength(c.F.n) })
+    : t('cert.pratt', { n: c.n, a: c.a, factors: c.factors.map((f) => f.n).join(' · ') || '—' })));
+}
+
+// Verdict in the shape of primalityVerdict() for a prime proven by `cert`, or null when the
+// certificate does not check out
+export function certificateVerdict(cert) {
+  if (!verifyCertificate(cert).ok) return null;
+  return { prime: true, certainty: 'proven', rounds: 0, witness: null, factor: null, lucas: null, certificate: cert };
+}
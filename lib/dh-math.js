@@ -0,0 +1,563 @@
+// Number theory for the Diffie–Hellman simulator: modular arithmetic, Miller–Rabin,
+// factoring, prime and group generation. Plain ES module on BigInt and Web Crypto's
+// getRandomValues, so it runs unchanged in the browser and in Node.
+
+// BigInt mod pow: fast exponentiation
+export function modPow(base, exp, mod) {
+  if (mod === 1n) return 0n;
+  let result = 1n;
+  let b = ((base % mod) + mod) % mod;
+  let e = exp;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % mod;
+    e >>= 1n;
+    b = (b * b) % mod;
+  }
+  return result;
+}
+
+// modPow with every loop iteration recorded, for the square-and-multiply table. Row i holds
+// bit i of exp (least significant first), the running base b = base^(2^i) mod m (multiplied
+// into the result when the bit is 1) and the result after that iteration.
+export function modPowTrace(base, exp, mod) {
+  const rows = [];
+  if (mod === 1n) return { result: 0n, rows };
+  let result = 1n;
+  let b = ((base % mod) + mod) % mod;
+  let e = exp;
+  for (let i = 0; e > 0n; i++) {
+    const bit = Number(e & 1n);
+    if (bit) result = (result * b) % mod;
+    rows.push({ i, bit, base: b, result });
+    e >>= 1n;
+    b = (b * b) % mod;
+  }
+  return { result, rows };
+}
+
+// Progress of the long searches, reported to a listener (the worker, see lib/jobs.js) with
+// 'candidate' for every number a prime search tries and 'round' for every Miller–Rabin base
+let progressListener = null;
+export function setProgressListener(fn) {
+  progressListener = fn;
+}
+export function reportProgress(kind) {
+  if (progressListener) progressListener(kind);
+}
+
+// Miller–Rabin with the first 13 primes as bases is deterministic below this bound (> 2^81).
+// It is the smallest strong pseudoprime to all of 2..41; with only 2..37 the bound would be
+// 318665857834031151167461, which itself passes those twelve bases.
+export const MR_DETERMINISTIC_LIMIT = 3317044064679887385961981n;
+export const MR_FIXED_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n];
+// Above the bound: base 2 plus this many random bases by default, error ≤ 4^-rounds for any input
+export const MR_RANDOM_ROUNDS = 16;
+
+// Jacobi symbol (a/n) for odd n > 0: 1, -1 or 0
+export function jacobi(a, n) {
+  let x = ((a % n) + n) % n;
+  let y = n;
+  let result = 1;
+  while (x !== 0n) {
+    while ((x & 1n) === 0n) {
+      x >>= 1n;
+      const r = y & 7n;
+      if (r === 3n || r === 5n) result = -result;
+    }
+    [x, y] = [y, x];
+    if ((x & 3n) === 3n && (y & 3n) === 3n) result = -result;
+    x %= y;
+  }
+  return y === 1n ? result : 0;
+}
+
+// Integer square root: largest r with r² ≤ n
+export function isqrt(n) {
+  if (n < 2n) return n;
+  let x = 1n << BigInt((n.toString(2).length + 1) >> 1);
+  while (true) {
+    const y = (x + n / x) >> 1n;
+    if (y >= x) return x;
+    x = y;
+  }
+}
+
+// Strong Lucas probable prime test with Selfridge's parameters (P = 1, Q = (1 − D)/4 for the
+// first D of 5, −7, 9, −11, … with (D/n) = −1), for odd n > 2 without small factors.
+// Returns { prime, D, factor }: factor is a divisor found on the way (D sharing one with n,
+// or n a perfect square), else null.
+export function strongLucasTest(n) {
+  const root = isqrt(n);
+  if (root * root === n) return { prime: false, D: null, factor: root };
+  let D = 5n;
+  while (true) {
+    const j = jacobi(D, n);
+    if (j === -1) break;
+    const abs = D < 0n ? -D : D;
+    if (j === 0 && abs !== n) return { prime: false, D, factor: gcd(abs, n) };
+    D = D > 0n ? -(D + 2n) : -D + 2n;
+  }
+  const Q = (1n - D) / 4n;
+  const mod = (x) => ((x % n) + n) % n;
+  const half = (x) => {
+    const y = mod(x);
+    return ((y & 1n) ? y + n : y) / 2n;
+  };
+  // n + 1 = d * 2^s
+  let d = n + 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) { d >>= 1n; s++; }
+  // U_d and V_d by doubling from the top bit of d (U_1 = 1, V_1 = P = 1)
+  let U = 1n, V = 1n, Qk = mod(Q);
+  for (const bit of d.toString(2).slice(1)) {
+    U = mod(U * V);
+    V = mod(V * V - 2n * Qk);
+    Qk = mod(Qk * Qk);
+    if (bit === '1') {
+      [U, V] = [half(U + V), half(D * U + V)];
+      Qk = mod(Qk * Q);
+    }
+  }
+  if (U === 0n || V === 0n) return { prime: true, D, factor: null };
+  for (let r = 1; r < s; r++) {
+    V = mod(V * V - 2n * Qk);
+    Qk = mod(Qk * Qk);
+    if (V === 0n) return { prime: true, D, factor: null };
+  }
+  return { prime: false, D, factor: null };
+}
+
+// One Miller–Rabin round of base a for odd n with n-1 = d * 2^s: x = a^d mod n, then up to
+// s-1 squarings. Returns { a, seq, pass } with every x computed in seq; n passes when x starts
+// at 1 or reaches n-1, otherwise a is a witness that n is composite.
+export function millerRabinRound(a, n, d, s) {
+  reportProgress('round');
+  const seq = [];
+  if (a % n === 0n) return { a, seq, pass: true };
+  let x = modPow(a, d, n);
+  seq.push(x);
+  if (x === 1n || x === n - 1n) return { a, seq, pass: true };
+  for (let r = 1; r < s; r++) {
+    x = (x * x) % n;
+    seq.push(x);
+    if (x === n - 1n) return { a, seq, pass: true };
+  }
+  return { a, seq, pass: false };
+}
+
+// n-1 = d * 2^s with d odd
+function splitPowerOfTwo(n) {
+  let d = n - 1n;
+  let s = 0;
+  while ((d & 1n) === 0n) { d >>= 1n; s++; }
+  return { d, s };
+}
+
+// Primality with a verdict on how certain the answer is:
+// { prime, certainty: 'deterministic' | 'bpsw' | 'probabilistic', rounds, witness, factor, lucas }.
+// Below MR_DETERMINISTIC_LIMIT Miller–Rabin with the fixed bases decides. Above it n passes
+// Baillie–PSW (base 2 plus a strong Lucas test; no counterexample is known) and then `rounds`
+// random bases, each of which a composite passes with probability ≤ 1/4. With lucas: false
+// only the Miller–Rabin bases are used. "Composite" is always certain: `witness` is the base,
+// `factor` a divisor or `lucas` the D of the failed Lucas test proving it; for a prime,
+// `lucas` is the D of the Lucas test it passed (null when none ran).
+// With trace: true the verdict also has trace: { d, s, rounds, lucas }: the millerRabinRound()
+// results in order (d null when the small-prime screen decided) and the strongLucasTest()
+// result, null when it did not run.
+export function primalityVerdict(n, { rounds: randomRounds = MR_RANDOM_ROUNDS, lucas = true, trace = false } = {}) {
+  let d = null, s = 0, L = null;
+  const steps = [];
+  const verdict = (prime, certainty, rounds, fields = {}) => ({
+    prime, certainty, rounds, witness: null, factor: null, lucas: null, ...fields,
+    ...(trace ? { trace: { d, s, rounds: steps, lucas: L } } : {}),
+  });
+  if (n < 2n) return verdict(false, 'deterministic', 0);
+  for (const p of MR_FIXED_BASES) {
+    if (n === p) return verdict(true, 'deterministic', 0);
+    if (n % p === 0n) return verdict(false, 'deterministic', 0, { factor: p });
+  }
+  ({ d, s } = splitPowerOfTwo(n));
+  const check = (a) => {
+    const round = millerRabinRound(a, n, d, s);
+    if (trace) steps.push(round);
+    return round.pass;
+  };
+
+  if (n < MR_DETERMINISTIC_LIMIT) {
+    for (const a of MR_FIXED_BASES) {
+      if (!check(a)) return verdict(false, 'deterministic', MR_FIXED_BASES.length, { witness: a });
+    }
+    return verdict(true, 'deterministic', MR_FIXED_BASES.length);
+  }
+  const rounds = 1 + randomRounds;
+  if (!check(2n)) return verdict(false, 'deterministic', rounds, { witness: 2n });
+  let D = null;
+  if (lucas) {
+    L = strongLucasTest(n);
+    if (L.factor !== null) return verdict(false, 'deterministic', rounds, { factor: L.factor });
+    if (!L.prime) return verdict(false, 'deterministic', rounds, { lucas: L.D });
+    D = L.D;
+  }
+  for (let i = 0; i < randomRounds; i++) {
+    const a = randomBigIntInRange(3n, n - 2n);
+    if (!check(a)) return verdict(false, 'deterministic', rounds, { witness: a });
+  }
+  return verdict(true, lucas ? 'bpsw' : 'probabilistic', rounds, { lucas: D });
+}
+
+// Miller–Rabin with only the given bases, the way primalityVerdict() uses the fixed ones:
+// trial division by the bases, then one round each until a witness turns up. Shows how few
+// bases a strong pseudoprime fools. Returns { prime, factor, witness, d, s, rounds }.
+export function millerRabinWithBases(n, bases) {
+  const result = (prime, fields = {}) => ({ prime, factor: null, witness: null, d: null, s: 0, rounds: [], ...fields });
+  if (n < 2n) return result(false);
+  for (const p of bases) {
+    if (n === p) return result(true);
+    if (n % p === 0n) return result(false, { factor: p });
+  }
+  if (n < 4n) return result(true);
+  const { d, s } = splitPowerOfTwo(n);
+  const rounds = [];
+  for (const a of bases) {
+    const round = millerRabinRound(a, n, d, s);
+    rounds.push(round);
+    if (!round.pass) return result(false, { witness: a, d, s, rounds });
+  }
+  return result(true, { d, s, rounds });
+}
+
+// Smallest strong pseudoprimes to the first `bases` primes (2, 3, 5, …): each passes
+// millerRabinWithBases() with those bases while the next prime base is a witness.
+export const STRONG_PSEUDOPRIMES = [
+  { n: 2047n, bases: 1 }, // 23 · 89
+  { n: 1373653n, bases: 2 }, // 829 · 1657
+  { n: 25326001n, bases: 3 }, // 2251 · 11251
+  { n: 3215031751n, bases: 4 }, // 151 · 751 · 28351
+  { n: 2152302898747n, bases: 5 }, // 6763 · 10627 · 29947
+  { n: 3474749660383n, bases: 6 }, // 1303 · 16927 · 157543
+  { n: 341550071728321n, bases: 8 }, // 10670053 · 32010157
+  { n: 3825123056546413051n, bases: 11 }, // 149491 · 747451 · 34233211
+  { n: 318665857834031151167461n, bases: 12 },
+  { n: MR_DETERMINISTIC_LIMIT, bases: 13 },
+];
+
+export function isProbablePrime(n, options) {
+  return primalityVerdict(n, options).prime;
+}
+
+// crypto-safe random BigInt in [0, maxExclusive)
+export function randomBigIntBelow(maxExclusive) {
+  if (maxExclusive <= 0n) return 0n;
+  const bitLen = maxExclusive.toString(2).length;
+  const byteLen = Math.ceil(bitLen / 8);
+  const bytes = new Uint8Array(byteLen);
+  const mask = (1n << BigInt(bitLen)) - 1n;
+  while (true) {
+    crypto.getRandomValues(bytes);
+    let val = 0n;
+    for (let i = 0; i < byteLen; i++) val = (val << 8n) + BigInt(bytes[i]);
+    val = val & mask;
+    if (val < maxExclusive) return val;
+  }
+}
+
+// Random BigInt in [min .. max]
+export function randomBigIntInRange(min, max) {
+  if (max < min) [min, max] = [max, min];
+  const span = (max - min) + 1n;
+  const off = randomBigIntBelow(span);
+  return min + off;
+}
+
+// Generate a random prime in [minP .. maxP] (BigInt). Uses Miller-Rabin.
+export function randomPrimeInRange(minP, maxP) {
+  if (maxP < 5n) maxP = 5n;
+  if (minP < 5n) minP = 5n;
+  if ((minP & 1n) === 0n) minP += 1n; // make odd
+  if ((maxP & 1n) === 0n) maxP -= 1n; // make odd
+  if (minP > maxP) [minP, maxP] = [maxP, minP];
+
+  let candidate = randomBigIntInRange(minP, maxP);
+  if ((candidate & 1n) === 0n) candidate += 1n;
+
+  // Try random starting point, then scan upward by 2, then wrap.
+  const limit = Number((maxP - minP) / 2n) + 2; // number of odd numbers in range
+  let tries = 0;
+  while (tries < limit) {
+    reportProgress('candidate');
+    if (isProbablePrime(candidate)) return candidate;
+    candidate += 2n;
+    if (candidate > maxP) candidate = minP;
+    tries++;
+  }
+  // Fallback deterministic scan
+  for (let n = minP; n <= maxP; n += 2n) {
+    if (isProbablePrime(n)) return n;
+  }
+  // As a last resort, return a known small prime
+  return 101n;
+}
+
+// Distinct prime factors of n (BigInt), naive trial division. Suitable for small n.
+export function primeFactorsDistinct(n) {
+  return primeFactorization(n).factors.map((f) => f.q);
+}
+
+// Prime factorization n = Π q^e by trial division. With a bound, divisors above it are
+// not tried and whatever is left over is returned as `cofactor` (1 when fully factored).
+export function primeFactorization(n, bound = null) {
+  const factors = [];
+  let x = n;
+  const take = (q) => {
+    let e = 0;
+    while (x % q === 0n) { x /= q; e++; }
+    if (e > 0) factors.push({ q, e });
+  };
+  take(2n);
+  let f = 3n;
+  while (f * f <= x) {
+    if (bound !== null && f > bound) return { factors, cofactor: x };
+    take(f);
+    f += 2n;
+  }
+  if (x > 1n) factors.push({ q: x, e: 1 });
+  return { factors, cofactor: 1n };
+}
+
+// Order of g in Z_p^*, given the factorization of p-1
+export function multiplicativeOrder(g, p, factors) {
+  let ord = p - 1n;
+  for (const { q } of factors) {
+    while (ord % q === 0n && modPow(g, ord / q, p) === 1n) ord /= q;
+  }
+  return ord;
+}
+
+// Prime factorization of p-1 for order computations: trial division up to `bound`, then the
+// leftover is kept when it is prime, which covers safe primes and the generated groups.
+// Returns { factors: [{ q, e }], rest } where rest is the part left unfactored (1 when complete).
+export function groupOrderFactors(p, bound = 1n << 16n, verdictOf = primalityVerdict) {
+  const fz = primeFactorization(p - 1n, bound);
+  if (fz.cofactor === 1n) return { factors: fz.factors, rest: 1n };
+  if (verdictOf(fz.cofactor).prime) return { factors: [...fz.factors, { q: fz.cofactor, e: 1 }], rest: 1n };
+  return { factors: fz.factors, rest: fz.cofactor };
+}
+
+// Order of g and the size of <g> in Z_p^*, from the factors of p-1 (see groupOrderFactors).
+// With rest > 1 the order found is only a multiple of the true one (exact: false).
+// Returns { order, exact, primitive, index, orderFactors }: primitive is null when it cannot
+// be decided, index = (p-1)/order and orderFactors are the [{ q, e }] of the order.
+export function generatorInfo(g, p, factors, rest = 1n) {
+  const order = multiplicativeOrder(g, p, factors);
+  const exact = rest === 1n;
+  const orderFactors = [];
+  let x = order;
+  for (const { q } of factors) {
+    let e = 0;
+    while (x % q === 0n) { x /= q; e++; }
+    if (e > 0) orderFactors.push({ q, e });
+  }
+  const primitive = order < p - 1n ? false : exact ? true : null;
+  return { order, exact, primitive, index: (p - 1n) / order, orderFactors };
+}
+
+// Element of prime order r in Z_p^* (r must divide p-1): h = t^((p-1)/r) for the smallest t
+// with h ≠ 1. For r = 2 this is always p-1. Returns { h, t }, or null when r does not divide p-1.
+export function smallOrderElement(p, r) {
+  if ((p - 1n) % r !== 0n) return null;
+  const e = (p - 1n) / r;
+  for (let t = 2n; t < p; t++) {
+    const h = modPow(t, e, p);
+    if (h !== 1n) return { h, t };
+  }
+  return null;
+}
+
+// Powers g^0, g^1, ... up to the first return to 1, or null when the cycle is longer than max
+export function powerCycle(g, p, max) {
+  const out = [1n];
+  let x = g % p;
+  while (x !== 1n) {
+    if (out.length >= max || x === 0n) return null;
+    out.push(x);
+    x = (x * g) % p;
+  }
+  return out;
+}
+
+// Chinese remainder theorem for pairwise coprime moduli: x ≡ r_i (mod m_i)
+export function crt(residues, moduli) {
+  let x = 0n, M = 1n;
+  for (let i = 0; i < residues.length; i++) {
+    const r = residues[i], m = moduli[i];
+    // x + M*t ≡ r (mod m)  →  t = (r − x) * M^{-1} mod m
+    const t = (((r - x) % m + m) % m * modInverse(M % m, m)) % m;
+    x += M * t;
+    M *= m;
+  }
+  return ((x % M) + M) % M;
+}
+
+// Random prime p of the given bit size where p-1 is a product of primes below maxFactor.
+// Returns { p, factors } with the distinct primes of p-1, or null.
+export function randomSmoothPrime(bits, maxFactor = 4096) {
+  const small = [];
+  for (let n = 3; n < maxFactor; n += 2) {
+    let prime = true;
+    for (let d = 3; d * d <= n; d += 2) { if (n % d === 0) { prime = false; break; } }
+    if (prime) small.push(BigInt(n));
+  }
+  const lo = 1n << BigInt(bits - 1), hi = 1n << BigInt(bits);
+  for (let attempt = 0; attempt < 100000; attempt++) {
+    reportProgress('candidate');
+    let N = 2n;
+    while (N + 1n < lo) N *= small[Number(randomBigIntBelow(BigInt(small.length)))];
+    const cand = N + 1n;
+    if (cand < hi && isProbablePrime(cand)) return { p: cand, factors: primeFactorization(N).factors.map((f) => f.q) };
+  }
+  return null;
+}
+
+// Try to find a generator of Z_p^* using factorization of p-1.
+// Pass the distinct prime factors of p-1 when they are already known (e.g. for generated
+// safe primes); otherwise they are found by trial division, which only suits small p.
+export function findGenerator(p, knownFactors = null) {
+  const phi = p - 1n;
+  const factors = knownFactors || primeFactorsDistinct(phi);
+  for (let attempt = 0; attempt < 64; attempt++) {
+    const gCand = randomBigIntInRange(2n, p - 2n);
+    let ok = true;
+    for (const q of factors) {
+      if (modPow(gCand, phi / q, p) === 1n) { ok = false; break; }
+    }
+    if (ok) return gCand;
+  }
+  // Fallback linear search
+  for (let gCand = 2n; gCand <= p - 2n; gCand++) {
+    let ok = true;
+    for (const q of factors) {
+      if (modPow(gCand, phi / q, p) === 1n) { ok = false; break; }
+    }
+    if (ok) return gCand;
+  }
+  return 2n; // last resort
+}
+
+// Smallest g generating the subgroup of prime order q of a safe prime p = 2q+1.
+// Every square other than 1 has order q, so this stops after a few candidates.
+export function subgroupGenerator(p, q) {
+  for (let gCand = 2n; gCand < p - 1n; gCand++) {
+    if (modPow(gCand, q, p) === 1n) return gCand;
+  }
+  return 4n; // 2^2 is always a square
+}
+
+export function bitLength(n) {
+  return n > 0n ? n.toString(2).length : 0;
+}
+
+// Odd primes below 2000, used to reject most candidates before Miller–Rabin
+const SIEVE_PRIMES = (() => {
+  const out = [];
+  for (let n = 3; n < 2000; n += 2) {
+    let prime = true;
+    for (let d = 3; d * d <= n; d += 2) { if (n % d === 0) { prime = false; break; } }
+    if (prime) out.push(BigInt(n));
+  }
+  return out;
+})();
+
+export function hasSmallFactor(n) {
+  for (const q of SIEVE_PRIMES) {
+    if (q >= n) return false;
+    if (n % q === 0n) return true;
+  }
+  return false;
+}
+
+// Random odd BigInt with exactly `bits` bits (top bit set)
+function randomOddBits(bits) {
+  const top = 1n << BigInt(bits - 1);
+  return (top + randomBigIntBelow(top)) | 1n;
+}
+
+// Random prime with exactly `bits` bits
+export function randomPrimeBits(bits) {
+  while (true) {
+    reportProgress('candidate');
+    const n = randomOddBits(bits);
+    if (!hasSmallFactor(n) && isProbablePrime(n)) return n;
+  }
+}
+
+// Random safe prime p = 2q+1 (q prime) with exactly `bits` bits. Returns { p, q }.
+export function randomSafePrime(bits) {
+  while (true) {
+    reportProgress('candidate');
+    const q = randomOddBits(bits - 1);
+    const n = 2n * q + 1n;
+    if (hasSmallFactor(q) || hasSmallFactor(n)) continue;
+    if (isProbablePrime(q) && isProbablePrime(n)) return { p: n, q };
+  }
+}
+
+// Up to this size p-1 is cheap to factor by trial division (at most 2^16 divisions)
+const TRIAL_FACTOR_BITS = 32;
+
+// Random DH group with `bits`-bit p and known structure of p-1.
+// Returns { p, g, factors, q } where factors are the distinct primes of p-1 and q is the
+// order of g when g generates a prime-order subgroup (safe primes), else null.
+export function randomGroup(bits, safe) {
+  if (safe) {
+    const { p, q } = randomSafePrime(bits);
+    return { p, g: subgroupGenerator(p, q), factors: [2n, q], q };
+  }
+  if (bits <= TRIAL_FACTOR_BITS) {
+    const p = randomPrimeBits(bits);
+    const factors = primeFactorsDistinct(p - 1n);
+    return { p, g: findGenerator(p, factors), factors, q: null };
+  }
+  // p = 2·m·q + 1 with m a random 16-bit cofactor and q a large prime, so p-1 is known
+  // without factoring and is not smooth
+  while (true) {
+    const m = randomOddBits(16) >> 1n;
+    const q = randomPrimeBits(bits - bitLength(m) - 1);
+    const n = 2n * m * q + 1n;
+    reportProgress('candidate');
+    if (bitLength(n) !== bits || hasSmallFactor(n) || !isProbablePrime(n)) continue;
+    const factors = [...new Set([2n, ...primeFactorsDistinct(m), q])];
+    return { p: n, g: findGenerator(n, factors), factors, q: null };
+  }
+}
+
+// Safe prime in the demo range 401..2000 (q in 200..999)
+export function randomSafePrimeDemo() {
+  while (true) {
+    const q = randomPrimeInRange(200n, 999n);
+    if (isProbablePrime(2n * q + 1n)) return { p: 2n * q + 1n, q };
+  }
+}
+
+// Greatest common divisor (BigInt, non-negative result)
+export function gcd(x, y) {
+  x = x < 0n ? -x : x;
+  y = y < 0n ? -y : y;
+  while (y !== 0n) [x, y] = [y, x % y];
+  return x;
+}
+
+// Modular inverse via extended Euclid; null when gcd(x, m) != 1
+export function modInverse(x, m) {
+  let [r0, r1] = [((x % m) + m) % m, m];
+  let [s0, s1] = [1n, 0n];
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+  if (r0 !== 1n) return null;
+  return ((s0 % m) + m) % m;
+}
+
+// BigInt from hex as printed in RFCs and standards; whitespace is ignored
+export const hexBig = (s) => BigInt('0x' + s.replace(/\s+/g, ''));
@@ -0,0 +1,15 @@
+// Worker entry (module worker): runs one job of lib/jobs.js per message.
+//   in:  { id, name, args }
+//   out: { id, progress } while it runs, then { id, result, progress } or { id, error }
+// A job cannot be interrupted; the page cancels by terminating the worker.
+
+import { runJob } from './jobs.js';
+
+self.onmessage = ({ data: { id, name, args } }) => {
+  try {
+    const { result, progress } = runJob(name, args, (p) => self.postMessage({ id, progress: p }));
+    self.postMessage({ id, result, progress });
+  } catch (e) {
+    self.postMessage({ id, error: e.message });
+  }
+};
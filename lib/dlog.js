@@ -0,0 +1,201 @@
+// Discrete log attacks shown in the Eve panel.
+
+import {
+  modPow, modInverse, gcd, crt, primeFactorization, multiplicativeOrder, isProbablePrime, randomBigIntBelow,
+} from './dh-math.js';
+import { t } from './i18n.js';
+
+// Largest prime factor of p-1 that still counts as "small" for Pohlig–Hellman.
+// Trial division only runs to SMOOTH_TRIAL; a leftover cofactor below SMOOTH_MAX
+// can only consist of factors that are cheap for BSGS.
+export const SMOOTH_TRIAL = 1n << 16n;
+export const SMOOTH_MAX = 1n << 40n;
+
+// Prime factorization [{ q, e }] of N when all its primes are small in the sense above, else
+// null. The leftover cofactor has to be a prime below SMOOTH_MAX: a composite one would need
+// factoring first. The page's smoothness warning and Pohlig–Hellman both go by this.
+export function smoothFactorization(N) {
+  const fz = primeFactorization(N, SMOOTH_TRIAL);
+  if (fz.cofactor === 1n) return fz.factors;
+  if (fz.cofactor > SMOOTH_MAX || !isProbablePrime(fz.cofactor)) return null;
+  return [...fz.factors, { q: fz.cofactor, e: 1 }];
+}
+
+// Discrete log attacks for Eve: find x with g^x = h (mod p).
+// Each returns { x, ops, log, status } where status is 'found', 'limit' or 'fail'.
+// ops counts group multiplications so results can be compared across methods.
+export const EVE_LOG_HEAD = 6; // number of iterations shown verbatim in the log
+
+export function dlogBruteForce(g, h, p, limit) {
+  const log = [];
+  const max = BigInt(limit), head = BigInt(EVE_LOG_HEAD);
+  let cur = 1n;
+  for (let x = 0n; x < max; x++) {
+    if (x < head) log.push(`g^${x} mod p = ${cur}`);
+    else if (x === head) log.push('...');
+    if (cur === h) {
+      log.push(t('dlog.bruteHit', { x, cur }));
+      return { x, ops: Number(x), log, status: 'found' };
+    }
+    cur = (cur * g) % p;
+    if (cur === 1n && x > 0n) {
+      log.push(t('dlog.bruteCycle', { n: x + 1n }));
+      return { x: null, ops: Number(x) + 1, log, status: 'fail' };
+    }
+  }
+  log.push(t('dlog.bruteLimit', { limit }));
+  return { x: null, ops: limit, log, status: 'limit' };
+}
+
+// Baby-step giant-step: m = ceil(sqrt(p-1)); table of g^j, then walk h * g^(-m*i)
+export function dlogBSGS(g, h, p, limit, order = p - 1n) {
+  const log = [];
+  const N = order;
+  let m = 1n;
+  while (m * m < N) m <<= 1n;
+  // refine m down to ceil(sqrt(N)) by bisection
+  let lo = m >> 1n, hi = m;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1n;
+    if (mid * mid >= N) hi = mid; else lo = mid + 1n;
+  }
+  m = hi;
+  log.push(`m = ⌈√${order === p - 1n ? '(p−1)' : order}⌉ = ${m}`);
+  if (m > BigInt(limit)) {
+    log.push(t('dlog.bsgsTooBig', { m, limit }));
+    return { x: null, ops: 0, log, status: 'limit' };
+  }
+  const table = new Map();
+  let cur = 1n;
+  for (let j = 0n; j < m; j++) {
+    if (!table.has(cur)) table.set(cur, j);
+    cur = (cur * g) % p;
+  }
+  let ops = Number(m);
+  log.push(t('dlog.bsgsBaby', { last: m - 1n, size: table.size }));
+  const factor = modPow(modInverse(g, p), m, p);
+  log.push(t('dlog.bsgsFactor', { factor }));
+  let gamma = h;
+  for (let i = 0n; i < m; i++) {
+    const j = table.get(gamma);
+    if (j !== undefined) {
+      const x = i * m + j;
+      log.push(t('dlog.bsgsHit', { i, gamma, j, x }));
+      return { x, ops, log, status: 'found' };
+    }
+    if (i < BigInt(EVE_LOG_HEAD)) log.push(t('dlog.bsgsMiss', { i, gamma }));
+    else if (i === BigInt(EVE_LOG_HEAD)) log.push('...');
+    gamma = (gamma * factor) % p;
+    ops++;
+  }
+  log.push(t('dlog.bsgsNoMatch'));
+  return { x: null, ops, log, status: 'fail' };
+}
+
+// Pollard's rho for logarithms (Floyd cycle finding over a 3-way partition)
+export function dlogPollardRho(g, h, p, limit) {
+  const log = [];
+  const N = p - 1n;
+  let ops = 0;
+  const step = (x, u, v) => {
+    switch (x % 3n) {
+      case 0n: return [(x * x) % p, (2n * u) % N, (2n * v) % N];
+      case 1n: return [(x * g) % p, (u + 1n) % N, v];
+      default: return [(x * h) % p, u, (v + 1n) % N];
+    }
+  };
+  for (let attempt = 1; attempt <= 8; attempt++) {
+    // First walk starts at 1; restarts begin at a random g^u0 * h^v0
+    const u0 = attempt === 1 ? 0n : randomBigIntBelow(N);
+    const v0 = attempt === 1 ? 0n : randomBigIntBelow(N);
+    let w = [(modPow(g, u0, p) * modPow(h, v0, p)) % p, u0, v0];
+    let r = w;
+    log.push(t('dlog.rhoStart', { attempt, u: u0, v: v0 }));
+    let found = false;
+    while (ops < limit) {
+      w = step(...w);
+      r = step(...step(...r));
+      ops += 3;
+      if (w[0] === r[0]) { found = true; break; }
+    }
+    if (!found) {
+      log.push(t('dlog.rhoLimit', { limit }));
+      return { x: null, ops, log, status: 'limit' };
+    }
+    // g^u1 h^v1 = g^u2 h^v2  →  x (v1 − v2) ≡ u2 − u1 (mod p−1)
+    const rr = ((w[2] - r[2]) % N + N) % N;
+    const tt = ((r[1] - w[1]) % N + N) % N;
+    log.push(t('dlog.rhoCollision', { ops, u1: w[1], v1: w[2], u2: r[1], v2: r[2], x: w[0] }));
+    log.push(t('dlog.rhoSolve', { r: rr, t: tt, n: N }));
+    const d = gcd(rr, N);
+    if (rr === 0n || tt % d !== 0n || d > 100000n) {
+      log.push(t('dlog.rhoUseless'));
+      continue;
+    }
+    const Nd = N / d;
+    const x0 = ((tt / d) * modInverse(rr / d, Nd)) % Nd;
+    if (d > 1n) log.push(t('dlog.rhoGcd', { d, nd: Nd }));
+    for (let k = 0n; k < d; k++) {
+      const x = x0 + k * Nd;
+      ops++;
+      if (modPow(g, x, p) === h) {
+        log.push(`g^${x} mod p = ${h} → x = ${x}`);
+        return { x, ops, log, status: 'found' };
+      }
+    }
+    log.push(t('dlog.rhoNoCandidate'));
+  }
+  return { x: null, ops, log, status: 'fail' };
+}
+
+// Pohlig–Hellman: solve the log in every prime-power subgroup of <g>, then join with CRT.
+// Besides the usual fields the result carries `parts` = [{ q, e, mod, x }] for display.
+export function dlogPohligHellman(g, h, p, limit) {
+  const log = [];
+  const N = p - 1n;
+  let ops = 0;
+  const factors = smoothFactorization(N);
+  if (!factors) {
+    log.push(t('dlog.phBigFactor', { rest: primeFactorization(N, SMOOTH_TRIAL).cofactor }));
+    return { x: null, ops, log, status: 'fail', parts: [] };
+  }
+  log.push(`p−1 = ${factors.map(({ q, e }) => (e > 1 ? `${q}^${e}` : `${q}`)).join(' · ')}`);
+  const n = multiplicativeOrder(g, p, factors);
+  ops += factors.length;
+  if (n !== N) log.push(t('dlog.phOrder', { n }));
+  if (modPow(h, n, p) !== 1n) {
+    log.push(t('dlog.phNotInSubgroup'));
+    return { x: null, ops, log, status: 'fail', parts: [] };
+  }
+
+  const parts = [];
+  for (const { q } of factors) {
+    let e = 0, qe = 1n;
+    while ((n / qe) % q === 0n) { qe *= q; e++; }
+    if (e === 0) continue;
+    // gamma has order q; peel off one base-q digit of x mod q^e per round
+    const gamma = modPow(g, n / q, p);
+    const gInv = modInverse(g, p);
+    let xi = 0n, qk = 1n;
+    const digits = [];
+    for (let k = 0; k < e; k++) {
+      const hk = modPow((modPow(gInv, xi, p) * h) % p, n / (qk * q), p);
+      const sub = q <= 1024n
+        ? dlogBruteForce(gamma, hk, p, Number(q))
+        : dlogBSGS(gamma, hk, p, limit, q);
+      ops += sub.ops + 2;
+      if (sub.x === null) {
+        log.push(t('dlog.phSubFail', { q, status: sub.status }));
+        return { x: null, ops, log, status: sub.status, parts };
+      }
+      digits.push(sub.x);
+      xi += sub.x * qk;
+      qk *= q;
+    }
+    log.push(t('dlog.phSub', { qe, x: xi, digits: e > 1 ? t('dlog.phDigits', { q, digits: digits.join(', ') }) : '' }));
+    parts.push({ q, e, mod: qe, x: xi });
+  }
+  const x = crt(parts.map((pt) => pt.x), parts.map((pt) => pt.mod));
+  log.push(`CRT: x ≡ ${x} (mod ${n})`);
+  return { x, ops, log, status: modPow(g, x, p) === h ? 'found' : 'fail', parts };
+}
@@ -0,0 +1,79 @@
+// Elliptic-curve arithmetic for ECDH mode, plus the curves offered in the UI.
+
+import { hexBig, modInverse } from './dh-math.js';
+import { t } from './i18n.js';
+
+// Elliptic curves y² = x³ + ax + b over F_p (short Weierstrass), affine coordinates.
+// Points are { x, y } BigInt pairs; null is the point at infinity O.
+export function ecOnCurve(P, C) {
+  if (P === null) return true;
+  return (P.y * P.y - (P.x * P.x * P.x + C.a * P.x + C.b)) % C.p === 0n;
+}
+
+export function ecNeg(P, C) {
+  return P === null ? null : { x: P.x, y: (C.p - P.y) % C.p };
+}
+
+export function ecAdd(P, Q, C) {
+  if (P === null) return Q;
+  if (Q === null) return P;
+  const m = C.p;
+  let lambda;
+  if (P.x === Q.x) {
+    if ((P.y + Q.y) % m === 0n) return null; // P + (−P) = O, also covers doubling y = 0
+    lambda = ((3n * P.x * P.x + C.a) * modInverse(2n * P.y, m)) % m; // tangent
+  } else {
+    lambda = ((Q.y - P.y) * modInverse(Q.x - P.x, m)) % m; // chord
+  }
+  const x = ((lambda * lambda - P.x - Q.x) % m + m) % m;
+  const y = ((lambda * (P.x - x) - P.y) % m + m) % m;
+  return { x, y };
+}
+
+// Scalar multiplication k·P by double-and-add: the additive twin of modPow's square-and-multiply
+export function ecMul(k, P, C) {
+  let result = null;
+  let addend = P;
+  let e = k < 0n ? -k : k;
+  while (e > 0n) {
+    if (e & 1n) result = ecAdd(result, addend, C);
+    e >>= 1n;
+    addend = ecAdd(addend, addend, C);
+  }
+  return k < 0n ? ecNeg(result, C) : result;
+}
+
+// Teaching curves have prime group order n, so every point other than O generates the group.
+// P-256 is the NIST curve used by TLS and Web Crypto (FIPS 186-4, D.1.2.3). Names that are
+// words rather than identifiers follow the page language.
+export const CURVES = [
+  {
+    id: 'toy17',
+    get name() { return t('curve.toy', { eq: 'y² = x³ + 2x + 2 (mod 17)' }); },
+    p: 17n, a: 2n, b: 2n,
+    G: { x: 5n, y: 1n },
+    n: 19n,
+    plot: true,
+  },
+  {
+    id: 'toy97',
+    get name() { return t('curve.toy', { eq: 'y² = x³ + 5 (mod 97)' }); },
+    p: 97n, a: 0n, b: 5n,
+    G: { x: 1n, y: 43n },
+    n: 79n,
+    plot: true,
+  },
+  {
+    id: 'p256',
+    name: 'NIST P-256 (secp256r1)',
+    p: hexBig('FFFFFFFF 00000001 00000000 00000000 00000000 FFFFFFFF FFFFFFFF FFFFFFFF'),
+    a: hexBig('FFFFFFFF 00000001 00000000 00000000 00000000 FFFFFFFF FFFFFFFF FFFFFFFC'),
+    b: hexBig('5AC635D8 AA3A93E7 B3EBBD55 769886BC 651D06B0 CC53B0F6 3BCE3C3E 27D2604B'),
+    G: {
+      x: hexBig('6B17D1F2 E12C4247 F8BCE6E5 63A440F2 77037D81 2DEB33A0 F4A13945 D898C296'),
+      y: hexBig('4FE342E2 FE1A7F9B 8EE7EB4A 7C0F9E16 2BCE3357 6B315ECE CBB64068 37BF51F5'),
+    },
+    n: hexBig('FFFFFFFF 00000000 FFFFFFFF FFFFFFFF BCE6FAAD A7179E84 F3B9CAC2 FC632551'),
+    plot: false,
+  },
+];
@@ -0,0 +1,73 @@
+// Number formats for input and display: decimal, 0x-hex, base64 of the big-endian bytes and
+// 0b-binary. Parsing ignores whitespace and colons so values pasted from OpenSSL
+// ("00:ff:a1:...") or from RFC listings split over several lines are accepted as they are.
+
+import { MAX_DIGITS, parseBigIntDec } from './validate.js';
+import { t } from './i18n.js';
+
+// Names are looked up when read, so they follow the page language
+export const NUMBER_FORMATS = ['dec', 'hex', 'b64', 'bin'].map((id) => ({ id, get name() { return t(`format.${id}`); } }));
+
+// Same size limit as the decimal parser: 2500 digits ≈ 8305 bits
+export const MAX_BITS = Math.ceil(MAX_DIGITS * Math.log2(10));
+
+// Minimal big-endian byte string; 0 is a single zero byte
+function toBytes(v) {
+  let hex = v.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.slice(2 * i, 2 * i + 2), 16);
+  return out;
+}
+
+export function formatBigInt(v, fmt = 'dec') {
+  if (v < 0n) return `-${formatBigInt(-v, fmt)}`;
+  switch (fmt) {
+    case 'hex': return `0x${v.toString(16).toUpperCase()}`;
+    case 'bin': return `0b${v.toString(2)}`;
+    case 'b64': {
+      let s = '';
+      for (const byte of toBytes(v)) s += String.fromCharCode(byte);
+      return btoa(s);
+    }
+    default: return v.toString();
+  }
+}
+
+function decodeBase64(s) {
+  // URL-safe alphabet and missing padding are accepted too
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(s)) return null;
+  const body = s.replace(/=+$/, '').replace(/-/g, '+').replace(/_/g, '/');
+  if (body.length % 4 === 1) return null;
+  let bin;
+  try { bin = atob(body + '='.repeat((4 - (body.length % 4)) % 4)); } catch (e) { return null; }
+  let hex = '';
+  for (let i = 0; i < bin.length; i++) hex += bin.charCodeAt(i).toString(16).padStart(2, '0');
+  return BigInt(`0x${hex}`);
+}
+
+// Parse `str` in format `fmt`. Decimal is digits only, as in parseBigIntDec. Hex, binary and
+// base64 may be pasted with whitespace and colons, and in hex or binary a 0x/0b prefix picks
+// the format (base64 has both as valid characters). Returns { ok, value } or { ok: false, error }.
+export function parseBigIntAs(str, fmt = 'dec') {
+  if (fmt === 'dec') return parseBigIntDec(str);
+  let s = String(str || '').replace(/[\s:]/g, '');
+  let kind = fmt;
+  if (fmt !== 'b64' && /^0x/i.test(s)) { kind = 'hex'; s = s.slice(2); }
+  else if (fmt === 'bin' && /^0b/i.test(s)) s = s.slice(2);
+  if (s.length > 4 * MAX_DIGITS) return { ok: false, error: t('format.tooLong', { max: MAX_BITS }) };
+  let value = null;
+  if (kind === 'hex') {
+    if (!/^[0-9a-fA-F]+$/.test(s)) return { ok: false, error: t('format.hexOnly') };
+    value = BigInt(`0x${s}`);
+  } else if (kind === 'bin') {
+    if (!/^[01]+$/.test(s)) return { ok: false, error: t('format.binOnly') };
+    value = BigInt(`0b${s}`);
+  } else {
+    value = decodeBase64(s);
+    if (value === null) return { ok: false, error: t('format.b64Only') };
+  }
+  const bits = value.toString(2).length;
+  if (bits > MAX_BITS) return { ok: false, error: t('format.tooManyBits', { bits, max: MAX_BITS }) };
+  return { ok: true, value };
+}
@@ -0,0 +1,40 @@
+// Message catalogs. Every user-facing string is looked up by key with t(); {name} in a
+// message is replaced by params.name. Indonesian is the source language and the fallback
+// for keys a catalog does not have yet.
+
+import { messages as id } from './locales/id.js';
+import { messages as en } from './locales/en.js';
+
+export const LANGUAGES = [
+  { id: 'id', name: 'Bahasa Indonesia', locale: 'id-ID', messages: id },
+  { id: 'en', name: 'English', locale: 'en-US', messages: en },
+];
+export const DEFAULT_LANGUAGE = 'id';
+
+let current = LANGUAGES[0];
+
+export function setLanguage(lang) {
+  current = LANGUAGES.find((l) => l.id === lang) || LANGUAGES[0];
+  return current.id;
+}
+
+export function getLanguage() { return current.id; }
+
+// Locale for toLocaleString() and friends
+export function numberLocale() { return current.locale; }
+
+export function t(key, params = {}) {
+  const msg = key in current.messages ? current.messages[key] : id[key];
+  if (msg === undefined) return key;
+  return msg.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? String(params[name]) : m));
+}
+
+// First supported language among the candidates, most specific first: an explicit choice
+// (?lang=), then the browser's list. Tags like "en-GB" match on their primary subtag.
+export function pickLanguage(candidates) {
+  for (const tag of candidates) {
+    const primary = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    if (LANGUAGES.some((l) => l.id === primary)) return primary;
+  }
+  return DEFAULT_LANGUAGE;
+}
@@ -0,0 +1,100 @@
+// Long computations of the page, run by lib/dh-worker.js so the tab stays responsive, or on
+// the page itself when workers are unavailable. Arguments and results are plain objects of
+// BigInts, which postMessage copies as they are.
+
+import {
+  primalityVerdict, groupOrderFactors, randomGroup, randomSafePrimeDemo, randomPrimeInRange,
+  primeFactorsDistinct, findGenerator, subgroupGenerator, randomSmoothPrime, setProgressListener,
+} from './dh-math.js';
+import { provableSafePrime, certificateVerdict } from './certificate.js';
+import { benchmark } from './bench.js';
+import { dlogBruteForce, dlogBSGS, dlogPollardRho, dlogPohligHellman } from './dlog.js';
+import { setLanguage } from './i18n.js';
+
+const DLOG_METHODS = { brute: dlogBruteForce, bsgs: dlogBSGS, rho: dlogPollardRho, ph: dlogPohligHellman };
+
+// Modular multiplications per ms at the size of p. Squaring keeps both factors full-width, as
+// in the attacks; multiplying by a small g would be far cheaper.
+function mulRate(h, p) {
+  const n = 20000;
+  let x = h;
+  const t0 = performance.now();
+  for (let i = 0; i < n; i++) x = (x * x) % p;
+  return n / Math.max(performance.now() - t0, 0.001);
+}
+
+// `tests` in the arguments are the primalityVerdict() options ({ rounds, lucas }) for the verdicts
+export const JOBS = {
+  // Group for "Acak semua": `bits` 0 is the demo range 401..2000. Returns { p, g, factors,
+  // verdict } with the distinct primes of p-1, so the page never has to check or factor p.
+  // With `certify` a safe prime comes with a Pocklington/Pratt certificate, kept in the verdict.
+  group({ bits, safe, certify, tests }) {
+    let grp;
+    if (bits > 0 && safe && certify) {
+      const { p, q, certificate } = provableSafePrime(bits);
+      grp = { p, g: subgroupGenerator(p, q), factors: [2n, q] };
+      const verdict = certificateVerdict(certificate);
+      if (verdict) return { ...grp, verdict };
+    } else if (bits > 0) {
+      const { p, g, factors } = randomGroup(bits, safe);
+      grp = { p, g, factors };
+    } else if (safe) {
+      const { p, q } = randomSafePrimeDemo();
+      grp = { p, g: subgroupGenerator(p, q), factors: [2n, q] };
+    } else {
+      const p = randomPrimeInRange(401n, 2000n);
+      const factors = primeFactorsDistinct(p - 1n);
+      grp = { p, g: findGenerator(p, factors), factors };
+    }
+    return { ...grp, verdict: primalityVerdict(grp.p, tests) };
+  },
+  // Prime of `bits` bits with p-1 made of small primes: { p, g, factors, verdict }, or null
+  smooth({ bits, tests }) {
+    const sp = randomSmoothPrime(bits);
+    return sp && { p: sp.p, g: findGenerator(sp.p, sp.factors), factors: sp.factors, verdict: primalityVerdict(sp.p, tests) };
+  },
+  // Primality verdict of p and, with `factor`, the factors of p-1 (see groupOrderFactors)
+  checkP({ p, factor, tests }) {
+    const verdict = primalityVerdict(p, tests);
+    return { verdict, order: factor && verdict.prime ? groupOrderFactors(p, undefined, (n) => primalityVerdict(n, tests)) : null };
+  },
+  // Eve's discrete log search g^x = h (mod p) with each of `methods` (brute, bsgs, rho, ph), at
+  // most `limit` operations each. Returns { rows: [{ method, res, ms }], rate } with res as from
+  // lib/dlog.js, its log in `lang`, and rate the multiplications per ms measured at this p.
+  eve({ methods, g, h, p, limit, lang }) {
+    setLanguage(lang);
+    const rows = methods.map((method) => {
+      if (!Object.prototype.hasOwnProperty.call(DLOG_METHODS, method)) throw new Error(`Unknown method: ${method}`);
+      const t0 = performance.now();
+      const res = DLOG_METHODS[method](g, h, p, limit);
+      return { method, res, ms: performance.now() - t0 };
+    });
+    return { rows, rate: mulRate(h, p) };
+  },
+  // One cell of the benchmark panel: timings of `op` at `bits` bits (see benchmark())
+  bench({ op, bits, options }) {
+    return benchmark(op, bits, options);
+  },
+};
+
+// Run job `name`, calling onProgress({ candidates, rounds }) at most every `interval` ms
+// while it runs. The counts in the returned { result, progress } are the final ones.
+export function runJob(name, args, onProgress = null, interval = 100) {
+  if (!Object.prototype.hasOwnProperty.call(JOBS, name)) throw new Error(`Unknown job: ${name}`);
+  const progress = { candidates: 0, rounds: 0 };
+  let last = Date.now();
+  setProgressListener((kind) => {
+    if (kind === 'candidate') progress.candidates++;
+    else progress.rounds++;
+    const now = Date.now();
+    if (onProgress && now - last >= interval) {
+      last = now;
+      onProgress({ ...progress });
+    }
+  });
+  try {
+    return { result: JOBS[name](args), progress };
+  } finally {
+    setProgressListener(null);
+  }
+}
@@ -0,0 +1,626 @@
+// English messages, same keys and placeholders as the Indonesian source catalog (id.js).
+
+export const messages = {
+  // lib/validate.js
+  'validate.decimalOnly': 'Enter decimal digits only.',
+  'validate.tooLong': 'Number too long ({len} digits, maximum {max}).',
+  'validate.invalidNumber': 'Number too large or invalid.',
+  'validate.notPrimeFactor': '{name} is not prime (divisible by {factor}).',
+  'validate.notPrimeWitness': '{name} is not prime (base {witness} is a Miller–Rabin witness; this result is certain).',
+  'validate.notPrime': '{name} is not prime.',
+  'validate.primeCertain': '{name} is prime (certain: deterministic Miller–Rabin for numbers < 3.3·10^24).',
+  'validate.primeProbable': '{name} is very likely prime: passed {rounds} Miller–Rabin rounds (base 2 + {random} random bases), error probability ≤ 4^−{random} = 2^−{bits}.',
+  'validate.notPrimeLucas': '{name} is not prime (fails the strong Lucas test with D = {D}; this result is certain).',
+  'validate.primeProven': '{name} is proven prime: its Pocklington/Pratt certificate ({steps} steps) was re-checked.',
+  'validate.primeBpsw': '{name} is prime by Baillie–PSW (Miller–Rabin base 2 + strong Lucas test). No composite number passing this test has ever been found.',
+  'validate.primeBpswRounds': '{name} is prime by Baillie–PSW (Miller–Rabin base 2 + strong Lucas test, no composite passing it has ever been found) and {random} random Miller–Rabin rounds: even if BPSW were wrong, the error probability is ≤ 4^−{random} = 2^−{bits}.',
+  'validate.primeBase2': '{name} only passed Miller–Rabin base 2 (no Lucas test, no random bases), so there is no bound on the error probability.',
+  'validate.smooth': 'Warning: every prime factor of p−1 is small (largest ≤ 2^{bits}). Pohlig–Hellman solves the discrete log quickly; use a safe prime (p = 2q+1).',
+  'validate.pMin': 'p must be >= 3.',
+  'validate.gRange': 'g must be in the range 2 .. p-1.',
+  'validate.secretRange': '{name} must be in the range 2 .. p-2.',
+  'validate.ok': 'Parameters are valid.',
+  'validate.scalarRange': '{name} must be in the range 1 .. n-1 (n = {n}).',
+  'validate.okCurve': 'Parameters are valid ({curve}).',
+
+  // lib/format.js
+  'format.dec': 'Decimal',
+  'format.hex': 'Hexadecimal (0x)',
+  'format.b64': 'Base64 (big-endian)',
+  'format.bin': 'Binary (0b)',
+  'format.tooLong': 'Number too long (maximum {max} bits).',
+  'format.hexOnly': 'Enter a hexadecimal number (0-9, A-F).',
+  'format.binOnly': 'Enter a binary number (0 and 1).',
+  'format.b64Only': 'Enter valid base64.',
+  'format.tooManyBits': 'Number too long ({bits} bits, maximum {max} bits).',
+
+  // lib/ec.js, lib/groups.js
+  'curve.toy': 'toy curve {eq}',
+  'group.modp': 'RFC 3526 MODP {bits}-bit (group {n})',
+
+  // lib/dlog.js
+  'dlog.bruteHit': 'g^{x} mod p = {cur} = target → x = {x}',
+  'dlog.bruteCycle': 'g returned to 1 after {n} steps without hitting the target.',
+  'dlog.bruteLimit': 'Limit of {limit} tries reached.',
+  'dlog.bsgsTooBig': 'The baby-step table needs {m} entries, over the limit of {limit}.',
+  'dlog.bsgsBaby': 'Baby steps: store g^j for j = 0..{last} ({size} entries).',
+  'dlog.bsgsFactor': 'Giant-step factor: g^(−m) mod p = {factor}',
+  'dlog.bsgsHit': 'Giant step i = {i}: h·g^(−{i}m) = {gamma} is in the table (j = {j}) → x = i·m + j = {x}',
+  'dlog.bsgsMiss': 'Giant step i = {i}: {gamma} is not in the table',
+  'dlog.bsgsNoMatch': 'No match: the target is not in the subgroup generated by g.',
+  'dlog.rhoStart': 'Attempt {attempt}: start from g^{u}·h^{v}',
+  'dlog.rhoLimit': 'Limit of {limit} operations reached without a collision.',
+  'dlog.rhoCollision': 'Collision after {ops} operations: g^{u1}·h^{v1} = g^{u2}·h^{v2} = {x}',
+  'dlog.rhoSolve': 'Solve {r}·x ≡ {t} (mod {n})',
+  'dlog.rhoUseless': 'The congruence is unusable; restarting from a random point.',
+  'dlog.rhoGcd': 'gcd = {d}: check {d} candidates x0 + k·{nd}',
+  'dlog.rhoNoCandidate': 'No candidate matches; restarting from a random point.',
+  'dlog.phBigFactor': 'p−1 has a large factor (the cofactor {rest} cannot be factored quickly).',
+  'dlog.phOrder': 'ord(g) = {n}, so only the factors of {n} are used.',
+  'dlog.phNotInSubgroup': 'The target is not in the subgroup generated by g.',
+  'dlog.phSubFail': 'Subgroup of order {q}: discrete log not found ({status}).',
+  'dlog.phSub': 'Subgroup of order {qe}{digits}: x ≡ {x} (mod {qe})',
+  'dlog.phDigits': ' (base-{q} digits: {digits})',
+
+  // lib/transcript.js
+  'transcript.heading': 'Diffie–Hellman transcript',
+  'transcript.protocol': 'Protocol',
+  'transcript.classicDh': 'classic DH',
+  'transcript.flow': 'Flow',
+  'transcript.step': 'Step',
+  'transcript.stepOf': '{step} of {total}',
+  'transcript.checks': 'Receiver checks',
+  'transcript.params': 'Parameters',
+  'transcript.results': 'Results',
+  'transcript.steps': 'Steps',
+  'transcript.name': 'Name',
+  'transcript.value': 'Value',
+  'transcript.noResults': 'No values visible yet.',
+  'transcript.field.id': 'id',
+  'transcript.field.title': 'title',
+  'transcript.field.short': 'summary',
+  'transcript.field.long': 'explanation',
+  'transcript.field.calc': 'calculation',
+  'transcript.diff.flow': 'flow: recorded {got}, expected {want}',
+  'transcript.diff.totalSteps': 'steps in the flow: recorded {got}, expected {want}',
+  'transcript.diff.notYet': '{name}: recorded {got}, not visible yet at step {step}',
+  'transcript.diff.missing': '{name}: missing, expected {want}',
+  'transcript.diff.value': '{name}: recorded {got}, recomputed {want}',
+  'transcript.diff.stepCount': 'recorded steps: {got}, expected {want}',
+  'transcript.diff.step': 'step {n} ({id}): {fields} differ',
+  'check.range': 'range',
+  'check.subgroup': 'subgroup',
+
+  // lib/quiz.js
+  'quiz.level.mudah': 'Easy (p < 100)',
+  'quiz.level.sedang': 'Medium (p < 1000)',
+  'quiz.level.sulit': 'Hard (16-bit p)',
+  'quiz.empty': 'Type an answer first.',
+
+  // lib/certificate.js
+  'cert.error.shape': 'The certificate is incomplete or malformed.',
+  'cert.error.factors': 'Pratt certificate {n}: the listed prime factors do not make up n − 1.',
+  'cert.error.fermat': 'Certificate {n}: a^(n−1) mod n ≠ 1.',
+  'cert.error.order': 'Pratt certificate {n}: a has order smaller than n − 1.',
+  'cert.error.split': 'Pocklington certificate {n}: n − 1 ≠ F · R.',
+  'cert.error.size': 'Pocklington certificate {n}: F² is not larger than n.',
+  'cert.error.gcd': 'Pocklington certificate {n}: gcd(a^R − 1, n) ≠ 1.',
+  'cert.pocklington': 'Pocklington: n ({bits} bits) = F · R + 1, F prime ({fBits} bits), R ({rBits} bits), a = {a}',
+  'cert.pratt': 'Pratt: n = {n}, n − 1 is divisible by {factors}, a = {a} has order n − 1',
+
+  // app.js: parameters, generator warning, receiver checks, small-subgroup options
+  'param.pInfo': '{bits} bits · {digits} digits',
+  'gen.fewKeys': 'Warning: ord(g) = {order}, so the shared key can only be one of the {order} elements of ⟨g⟩ (out of {total} elements of Z_p*). Eve can simply try them all; pick a g of large order.',
+  'check.subgroupSkipped': 'Subgroup check skipped: p is not a safe prime with g of order q = (p − 1)/2.',
+  'check.inside': '✅ inside ⟨g⟩',
+  'check.outside': '❌ outside ⟨g⟩',
+  'check.abort': '❌ {who} rejects this value and aborts the exchange.',
+  'evil.order1': 'B = 1 (order 1)',
+  'evil.order2': 'B = p − 1 (order 2)',
+  'evil.orderR': 'B of order {r}',
+
+  // app.js: group keys, generator panel, step indicator, public parameters step
+  'ui.copy': 'Copy',
+  'ui.stepIndicator': 'Step {step}/{total}',
+  'gen.unfactored': '{rest} (not factored yet)',
+  'gen.divides': 'divides',
+  'gen.primitive': 'g = {g} is a primitive root: ⟨g⟩ = Z_p*, containing all {total} elements.',
+  'gen.notPrimitive': 'g = {g} is not a primitive root: ⟨g⟩ holds only {order} of the {total} elements of Z_p* (index {index}).',
+  'gen.primeOrder': 'The order of g is prime, so every element of ⟨g⟩ other than 1 also generates all of ⟨g⟩.',
+  'gen.unknown': 'Cannot tell yet whether g is a primitive root: part of p − 1 is not factored.',
+  'gen.cycleHidden': 'The cycle g<sup>0</sup>, g<sup>1</sup>, … is hidden during practice because it contains the answers.',
+  'gen.cycleEnd': 'g<sup>{n}</sup> = 1, back to the start',
+  'gen.cycleLong': 'The cycle g<sup>0</sup>, g<sup>1</sup>, … is not shown because it is longer than {max} steps.',
+  'step.params.title': 'Choose the public parameters',
+  'step.params.shortEc': 'Choose a curve E and a base point G that everyone knows.',
+  'step.params.longEc': 'We use the curve {curve} with base point G of order n = {n}. Anyone may see the curve and G.',
+  'step.params.short': 'Choose p and g that everyone knows.',
+  'step.params.long': 'We use the prime p = {p} and the generator g = {g}. Anyone may see both.',
+
+  // app.js: steps of the honest exchange and of the MITM attack
+  'verdict.match': '✅ match',
+  'verdict.mismatch': '❌ no match',
+  'verdict.aborted': '❌ aborted (public value rejected)',
+  'step.secretA.title': 'Alice picks a secret a',
+  'step.secretA.short': 'Alice picks a secret number a.',
+  'step.secretA.long': 'Alice draws a random secret a = {a} ({range}). This value is never shared.',
+  'step.publicA.title': 'Alice computes A',
+  'step.publicA.short': 'Compute A = {f}.',
+  'step.publicA.long': 'Alice computes <code>A = {f}</code> and sends it to Bob.',
+  'step.publicA.longEc': 'Alice computes <code>A = {f}</code> (scalar multiplication: G added to itself a times by double-and-add) and sends it to Bob.',
+  'step.secretB.title': 'Bob picks a secret b',
+  'step.secretB.short': 'Bob picks a secret number b.',
+  'step.secretB.long': 'Bob draws a random secret b = {b} ({range}). This value is never shared.',
+  'step.publicB.title': 'Bob computes B',
+  'step.publicB.short': 'Compute B = {f}.',
+  'step.publicB.long': 'Bob computes <code>B = {f}</code> and sends it to Alice.',
+  'step.exchange.title': 'Exchange the public values',
+  'step.exchange.short': 'Alice ⇄ Bob swap A and B.',
+  'step.exchange.long': 'Only the public values A and B are exchanged; each side keeps its secret a or b.',
+  'step.keyAlice.title': 'Alice computes the key S',
+  'step.keyAlice.long': 'With the B she received, Alice computes <code>S = {f}</code>.',
+  'step.keyBob.title': 'Bob computes the key S',
+  'step.keyBob.long': 'With the A he received, Bob computes <code>S = {f}</code>.',
+  'step.verify.title': 'Verify the shared key',
+  'step.verify.short': 'Compare Alice\'s and Bob\'s S.',
+  'step.verify.long': 'The keys must be equal. If they are, the key exchange succeeded.',
+  'step.verify.longEc': 'In ECDH the x coordinate of S is used as the shared secret.',
+  'step.verify.and': 'and',
+  'step.intercept.title': 'Mallory intercepts A and B',
+  'step.intercept.short': 'Mallory swaps A and B for values of her own.',
+  'step.intercept.long': 'Mallory sits between Alice and Bob. She holds back A and B, picks secrets ma = {ma} and mb = {mb}, and sends <code>MA = {fa}</code> to Alice (as if from Bob) and <code>MB = {fb}</code> to Bob (as if from Alice).',
+  'step.intercept.calcAlice': 'Alice ← MA (not B)',
+  'step.intercept.calcBob': 'Bob ← MB (not A)',
+  'step.mitmKeyAlice.short': 'S = {f} (Alice takes it for B).',
+  'step.mitmKeyAlice.long': 'Alice cannot tell MA from the real B, so she computes <code>S = {f}</code>.',
+  'step.mitmKeyBob.short': 'S = {f} (Bob takes it for A).',
+  'step.mitmKeyBob.long': 'Bob is fooled as well and computes <code>S = {f}</code> from Mallory\'s value.',
+  'step.keysMallory.title': 'Mallory computes two keys',
+  'step.keysMallory.short': 'Mallory holds a key shared with Alice and a key shared with Bob.',
+  'step.keysMallory.long': 'From the real A and B she intercepted, Mallory computes <code>{fa}</code> (equal to Alice\'s key) and <code>{fb}</code> (equal to Bob\'s key).',
+  'step.mitmVerify.title': 'Verify: two pairs of keys',
+  'step.mitmVerify.short': 'Alice and Bob share no key; each of them shares a key with Mallory.',
+  'step.mitmVerify.long': 'Without authentication, Alice and Bob cannot tell that their keys differ. Mallory can open every message, read it and re-encrypt it for the other side.',
+
+  // app.js: small-subgroup attack steps, key derivation and chat steps
+  'verdict.same': '✅ equal',
+  'verdict.different': '❌ different',
+  'confine.verdict.stopped': '✅ attack failed: Alice rejects B',
+  'confine.verdict.one': '✅ Bob knows S = 1 without knowing a',
+  'confine.verdict.leak': 'Bob learns a mod {r} (≈ {bits} bits about a)',
+  'step.evilB.title': 'A malicious Bob picks a B of small order',
+  'step.evilB.short': 'Bob does not compute g^b; he sends a B of order {r}.',
+  'step.evilB.long': 'Bob does not even need a secret b.',
+  'step.evilB.why1': 'B = 1 stays 1 for any exponent.',
+  'step.evilB.why2': 'B = p − 1 ≡ −1 (mod p), so B<sup>a</sup> is only ever 1 or p − 1 depending on the parity of a.',
+  'step.evilB.whyR': 'Because {r} divides p − 1, B = t<sup>(p−1)/{r}</sup> has order {r}: B<sup>{r}</sup> ≡ 1, so B<sup>a</sup> can only be one of {r} values.',
+  'step.confineExchange.short': 'Alice sends A and receives B from Bob.',
+  'step.confineExchange.long': 'To Alice, B is just a number mod p.',
+  'step.confineExchange.checked': 'She will check it before using it.',
+  'step.confineExchange.unchecked': 'Without checks she cannot tell that B was specially chosen.',
+  'step.confineKeyAlice.checked': 'Alice computes <code>S = {f}</code> after checking B.',
+  'step.confineKeyAlice.unchecked': 'Alice computes <code>S = {f}</code> without checking B.',
+  'step.confined.title': 'S is confined to a small subgroup',
+  'step.confined.short': 'S must be one of the {r} elements of ⟨B⟩.',
+  'step.confined.shortStopped': 'Alice does not compute S, so nothing is confined.',
+  'step.confined.long': 'Because B<sup>{r}</sup> ≡ 1, the powers of B repeat every {r} steps: S = B<sup>a</sup> = B<sup>a mod {r}</sup>. A large secret a does not help; S lands in the subgroup ⟨B⟩, which holds only {r} values.',
+  'step.confined.longStopped': 'The exchange stops before Alice uses her secret a.',
+  'step.confined.calcStopped': 'S not computed',
+  'step.recover.title': 'Bob guesses S and learns a mod r',
+  'step.recover.short': 'Bob tries {r} candidates for S until Alice\'s message opens.',
+  'step.recover.shortStopped': 'No message from Alice; Bob learns nothing.',
+  'step.recover.long': 'Alice uses K = HKDF(S) for her first message. Bob does not know S, but there are only {r} candidates: he tries B<sup>k</sup> for k = 0, 1, … until the message\'s AES-GCM tag verifies. The matching candidate gives k ≡ a (mod {r}).',
+  'step.recover.calc': '<code>B<sup>k</sup> mod p = S</code> for <code>k = {k}</code> after {tries} tries → <code>a ≡ {k} (mod {r})</code>',
+  'step.recover.calcStopped': 'no candidates to try',
+  'step.attackResult.title': 'Outcome of the attack',
+  'step.attackResult.short': 'Bob now knows a mod {r}.',
+  'step.attackResult.shortStopped': 'Alice\'s checks defeat the attack.',
+  'step.attackResult.longStopped': 'A B of small order fails the checks, so Alice never applies a to B.',
+  'step.attackResult.one': 'a mod 1 leaks nothing, but anyone, Eve included, can guess S = 1.',
+  'step.attackResult.long': 'By repeating the attack with other r dividing p − 1 and combining the residues with the CRT, Bob recovers a mod r<sub>1</sub>·r<sub>2</sub>·… (Pohlig–Hellman).',
+  'step.attackResult.enable': 'Turn on the range check (and the subgroup check for safe primes) to stop it.',
+  'step.attackResult.rangeOnly': 'The active checks are not enough: B is in range, and the subgroup check only applies to safe primes.',
+  'step.attackResult.noRange': 'The active checks are not enough: without the range check, values like B = 1 still pass.',
+  'step.kdf.title': 'Derive a symmetric key (HKDF-SHA256)',
+  'step.kdf.short': 'K = HKDF-SHA256(S), 256 bits for AES-GCM.',
+  'step.kdf.long': 'S is not a ready-to-use key: it is not uniform and its length follows p. Each side feeds the bytes of S (big-endian, {bytes}) to HKDF-SHA256 with info "{info}" and gets an AES-256 key.',
+  'step.kdf.bytes': 'padded to the size of p',
+  'step.kdf.bytesEc': 'the x coordinate',
+  'step.chat.title': 'Encrypted channel ready',
+  'step.chat.short': 'Alice and Bob exchange AES-GCM messages in the chat panel.',
+  'step.chat.long': 'Every message is encrypted with AES-GCM under the sender\'s key K and a random 96-bit nonce. The receiver decrypts with its own K; if the keys differ, the authentication tag fails and the message is rejected.',
+  'step.chat.longMitm': 'Here Mallory opens every message with the key she holds and re-encrypts it for the other side.',
+  'step.chat.calc': '<code>C = AES-GCM(K, nonce, message)</code> → see the "Encrypted chat" panel',
+
+  // app.js: group DH steps and flow names
+  'verdict.yes': '✅ yes',
+  'verdict.no': '❌ no',
+  'step.secrets.title': 'Every participant picks a secret',
+  'step.secrets.short': '{n} participants each pick a secret x1 .. x{n}.',
+  'step.secrets.long': 'The participants sit in a ring: {ring}. Each participant i draws a random secret x<sub>i</sub> ({range}) and never shares it. Alice uses a as x1 and Bob uses b as x2.',
+  'step.round1.title': 'Round 1: compute the public values',
+  'step.round1.short': 'Every participant computes {f} and sends it to the next neighbour.',
+  'step.round1.long': 'Just like A and B in two-party DH: every participant computes a public value from their own secret and sends it to the next participant in the ring. Eve can see every value sent.',
+  'step.round.title': 'Round {r}: exponentiate and pass on',
+  'step.round.short': 'Every participant raises the previous neighbour\'s value to their secret and passes it on.',
+  'step.round.shortEc': 'Every participant multiplies the previous neighbour\'s value by their secret and passes it on.',
+  'step.round.long': 'After this round the value each participant holds contains {k} secrets. The intermediate values stay public; computing the key from them is as hard as the two-party Diffie–Hellman problem.',
+  'step.round.from': '(from {name})',
+  'step.roundLast.title': 'Round {r}: compute the group key',
+  'step.roundLast.short': 'The last value received is raised to the own secret; the result contains every secret.',
+  'step.roundLast.shortEc': 'The last value received is multiplied by the own secret; the result contains every secret.',
+  'step.roundLast.long': 'Every participant now receives a value containing the {k} other secrets. After adding their own secret they hold K = {all}. This value is never sent.',
+  'step.groupVerify.title': 'Verify the group key',
+  'step.groupVerify.short': 'Every participant should hold the same key K.',
+  'step.groupVerify.long': 'The order in which the exponents are multiplied does not matter, so every participant obtains K = {all} without ever sending their secret. Eve only sees the intermediate values.',
+  'step.groupVerify.calc': 'K equal for all participants?',
+  'flow.dh': 'Two-party DH',
+  'flow.mitm': 'DH with Mallory (MITM)',
+  'flow.confine': 'DH with a malicious Bob (small subgroup)',
+  'flow.group': 'Group DH (ring)',
+
+  // app.js: links and transcripts
+  'state.invalid.link': 'Invalid link: {why}',
+  'state.invalid.transcript': 'Invalid transcript: {why}',
+  'state.invalid.history': 'The run cannot be opened: {why}',
+  'state.opened.link': 'Opened from the link: step {step}/{total}.',
+  'state.opened.transcript': 'Opened from the transcript: step {step}/{total}.',
+  'state.opened.history': 'Opened from the history: step {step}/{total}.',
+  'state.unknownMode': 'unknown mode "{mode}".',
+  'state.unknownCurve': 'unknown curve "{curve}".',
+  'state.unknownFormat': 'unknown format "{fmt}".',
+  'state.parties': 'the number of participants must be 2..{max}.',
+  'state.mitmParties': 'MITM mode is for two participants only.',
+  'state.confineOnly': 'the malicious Bob is only for classic two-party DH without MITM.',
+  'state.unknownCheck': 'unknown check "{check}".',
+  'state.stepInt': 'step must be an integer ≥ 0.',
+  'state.missing': 'value {name} is missing.',
+  'state.evilOrder': 'a fake B of order {r} is not available for this p.',
+  'state.stepRange': 'step {step} is past the number of steps in this flow ({total}).',
+  'export.empty': 'No steps to export yet; run the simulation first.',
+  'export.fileName': 'dh-transcript-step-{step}',
+  'export.done': 'Transcript of steps 1–{step} exported to {file}.',
+  'import.notJson': 'Invalid transcript: not JSON ({error}).',
+  'import.notTranscript': 'Invalid transcript: not a transcript of this simulator.',
+  'import.version': 'Invalid transcript: version {version} is not supported.',
+  'import.malformed': 'Invalid transcript: params or steps are missing or malformed.',
+  'import.inconsistent': 'The transcript does not match the recomputation:',
+  'import.consistent': 'Transcript consistent: {steps} steps and {values} values match the recomputation.',
+
+  // app.js: square-and-multiply traces and practice mode
+  'trace.summary': 'Square-and-multiply trace: {label} = {base}<sup>{exp}</sup> mod p',
+  'trace.expBits': '{exp} is {bits} bits long',
+  'trace.explain': '{exp}. Bits are read from the right (bit 0 is the least significant). On each row: if the bit is 1, result ← result · b mod p; then b ← b² mod p. In total {squarings} squarings and {multiplications} multiplications instead of {naive} repeated multiplications.',
+  'trace.multiply': 'multiply?',
+  'trace.result': 'result',
+  'trace.mulMark': '✓ result · b',
+  'trace.prev': '‹ Previous',
+  'trace.next': 'Next ›',
+  'trace.page': 'Page {page}/{pages} (bits {from}–{to})',
+  'quiz.hint.formula': 'Hint 1: <code>{formula}</code>. Reduce mod p after every multiplication to keep the numbers small.',
+  'quiz.hint.trace': 'Hint 2: {exp} = {bits}<sub>2</sub>. The first square-and-multiply rows (bits read from the right); carry on up to bit {last}:',
+  'quiz.check': 'Check',
+  'quiz.hint': 'Hint',
+  'quiz.shown': 'Answer shown (0 points).',
+  'quiz.right': '✅ Answered correctly ({points}/{max} points).',
+  'quiz.score': 'Score: {points}/{max} · {right}/{asked} correct',
+  'quiz.unreduced': 'The residue is right, but {name} must lie between 0 and p − 1: reduce mod {p} once more.',
+  'quiz.correct': '✅ Correct: {name} = {value} (+{points} points).',
+  'quiz.wrong': '❌ Not quite.',
+  'quiz.answer': 'The answer is {name} = {value}.',
+  'quiz.seeHint': 'See hint {n} below.',
+  'quiz.start': 'Start practice',
+  'quiz.stop': 'End practice',
+  'quiz.new': 'New exercise ({level}): p = {p}, g = {g}, a = {a}, b = {b}. Step through it and compute A, B and S.',
+
+  // app.js: controls, random parameters, modes
+  'ui.auto': 'Auto play',
+  'ui.autoStop': 'Stop auto',
+  'ui.mitmOn': 'MITM mode (Mallory)',
+  'ui.mitmOff': 'Turn off MITM',
+  'ui.confineOn': 'Malicious Bob (small subgroup)',
+  'ui.confineOff': 'Honest Bob again',
+  'random.needParams': 'p and g must be valid to randomize a, b.',
+  'ui.fixParams': 'Fix the parameters first.',
+  'quiz.answerFirst': 'Answer {name} at step {n} before moving on.',
+  'random.badRange': 'Invalid range for a, b.',
+  'random.group': 'Secrets of {n} participants randomized.',
+  'random.mitm': 'a, b, ma and mb randomized.',
+  'random.secrets': 'a and b randomized.',
+  'random.generating': 'Generating a {bits}-bit prime…',
+  'random.generatingSafe': 'Generating a {bits}-bit safe prime…',
+  'random.generatingCertified': 'Generating a {bits}-bit safe prime with its certificate…',
+  'random.kindSafe': 'safe prime p = 2q+1, g generates the subgroup of order q',
+  'random.kindPrimitive': 'g a primitive root',
+  'random.done': 'Parameters p, g, a, b randomized (p {bits} bits, {kind}; {ms} ms).',
+  'random.smoothFailed': 'Could not generate a p with smooth p−1; try again.',
+  'mode.ecdh': 'ECDH mode: {curve}.',
+  'mode.dh': 'Classic DH mode.',
+  'mode.invalid': 'The parameters are not valid for this mode; click "Random a,b" or change a and b.',
+  'mode.partiesInvalid': 'The parameters are not valid; click "Random a,b" or change the participants\' secrets.',
+  'mode.group': 'Group DH with {n} participants (ring, {n} rounds).',
+  'mode.twoParty': 'Two-party DH (Alice and Bob).',
+  'param.partySecret': '{name}\'s secret (x{n})',
+
+  // app.js: presets, event handlers, key derivation
+  'preset.loading': 'Loading {name} and checking that p is prime…',
+  'preset.loaded': '{name}: p {bits} bits, g = {g}, a and b randomized.',
+  'ui.verbose': 'Detailed mode',
+  'ui.brief': 'Brief mode',
+  'mode.mitmOn': 'MITM mode on: Mallory will intercept the exchange at step {step}.',
+  'mode.mitmOff': 'MITM mode off.',
+  'mode.confineOn': 'The malicious Bob sends a B of order {r} at step {step}.',
+  'mode.confineOff': 'Bob is honest again.',
+  'check.subgroupOnlySafe': 'The subgroup check only applies to a safe prime p = 2q+1 with g of order q; for this p it is skipped.',
+  'chat.noSubtle': 'Web Crypto (crypto.subtle) is not available; open the page over https or from localhost.',
+  'chat.kdfFailed': 'Key derivation failed: {error}',
+
+  // app.js: encrypted chat and Eve
+  'chat.notInFlow': 'Not part of this flow',
+  'chat.open': 'Open',
+  'chat.openMitm': 'Open (tapped by Mallory)',
+  'chat.locked': 'Locked until step {step}',
+  'chat.decrypted': '✅ {who} decrypts: “{text}”',
+  'chat.decryptFailed': '❌ {who} cannot decrypt: the authentication tag does not match (different key)',
+  'chat.ciphertext': 'ciphertext + tag ({bytes} bytes)',
+  'chat.malloryReads': '😈 Mallory reads: “{text}”',
+  'chat.malloryFails': '😈 Mallory cannot read it',
+  'chat.forwarded': 'If forwarded unchanged:',
+  'chat.reencrypts': 'Mallory re-encrypts with K(Mallory–{to}):',
+  'eve.costPh': '√ of the largest q',
+  'eve.sees': 'Eve sees: {values}',
+  'time.seconds': '{n} seconds',
+  'time.minutes': '{n} minutes',
+  'time.hours': '{n} hours',
+  'time.days': '{n} days',
+  'time.years': '{n} years',
+  'eve.onlyDh': 'Eve\'s attacks in this panel are for classic DH only. For ECDH the generic algorithms (BSGS, rho) still cost √n; for P-256 that is ≈ 2^128 operations.',
+  'eve.onlyTwoParty': 'Eve\'s attacks in this panel are for two-party DH only. In group DH, Eve still has to solve the discrete log of one of the first-round values.',
+  'eve.notYet': 'Eve has not intercepted {name} yet. Run the simulation up to step {step}.',
+  'eve.working': 'Eve is computing…',
+  'eve.limit': '⏱ operation budget used up',
+  'eve.stopped': 'Eve\'s search was stopped.',
+  'eve.failed': '❌ failed',
+  'eve.otherX': '✅ x = {x} (≠ {target}, but g^x = {name})',
+  'eve.log': '{method} steps ({lines} lines)',
+  'eve.phTitle': 'Pohlig–Hellman per subgroup:',
+  'eve.phSubgroup': 'Subgroup of order q^e',
+  'eve.phReal': '{target} mod q^e (real)',
+  'eve.real': 'The real {target} = <span class="value">{value}</span>.',
+  'eve.shared': 'With x, Eve computes <code>S = {base}<sup>x</sup> mod p = {value}</code>.',
+  'eve.bits': '{bits} bits',
+  'eve.bitsThis': '{bits} bits (this p)',
+  'eve.target': 'Target: <code>{target}</code>, p is {bits} bits long.',
+  'eve.method': 'Method',
+  'eve.ops': 'Operations',
+  'eve.time': 'Time',
+  'eve.result': 'Result',
+  'eve.estimate': 'Estimated cost at ±{rate} operations/ms (brute force ≈ p, BSGS/rho ≈ √p):',
+  'eve.size': 'Size of p',
+
+  // index.html: static text, applied through the data-i18n* attributes
+  'page.title': 'Diffie–Hellman simulator (minimal)',
+  'page.heading': 'Diffie–Hellman simulator',
+  'page.params': 'Parameters',
+  'page.protocol': 'Protocol',
+  'page.protocol.dh': 'Classic DH (Z_p*)',
+  'page.protocol.ecdh': 'ECDH (elliptic curves)',
+  'page.numFormat': 'Number format',
+  'page.numFormat.help': 'Applies to inputs, results, calculations and the Copy buttons. Pasted hex, binary and base64 values may contain spaces or colons (like OpenSSL output); in hex and binary mode 0x/0b prefixes are recognised automatically.',
+  'page.preset': 'Standard group',
+  'page.preset.custom': '— enter your own —',
+  'page.p': 'Prime modulus p',
+  'page.p.placeholder': 'e.g. 23',
+  'page.g': 'Generator g (base)',
+  'page.g.placeholder': 'e.g. 5',
+  'page.curve': 'Curve',
+  'page.curvePlot': 'Points of the curve',
+  'page.parties': 'Number of participants',
+  'page.parties.two': '2 (Alice and Bob)',
+  'page.parties.group': '{n} — group DH (ring)',
+  'page.a': 'Alice\'s secret (a)',
+  'page.b': 'Bob\'s secret (b)',
+  'page.ma': 'Mallory\'s secret towards Alice (ma)',
+  'page.mb': 'Mallory\'s secret towards Bob (mb)',
+  'page.evilB': 'Fake B from the malicious Bob',
+  'page.evilB.help': 'An element of small order r, where r divides p − 1. Bob sends it instead of g<sup>b</sup>.',
+  'page.ops.label': 'Parameter operations',
+  'page.ops': 'Operations',
+  'page.bitSize': 'Size of p for "Random all"',
+  'page.bitSize.demo': 'Demo (401–2000)',
+  'page.bitSize.bits': '{bits} bits',
+  'page.bitSize.slow': '{bits} bits (slow)',
+  'page.bitSize.verySlow': '{bits} bits (very slow)',
+  'page.validate': 'Validate',
+  'page.random': 'Random a,b',
+  'page.randomAll': 'Random all',
+  'page.randomSmooth.title': 'A 64-bit p whose p−1 has only small factors',
+  'page.randomSmooth': 'Random weak p (smooth p−1)',
+  'page.run.label': 'Run the simulation',
+  'page.run': 'Run',
+  'page.prev': 'Previous step',
+  'page.next': 'Next step',
+  'page.reset': 'Reset',
+  'page.view.label': 'Display mode',
+  'page.view': 'Display',
+  'page.confine.title': 'Bob sends a B of small order to extract a mod r',
+  'page.share.title': 'The link holds the current parameters, step and mode',
+  'page.share': 'Copy link',
+  'page.checks.label': 'Checks on public values',
+  'page.checks': 'Receiver checks',
+  'page.chkRange': 'Range: 2 ≤ A, B ≤ p − 2',
+  'page.chkSubgroup': 'Subgroup (safe prime): A<sup>q</sup> ≡ B<sup>q</sup> ≡ 1 (mod p)',
+  'page.transcript.label': 'Transcript',
+  'page.transcript': 'Transcript',
+  'page.exportFormat': 'Export format',
+  'page.export.title': 'Every step shown so far, the parameters and the results',
+  'page.export': 'Export',
+  'page.import.title': 'Load a JSON transcript and check that it is consistent',
+  'page.import': 'Import JSON',
+  'page.steps': 'Steps',
+  'page.seq': 'Sequence diagram',
+  'page.seqEve': 'Show Eve, the eavesdropper who records everything sent',
+  'page.seqDiagram': 'Sequence diagram: who sends what and who knows what',
+  'page.quiz': 'Practice',
+  'page.quiz.help': 'The simulator picks p, g, a and b and hides A, B and S. Type each value at its step. A wrong answer opens tiered hints: the formula, the first square-and-multiply rows, then the answer. 3 points without hints, one less for each hint.',
+  'page.quizLevel': 'Difficulty',
+  'page.quizNew': 'New exercise',
+  'page.gen': 'Generator analysis',
+  'page.gen.help': 'Every public value and shared key lies in the subgroup ⟨g⟩ = {g<sup>0</sup>, g<sup>1</sup>, …}. The smaller the order of g, the fewer keys are possible.',
+  'page.mr': 'Primality test of p (Miller–Rabin)',
+  'page.mr.help': 'Each base a computes a<sup>d</sup> mod p and then squares it up to s − 1 times. p passes when the sequence starts at 1 or reaches p − 1. A base that fails is a <b>witness</b> that p is composite; a base that passes although p is composite is called a <b>liar</b>.',
+  'page.mrBases': 'Bases',
+  'page.mrBasesFull': 'As in Validate',
+  'page.mrPseudo': 'Strong pseudoprimes',
+  'page.mrPseudoPick': 'Pick one to try…',
+  'page.history': 'Run history',
+  'page.history.help': 'Every exchange that reaches its verification step is recorded here until the page reloads. Open a run again, or tick two or more to compare them side by side.',
+  'page.compare': 'Compare ticked runs',
+  'page.historyClear': 'Clear history',
+  'page.bench': 'Benchmark',
+  'page.bench.help': 'How long the basic DH operations take in this browser for p of 64 to 4096 bits: modPow (what Alice and Bob compute), the primality test, and the search for a prime. Each size runs once as a warm-up and then a few more times; the chart uses log scales and shows the median.',
+  'page.benchMax': 'Largest size',
+  'page.benchSlowPrime': 'randomPrimeInRange at 4096 bits too (about a minute per sample)',
+  'page.benchIter': 'Repetitions per size',
+  'page.benchWebCrypto': 'Compare with Web Crypto',
+  'page.benchRun': 'Run',
+  'page.benchStop': 'Stop',
+  'page.benchChart': 'Chart of the time per size',
+  'page.chat': 'Encrypted chat (AES-GCM)',
+  'page.chat.help': 'Opens after the step "Encrypted channel ready". Messages are encrypted with the sender\'s key and decrypted with the receiver\'s key.',
+  'page.chatAlice': 'Hi Bob!',
+  'page.chatBob': 'Hi Alice!',
+  'page.send': 'Send',
+  'page.chatMismatch': 'Simulate mismatched keys (Bob\'s S differs in 1 bit)',
+  'page.eve': 'Eve (eavesdropper)',
+  'page.eve.help': 'Eve only sees the public values p, g, A and B. She tries to find a or b by solving the discrete logarithm.',
+  'page.eveTarget': 'Target',
+  'page.eveTarget.a': 'a from A = g^a mod p',
+  'page.eveTarget.b': 'b from B = g^b mod p',
+  'page.eveMethod': 'Method',
+  'page.eveRun': 'Attack',
+  'page.eveAll': 'Compare all methods',
+  'page.certify': 'With certificate (Pocklington/Pratt)',
+  'page.certify.title': 'Build the safe prime together with a primality proof that can be re-checked',
+  'page.mrRounds': 'Random Miller–Rabin rounds (p ≥ 3.3·10^24)',
+  'page.bpsw.title': 'Miller–Rabin base 2 plus a strong Lucas test before the random bases',
+  'page.bpsw': 'Baillie–PSW',
+
+  // index.html: language switch
+  'page.language': 'Language',
+
+  // app.js: copying, end of practice, option lists
+  'param.bits': '{bits} bits',
+  'copy.done': 'Copied: {text}',
+  'copy.failed': 'Could not copy to the clipboard.',
+  'copy.empty': 'No value to copy.',
+  'quiz.done': 'Practice finished. {score}.',
+
+  // app.js: background jobs
+  'work.progress': '{label} {candidates} candidates, {rounds} Miller–Rabin rounds ({s} s)',
+  'work.progressRounds': '{label} {rounds} Miller–Rabin rounds ({s} s)',
+  'work.demo': 'Generating a demo prime…',
+  'work.smooth': 'Generating a 64-bit p with smooth p−1…',
+  'work.checkP': 'Checking that p is prime ({bits} bits)…',
+  'work.cancelled': 'Cancelled: {label}',
+  'work.failed': 'Failed: {label} ({error})',
+  'page.cancelWork': 'Cancel',
+
+  // app.js: Miller–Rabin panel
+  'mr.idle': 'Click Validate to see how p is tested.',
+  'mr.prime': 'prime',
+  'mr.composite': 'composite',
+  'mr.subject': 'Test of p = {p} ({bits} bits).',
+  'mr.proven': 'p was proven prime with a certificate when it was generated, so Miller–Rabin did not run. Choose bases above to try it anyway.',
+  'mr.screenIsPrime': 'Small-prime screen ({list}): p is one of them, so it is prime.',
+  'mr.screenFactor': 'Small-prime screen: p is divisible by {q}, so it is composite without any Miller–Rabin round.',
+  'mr.screenPass': 'Small-prime screen: p is not divisible by {list}.',
+  'mr.planBases': 'Only these bases are tried: {list}.',
+  'mr.planFixed': 'p is below the bound {limit}, so the thirteen fixed bases 2 … 41 decide for certain.',
+  'mr.planBpsw': 'p is above the deterministic bound: base 2, then a strong Lucas test (Baillie–PSW), then {rounds} random bases.',
+  'mr.planRandom': 'p is above the deterministic bound: base 2, then {rounds} random bases.',
+  'mr.result': 'Result',
+  'mr.pass': 'passes',
+  'mr.liar': 'liar',
+  'mr.witness': 'witness',
+  'mr.skipped': '… {n} more squarings …',
+  'mr.lucas': 'Strong Lucas',
+  'mr.lucasFactor': 'found the factor {q}',
+  'mr.provedBy': 'Base {a} is a witness: its sequence neither starts at 1 nor ever reaches p − 1, so p is certainly composite.',
+  'mr.provedByLucas': 'Base 2 passes, but the strong Lucas test fails, so p is certainly composite.',
+  'mr.fooled': 'Every chosen base passes, so this test takes p for a prime — yet p is composite. p is a strong pseudoprime to these bases.',
+  'mr.allPass': 'Every chosen base passes.',
+  'mr.fullSays': 'Full test: {verdict}',
+  'mr.pseudoOption': '{n} — fools the bases {bases}',
+
+  // app.js: sequence diagram
+  'seq.eve': 'Eve (eavesdropper)',
+  'seq.eveNothing': 'nothing sent yet',
+  'seq.groupOnly': 'The sequence diagram is only available for two-party exchanges.',
+
+  // app.js: run history
+  'history.count': '{n} saved',
+  'history.open': 'Open',
+  'history.time': 'Time',
+  'history.flow': 'Flow',
+  'history.differ': 'What differs: {names}.',
+  'history.same': 'All parameters and results are the same.',
+
+  // app.js: benchmark
+  'bench.running': '{op}, {bits} bits ({i}/{n})…',
+  'bench.runningNative': 'Web Crypto: {name}…',
+  'bench.done': 'Done.',
+  'bench.stopped': 'Stopped; the results so far are kept.',
+  'bench.count': '{n} results',
+  'bench.axisBits': 'size (bits)',
+  'bench.median': 'median',
+  'bench.spread': 'min {min}, max {max}; {runs} samples × {reps} runs',
+  'bench.asymmetry': 'From {from} to {to} bits, the modPow of Alice and Bob is only {factor}× slower, while the number of possible secrets Eve has to try grows 2^{extra}-fold.',
+  'bench.rsaSign': 'Web Crypto: RSA signature',
+  'bench.rsaPrime': 'Web Crypto: RSA key ÷ 2 (one prime)',
+  'bench.rsaSignRow': 'RSA {bits}-bit signature',
+  'bench.rsaKeygenRow': 'RSA {bits}-bit key (two {half}-bit primes)',
+  'bench.ecdhRow': 'ECDH {curve} (as strong as {dh}-bit DH)',
+  'bench.jsSame': 'JavaScript BigInt, similar work',
+  'bench.nativeNote': 'Web Crypto runs in the browser\'s native code. An RSA signature uses the CRT (two half-size modPows), so it is about 3–4× less work than one full modPow. ECDH reaches the same strength as DH with far smaller keys (NIST SP 800-57).',
+  'bench.noWebCrypto': 'Web Crypto is not available here (it needs HTTPS or localhost), so only the JavaScript helpers are timed.',
+
+  // bin/dh-sim.js
+  'cli.usage': 'Usage: dh-sim <command> [options]\n\nCommands:\n  prime      --bits N [--safe] [--count K]       prime numbers (or safe primes p = 2q+1)\n  group      --bits N [--safe] [--count K]       p with a generator g\n  generator  --p P [--subgroup]                  find a generator for p (of the order-q subgroup for a safe prime)\n  validate   --p P --g G --a A --b B             check parameters with the same rules as the page\n             --curve ID --a A --b B              (ECDH: toy17, toy97, p256)\n  exchange   [--p P --g G | --bits N [--safe] | --curve ID] [--a A --b B] [--count K]\n                                                 full exchange transcript; a, b random when not given\n  check      --file FILE                         grade answers (JSON array or JSON Lines; "-" = stdin)\n  bench      [--bits N] [--count K]              time modPow, isProbablePrime, randomPrimeInRange per size\n                                                 64..N bits (default 1024), median of K runs (default 5)\n\nCommon options:\n  --format text|json                             output format (default: text)\n  --lang id|en                                   language of output and messages (default: id)\n  --help\n\n--bits sizes: 8..4096. Safe primes of 1024 bits or more can take several minutes.',
+  'cli.required': '--{name} is required.',
+  'cli.pgRequired': '--p and --g are required (or --curve).',
+  'cli.countRange': '--count must be an integer 1..1000.',
+  'cli.bitsRange': '--bits must be an integer 8..4096.',
+  'cli.benchMin': '--bits for bench must be at least {min}.',
+  'cli.slowSafe': 'Generating a {bits}-bit safe prime can take very long…',
+  'cli.unknownCurve': 'Unknown curve: {id} (choices: {ids}).',
+  'cli.subgroupSafe': '--subgroup is only for safe primes p = 2q+1.',
+  'cli.unfactorable': 'p−1 cannot be factored (cofactor {rest}).',
+  'cli.pPrime': 'p must be a prime ≥ 5.',
+  'cli.fileUnreadable': '--file: cannot be read ({error}).',
+  'cli.badJson': '{where}: invalid JSON ({error}).',
+  'cli.line': 'line {n}',
+  'cli.notList': '--file must hold a JSON array or JSON Lines.',
+  'cli.notObject': 'Record {n} is not a JSON object.',
+  'cli.formatUnknown': '--format must be text or json.',
+  'cli.langUnknown': '--lang must be one of: {ids}.',
+  'cli.bits': '{bits} bits',
+  'cli.bitHeader': 'bits',
+  'cli.step.params': 'Public parameters',
+  'cli.step.curve': 'curve {name}, G = {G}, n = {n}',
+  'cli.step.secretA': 'Alice picks a secret',
+  'cli.step.publicA': 'Alice computes A',
+  'cli.step.secretB': 'Bob picks a secret',
+  'cli.step.publicB': 'Bob computes B',
+  'cli.step.exchange': 'Exchange public values',
+  'cli.step.keyAlice': 'Alice computes the key',
+  'cli.step.keyBob': 'Bob computes the key',
+  'cli.step.verify': 'Verification',
+  'cli.step.match': 'match',
+  'cli.step.mismatch': 'no match',
+  'cli.check.invalid': 'invalid parameters — {message}',
+  'cli.check.expected': 'expected {value}',
+  'cli.check.noAnswers': 'valid parameters, no answers',
+  'cli.check.total': 'Correct: {correct}/{total}',
+  'cli.unsafeNumber': '{name} exceeds 2^53 as a JSON number; write it as a decimal string.',
+};
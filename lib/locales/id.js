@@ -0,0 +1,627 @@
+// Indonesian messages, the source catalog: every key used with t() is defined here first.
+// {name} marks a placeholder; messages used as HTML may contain markup.
+
+export const messages = {
+  // lib/validate.js
+  'validate.decimalOnly': 'Masukkan hanya angka desimal.',
+  'validate.tooLong': 'Angka terlalu panjang ({len} digit, maksimum {max}).',
+  'validate.invalidNumber': 'Angka terlalu besar/tidak valid.',
+  'validate.notPrimeFactor': '{name} bukan prima (habis dibagi {factor}).',
+  'validate.notPrimeWitness': '{name} bukan prima (basis {witness} adalah saksi Miller–Rabin; hasil ini pasti).',
+  'validate.notPrime': '{name} bukan prima.',
+  'validate.primeCertain': '{name} prima (pasti: Miller–Rabin deterministik untuk bilangan < 3,3·10^24).',
+  'validate.primeProbable': '{name} kemungkinan besar prima: lolos {rounds} putaran Miller–Rabin (basis 2 + {random} basis acak), peluang salah ≤ 4^−{random} = 2^−{bits}.',
+  'validate.notPrimeLucas': '{name} bukan prima (gagal uji Lucas kuat dengan D = {D}; hasil ini pasti).',
+  'validate.primeProven': '{name} terbukti prima: sertifikat Pocklington/Pratt ({steps} langkah) sudah diperiksa ulang.',
+  'validate.primeBpsw': '{name} prima menurut Baillie–PSW (Miller–Rabin basis 2 + uji Lucas kuat). Belum pernah ditemukan bilangan komposit yang lolos uji ini.',
+  'validate.primeBpswRounds': '{name} prima menurut Baillie–PSW (Miller–Rabin basis 2 + uji Lucas kuat, belum pernah ditemukan bilangan komposit yang lolos) dan {random} putaran Miller–Rabin acak: walaupun BPSW keliru, peluang salah ≤ 4^−{random} = 2^−{bits}.',
+  'validate.primeBase2': '{name} lolos Miller–Rabin basis 2 saja (tanpa uji Lucas dan tanpa basis acak), jadi tidak ada batas peluang salah.',
+  'validate.smooth': 'Peringatan: semua faktor prima p−1 kecil (terbesar ≤ 2^{bits}). Log diskret dapat dipecahkan cepat dengan Pohlig–Hellman; gunakan safe prime (p = 2q+1).',
+  'validate.pMin': 'p harus >= 3.',
+  'validate.gRange': 'g harus dalam rentang 2 .. p-1.',
+  'validate.secretRange': '{name} harus dalam rentang 2 .. p-2.',
+  'validate.ok': 'Parameter valid.',
+  'validate.scalarRange': '{name} harus dalam rentang 1 .. n-1 (n = {n}).',
+  'validate.okCurve': 'Parameter valid ({curve}).',
+
+  // lib/format.js
+  'format.dec': 'Desimal',
+  'format.hex': 'Heksadesimal (0x)',
+  'format.b64': 'Base64 (big-endian)',
+  'format.bin': 'Biner (0b)',
+  'format.tooLong': 'Angka terlalu panjang (maksimum {max} bit).',
+  'format.hexOnly': 'Masukkan angka heksadesimal (0-9, A-F).',
+  'format.binOnly': 'Masukkan angka biner (0 dan 1).',
+  'format.b64Only': 'Masukkan base64 yang valid.',
+  'format.tooManyBits': 'Angka terlalu panjang ({bits} bit, maksimum {max} bit).',
+
+  // lib/ec.js, lib/groups.js
+  'curve.toy': 'kurva mainan {eq}',
+  'group.modp': 'RFC 3526 MODP {bits}-bit (grup {n})',
+
+  // lib/dlog.js
+  'dlog.bruteHit': 'g^{x} mod p = {cur} = target → x = {x}',
+  'dlog.bruteCycle': 'g berulang ke 1 setelah {n} langkah tanpa menemukan target.',
+  'dlog.bruteLimit': 'Batas {limit} percobaan tercapai.',
+  'dlog.bsgsTooBig': 'Tabel baby-step butuh {m} entri, melebihi batas {limit}.',
+  'dlog.bsgsBaby': 'Baby steps: simpan g^j untuk j = 0..{last} ({size} entri).',
+  'dlog.bsgsFactor': 'Faktor giant step: g^(−m) mod p = {factor}',
+  'dlog.bsgsHit': 'Giant step i = {i}: h·g^(−{i}m) = {gamma} ada di tabel (j = {j}) → x = i·m + j = {x}',
+  'dlog.bsgsMiss': 'Giant step i = {i}: {gamma} tidak ada di tabel',
+  'dlog.bsgsNoMatch': 'Tidak ada kecocokan: target tidak berada di subgrup yang dibangkitkan g.',
+  'dlog.rhoStart': 'Percobaan {attempt}: mulai dari g^{u}·h^{v}',
+  'dlog.rhoLimit': 'Batas {limit} operasi tercapai tanpa tabrakan.',
+  'dlog.rhoCollision': 'Tabrakan setelah {ops} operasi: g^{u1}·h^{v1} = g^{u2}·h^{v2} = {x}',
+  'dlog.rhoSolve': 'Selesaikan {r}·x ≡ {t} (mod {n})',
+  'dlog.rhoUseless': 'Kongruensi tidak dapat dipakai, ulangi dari titik acak.',
+  'dlog.rhoGcd': 'gcd = {d}: periksa {d} kandidat x0 + k·{nd}',
+  'dlog.rhoNoCandidate': 'Tidak ada kandidat yang cocok, ulangi dari titik acak.',
+  'dlog.phBigFactor': 'p−1 memiliki faktor besar (sisa {rest} tidak dapat difaktorkan cepat).',
+  'dlog.phOrder': 'ord(g) = {n}, jadi hanya faktor dari {n} yang dipakai.',
+  'dlog.phNotInSubgroup': 'Target tidak berada di subgrup yang dibangkitkan g.',
+  'dlog.phSubFail': 'Subgrup orde {q}: log diskret tidak ditemukan ({status}).',
+  'dlog.phSub': 'Subgrup orde {qe}{digits}: x ≡ {x} (mod {qe})',
+  'dlog.phDigits': ' (digit basis {q}: {digits})',
+
+  // lib/transcript.js
+  'transcript.heading': 'Transkrip Diffie–Hellman',
+  'transcript.protocol': 'Protokol',
+  'transcript.classicDh': 'DH klasik',
+  'transcript.flow': 'Alur',
+  'transcript.step': 'Langkah',
+  'transcript.stepOf': '{step} dari {total}',
+  'transcript.checks': 'Pemeriksaan penerima',
+  'transcript.params': 'Parameter',
+  'transcript.results': 'Hasil',
+  'transcript.steps': 'Langkah',
+  'transcript.name': 'Nama',
+  'transcript.value': 'Nilai',
+  'transcript.noResults': 'Belum ada nilai yang terlihat.',
+  'transcript.field.id': 'id',
+  'transcript.field.title': 'judul',
+  'transcript.field.short': 'ringkasan',
+  'transcript.field.long': 'penjelasan',
+  'transcript.field.calc': 'perhitungan',
+  'transcript.diff.flow': 'alur: tertulis {got}, seharusnya {want}',
+  'transcript.diff.totalSteps': 'jumlah langkah alur: tertulis {got}, seharusnya {want}',
+  'transcript.diff.notYet': '{name}: tertulis {got}, belum terlihat pada langkah {step}',
+  'transcript.diff.missing': '{name}: tidak ada, seharusnya {want}',
+  'transcript.diff.value': '{name}: tertulis {got}, hasil hitung ulang {want}',
+  'transcript.diff.stepCount': 'jumlah langkah tercatat: {got}, seharusnya {want}',
+  'transcript.diff.step': 'langkah {n} ({id}): {fields} berbeda',
+  'check.range': 'rentang',
+  'check.subgroup': 'subgrup',
+
+  // lib/quiz.js
+  'quiz.level.mudah': 'Mudah (p < 100)',
+  'quiz.level.sedang': 'Sedang (p < 1000)',
+  'quiz.level.sulit': 'Sulit (p 16 bit)',
+  'quiz.empty': 'Ketik jawaban terlebih dahulu.',
+
+  // lib/certificate.js
+  'cert.error.shape': 'Sertifikat tidak lengkap atau bentuknya salah.',
+  'cert.error.factors': 'Sertifikat Pratt {n}: faktor prima yang dicantumkan tidak menyusun n − 1.',
+  'cert.error.fermat': 'Sertifikat {n}: a^(n−1) mod n ≠ 1.',
+  'cert.error.order': 'Sertifikat Pratt {n}: orde a lebih kecil dari n − 1.',
+  'cert.error.split': 'Sertifikat Pocklington {n}: n − 1 ≠ F · R.',
+  'cert.error.size': 'Sertifikat Pocklington {n}: F² tidak lebih besar dari n.',
+  'cert.error.gcd': 'Sertifikat Pocklington {n}: gcd(a^R − 1, n) ≠ 1.',
+  'cert.pocklington': 'Pocklington: n ({bits} bit) = F · R + 1, F prima ({fBits} bit), R ({rBits} bit), a = {a}',
+  'cert.pratt': 'Pratt: n = {n}, n − 1 habis dibagi {factors}, a = {a} berorde n − 1',
+
+  // app.js: parameters, generator warning, receiver checks, small-subgroup options
+  'param.pInfo': '{bits} bit · {digits} digit',
+  'gen.fewKeys': 'Peringatan: ord(g) = {order}, jadi kunci bersama hanya bisa bernilai salah satu dari {order} anggota ⟨g⟩ (dari {total} anggota Z_p*). Eve cukup mencoba semuanya; pilih g berorde besar.',
+  'check.subgroupSkipped': 'Pemeriksaan subgrup dilewati: p bukan safe prime dengan g berorde q = (p − 1)/2.',
+  'check.inside': '✅ di dalam ⟨g⟩',
+  'check.outside': '❌ di luar ⟨g⟩',
+  'check.abort': '❌ {who} menolak nilai ini dan membatalkan pertukaran.',
+  'evil.order1': 'B = 1 (orde 1)',
+  'evil.order2': 'B = p − 1 (orde 2)',
+  'evil.orderR': 'B berorde {r}',
+
+  // app.js: group keys, generator panel, step indicator, public parameters step
+  'ui.copy': 'Salin',
+  'ui.stepIndicator': 'Langkah {step}/{total}',
+  'gen.unfactored': '{rest} (belum difaktorkan)',
+  'gen.divides': 'membagi',
+  'gen.primitive': 'g = {g} adalah akar primitif: ⟨g⟩ = Z_p*, berisi semua {total} anggota.',
+  'gen.notPrimitive': 'g = {g} bukan akar primitif: ⟨g⟩ hanya berisi {order} dari {total} anggota Z_p* (indeks {index}).',
+  'gen.primeOrder': 'Orde g prima, jadi setiap anggota ⟨g⟩ selain 1 juga membangkitkan seluruh ⟨g⟩.',
+  'gen.unknown': 'Belum dapat dipastikan apakah g akar primitif: sebagian p − 1 belum difaktorkan.',
+  'gen.cycleHidden': 'Siklus g<sup>0</sup>, g<sup>1</sup>, … disembunyikan selama latihan karena memuat jawabannya.',
+  'gen.cycleEnd': 'g<sup>{n}</sup> = 1, kembali ke awal',
+  'gen.cycleLong': 'Siklus g<sup>0</sup>, g<sup>1</sup>, … tidak ditampilkan karena lebih dari {max} langkah.',
+  'step.params.title': 'Pilih parameter publik',
+  'step.params.shortEc': 'Pilih kurva E dan titik dasar G yang diketahui publik.',
+  'step.params.longEc': 'Kita gunakan kurva {curve} dengan titik dasar G berorde n = {n}. Kurva dan G boleh dilihat semua orang.',
+  'step.params.short': 'Pilih p dan g yang diketahui publik.',
+  'step.params.long': 'Kita gunakan bilangan prima p = {p} dan generator g = {g}. Keduanya boleh dilihat semua orang.',
+
+  // app.js: steps of the honest exchange and of the MITM attack
+  'verdict.match': '✅ cocok',
+  'verdict.mismatch': '❌ tidak cocok',
+  'verdict.aborted': '❌ dibatalkan (nilai publik ditolak)',
+  'step.secretA.title': 'Alice memilih rahasia a',
+  'step.secretA.short': 'Alice memilih angka rahasia a.',
+  'step.secretA.long': 'Alice mengacak rahasia a = {a} ({range}). Nilai ini tidak dibagikan.',
+  'step.publicA.title': 'Alice menghitung A',
+  'step.publicA.short': 'Hitung A = {f}.',
+  'step.publicA.long': 'Alice menghitung <code>A = {f}</code> lalu membagikannya ke Bob.',
+  'step.publicA.longEc': 'Alice menghitung <code>A = {f}</code> (perkalian skalar: G dijumlahkan a kali lewat double-and-add) lalu membagikannya ke Bob.',
+  'step.secretB.title': 'Bob memilih rahasia b',
+  'step.secretB.short': 'Bob memilih angka rahasia b.',
+  'step.secretB.long': 'Bob mengacak rahasia b = {b} ({range}). Nilai ini tidak dibagikan.',
+  'step.publicB.title': 'Bob menghitung B',
+  'step.publicB.short': 'Hitung B = {f}.',
+  'step.publicB.long': 'Bob menghitung <code>B = {f}</code> lalu membagikannya ke Alice.',
+  'step.exchange.title': 'Tukar nilai publik',
+  'step.exchange.short': 'Alice ⇄ Bob saling bertukar A dan B.',
+  'step.exchange.long': 'Hanya nilai publik A dan B yang ditukar, rahasia a dan b tetap disimpan masing-masing.',
+  'step.keyAlice.title': 'Alice menghitung kunci S',
+  'step.keyAlice.long': 'Dengan B yang diterima, Alice menghitung <code>S = {f}</code>.',
+  'step.keyBob.title': 'Bob menghitung kunci S',
+  'step.keyBob.long': 'Dengan A yang diterima, Bob menghitung <code>S = {f}</code>.',
+  'step.verify.title': 'Verifikasi kunci bersama',
+  'step.verify.short': 'Bandingkan S milik Alice dan Bob.',
+  'step.verify.long': 'Nilai kunci harus sama. Jika sama, pertukaran kunci berhasil.',
+  'step.verify.longEc': 'Pada ECDH, koordinat x dari S dipakai sebagai rahasia bersama.',
+  'step.verify.and': 'dan',
+  'step.intercept.title': 'Mallory mencegat A dan B',
+  'step.intercept.short': 'Mallory menukar A dan B dengan nilainya sendiri.',
+  'step.intercept.long': 'Mallory berada di antara Alice dan Bob. Ia menahan A dan B, memilih rahasia ma = {ma} dan mb = {mb}, lalu mengirim <code>MA = {fa}</code> ke Alice (seolah-olah dari Bob) dan <code>MB = {fb}</code> ke Bob (seolah-olah dari Alice).',
+  'step.intercept.calcAlice': 'Alice ← MA (bukan B)',
+  'step.intercept.calcBob': 'Bob ← MB (bukan A)',
+  'step.mitmKeyAlice.short': 'S = {f} (Alice mengira itu B).',
+  'step.mitmKeyAlice.long': 'Alice tidak bisa membedakan MA dari B yang asli, jadi ia menghitung <code>S = {f}</code>.',
+  'step.mitmKeyBob.short': 'S = {f} (Bob mengira itu A).',
+  'step.mitmKeyBob.long': 'Bob juga tertipu dan menghitung <code>S = {f}</code> dari nilai kiriman Mallory.',
+  'step.keysMallory.title': 'Mallory menghitung dua kunci',
+  'step.keysMallory.short': 'Mallory memegang kunci dengan Alice dan kunci dengan Bob.',
+  'step.keysMallory.long': 'Dari A dan B asli yang ia cegat, Mallory menghitung <code>{fa}</code> (sama dengan kunci Alice) dan <code>{fb}</code> (sama dengan kunci Bob).',
+  'step.mitmVerify.title': 'Verifikasi: dua pasang kunci',
+  'step.mitmVerify.short': 'Alice dan Bob tidak berbagi kunci; masing-masing berbagi kunci dengan Mallory.',
+  'step.mitmVerify.long': 'Tanpa autentikasi, Alice dan Bob tidak tahu bahwa kuncinya berbeda. Mallory dapat membuka setiap pesan, membacanya, lalu mengenkripsi ulang untuk pihak lain.',
+
+  // app.js: small-subgroup attack steps, key derivation and chat steps
+  'verdict.same': '✅ sama',
+  'verdict.different': '❌ berbeda',
+  'confine.verdict.stopped': '✅ serangan gagal: Alice menolak B',
+  'confine.verdict.one': '✅ Bob tahu S = 1 tanpa mengetahui a',
+  'confine.verdict.leak': 'Bob mengetahui a mod {r} (≈ {bits} bit tentang a)',
+  'step.evilB.title': 'Bob jahat memilih B berorde kecil',
+  'step.evilB.short': 'Bob tidak menghitung g^b; ia mengirim B berorde {r}.',
+  'step.evilB.long': 'Bob bahkan tidak memerlukan rahasia b.',
+  'step.evilB.why1': 'B = 1 tetap 1 untuk pangkat berapa pun.',
+  'step.evilB.why2': 'B = p − 1 ≡ −1 (mod p), jadi B<sup>a</sup> hanya bernilai 1 atau p − 1 tergantung paritas a.',
+  'step.evilB.whyR': 'Karena {r} membagi p − 1, B = t<sup>(p−1)/{r}</sup> berorde {r}: B<sup>{r}</sup> ≡ 1, sehingga B<sup>a</sup> hanya bisa salah satu dari {r} nilai.',
+  'step.confineExchange.short': 'Alice mengirim A dan menerima B dari Bob.',
+  'step.confineExchange.long': 'Bagi Alice, B hanyalah sebuah angka mod p.',
+  'step.confineExchange.checked': 'Ia akan memeriksanya sebelum dipakai.',
+  'step.confineExchange.unchecked': 'Tanpa pemeriksaan, ia tidak tahu bahwa B dipilih khusus.',
+  'step.confineKeyAlice.checked': 'Alice menghitung <code>S = {f}</code> setelah memeriksa B.',
+  'step.confineKeyAlice.unchecked': 'Alice menghitung <code>S = {f}</code> tanpa memeriksa B.',
+  'step.confined.title': 'S terkurung di subgrup kecil',
+  'step.confined.short': 'S pasti salah satu dari {r} anggota ⟨B⟩.',
+  'step.confined.shortStopped': 'Alice tidak menghitung S, jadi tidak ada yang terkurung.',
+  'step.confined.long': 'Karena B<sup>{r}</sup> ≡ 1, pangkat B berulang setiap {r} langkah: S = B<sup>a</sup> = B<sup>a mod {r}</sup>. Rahasia a yang besar tidak membantu; S jatuh ke subgrup ⟨B⟩ yang hanya berisi {r} nilai.',
+  'step.confined.longStopped': 'Pertukaran berhenti sebelum Alice memakai rahasia a.',
+  'step.confined.calcStopped': 'S tidak dihitung',
+  'step.recover.title': 'Bob menebak S dan mendapat a mod r',
+  'step.recover.short': 'Bob mencoba {r} kandidat S sampai pesan Alice terbuka.',
+  'step.recover.shortStopped': 'Tidak ada pesan dari Alice; Bob tidak mendapat apa-apa.',
+  'step.recover.long': 'Alice memakai K = HKDF(S) untuk pesan pertamanya. Bob tidak tahu S, tetapi hanya ada {r} kandidat: ia mencoba B<sup>k</sup> untuk k = 0, 1, … sampai tag AES-GCM pesan itu valid. Kandidat yang cocok memberi k ≡ a (mod {r}).',
+  'step.recover.calc': '<code>B<sup>k</sup> mod p = S</code> untuk <code>k = {k}</code> setelah {tries} percobaan → <code>a ≡ {k} (mod {r})</code>',
+  'step.recover.calcStopped': 'tidak ada kandidat untuk dicoba',
+  'step.attackResult.title': 'Hasil serangan',
+  'step.attackResult.short': 'Bob kini tahu a mod {r}.',
+  'step.attackResult.shortStopped': 'Pemeriksaan Alice menggagalkan serangan.',
+  'step.attackResult.longStopped': 'B berorde kecil tidak lolos pemeriksaan, jadi Alice tidak pernah memakai a pada B.',
+  'step.attackResult.one': 'a mod 1 tidak membocorkan apa pun, tetapi S = 1 dapat ditebak siapa saja, termasuk Eve.',
+  'step.attackResult.long': 'Dengan mengulang serangan memakai r lain yang membagi p − 1 lalu menggabungkan sisanya dengan CRT, Bob memulihkan a mod r<sub>1</sub>·r<sub>2</sub>·… (Pohlig–Hellman).',
+  'step.attackResult.enable': 'Nyalakan pemeriksaan rentang (dan subgrup untuk safe prime) untuk menghentikannya.',
+  'step.attackResult.rangeOnly': 'Pemeriksaan yang aktif tidak cukup: B berada dalam rentang, dan pemeriksaan subgrup hanya berlaku untuk safe prime.',
+  'step.attackResult.noRange': 'Pemeriksaan yang aktif tidak cukup: tanpa pemeriksaan rentang, nilai seperti B = 1 tetap lolos.',
+  'step.kdf.title': 'Turunkan kunci simetris (HKDF-SHA256)',
+  'step.kdf.short': 'K = HKDF-SHA256(S), 256 bit untuk AES-GCM.',
+  'step.kdf.long': 'S bukan kunci yang siap pakai: nilainya tidak seragam dan panjangnya mengikuti p. Masing-masing pihak memasukkan byte S (big-endian, {bytes}) ke HKDF-SHA256 dengan info "{info}" dan mendapat kunci AES-256.',
+  'step.kdf.bytes': 'dipanjangkan ke ukuran p',
+  'step.kdf.bytesEc': 'koordinat x',
+  'step.chat.title': 'Saluran terenkripsi siap',
+  'step.chat.short': 'Alice dan Bob bertukar pesan AES-GCM di panel obrolan.',
+  'step.chat.long': 'Setiap pesan dienkripsi dengan AES-GCM memakai kunci K milik pengirim dan nonce acak 96 bit. Penerima mendekripsi dengan K miliknya; jika kunci berbeda, tag autentikasi gagal dan pesan ditolak.',
+  'step.chat.longMitm': 'Di sini Mallory membuka setiap pesan dengan kunci yang ia pegang, lalu mengenkripsi ulang untuk pihak lain.',
+  'step.chat.calc': '<code>C = AES-GCM(K, nonce, pesan)</code> → lihat panel "Obrolan terenkripsi"',
+
+  // app.js: group DH steps and flow names
+  'verdict.yes': '✅ ya',
+  'verdict.no': '❌ tidak',
+  'step.secrets.title': 'Setiap peserta memilih rahasia',
+  'step.secrets.short': '{n} peserta memilih rahasia x1 .. x{n} masing-masing.',
+  'step.secrets.long': 'Peserta duduk melingkar: {ring}. Setiap peserta i mengacak rahasia x<sub>i</sub> ({range}) dan tidak membagikannya. Alice memakai a sebagai x1 dan Bob memakai b sebagai x2.',
+  'step.round1.title': 'Putaran 1: hitung nilai publik',
+  'step.round1.short': 'Setiap peserta menghitung {f} lalu mengirimnya ke tetangga berikutnya.',
+  'step.round1.long': 'Sama seperti A dan B pada DH dua pihak: setiap peserta menghitung nilai publik dari rahasianya sendiri dan mengirimkannya ke peserta berikutnya di cincin. Eve dapat melihat semua nilai yang dikirim.',
+  'step.round.title': 'Putaran {r}: pangkatkan dan teruskan',
+  'step.round.short': 'Setiap peserta memangkatkan nilai dari tetangga sebelumnya dengan rahasianya, lalu meneruskannya.',
+  'step.round.shortEc': 'Setiap peserta mengalikan nilai dari tetangga sebelumnya dengan rahasianya, lalu meneruskannya.',
+  'step.round.long': 'Setelah putaran ini, nilai yang dipegang setiap peserta sudah memuat {k} rahasia. Nilai antara tetap publik; menghitung kunci darinya sama sulitnya dengan masalah Diffie–Hellman dua pihak.',
+  'step.round.from': '(dari {name})',
+  'step.roundLast.title': 'Putaran {r}: hitung kunci grup',
+  'step.roundLast.short': 'Nilai terakhir yang diterima dipangkatkan dengan rahasia sendiri; hasilnya memuat semua rahasia.',
+  'step.roundLast.shortEc': 'Nilai terakhir yang diterima dikalikan dengan rahasia sendiri; hasilnya memuat semua rahasia.',
+  'step.roundLast.long': 'Setiap peserta kini menerima nilai yang memuat {k} rahasia lain. Setelah menambahkan rahasianya sendiri, ia memegang K = {all}. Nilai ini tidak pernah dikirim.',
+  'step.groupVerify.title': 'Verifikasi kunci grup',
+  'step.groupVerify.short': 'Semua peserta seharusnya memegang kunci K yang sama.',
+  'step.groupVerify.long': 'Urutan perkalian eksponen tidak berpengaruh, sehingga setiap peserta memperoleh K = {all} tanpa pernah mengirim rahasianya. Eve hanya melihat nilai-nilai antara.',
+  'step.groupVerify.calc': 'K semua peserta sama?',
+  'flow.dh': 'DH dua pihak',
+  'flow.mitm': 'DH dengan Mallory (MITM)',
+  'flow.confine': 'DH dengan Bob jahat (subgrup kecil)',
+  'flow.group': 'DH grup (cincin)',
+
+  // app.js: links and transcripts
+  'state.invalid.link': 'Tautan tidak valid: {why}',
+  'state.invalid.transcript': 'Transkrip tidak valid: {why}',
+  'state.invalid.history': 'Percobaan tidak bisa dibuka: {why}',
+  'state.opened.link': 'Dibuka dari tautan: langkah {step}/{total}.',
+  'state.opened.transcript': 'Dibuka dari transkrip: langkah {step}/{total}.',
+  'state.opened.history': 'Dibuka dari riwayat: langkah {step}/{total}.',
+  'state.unknownMode': 'mode "{mode}" tidak dikenal.',
+  'state.unknownCurve': 'kurva "{curve}" tidak dikenal.',
+  'state.unknownFormat': 'format "{fmt}" tidak dikenal.',
+  'state.parties': 'jumlah peserta harus 2..{max}.',
+  'state.mitmParties': 'mode MITM hanya untuk dua peserta.',
+  'state.confineOnly': 'Bob jahat hanya untuk DH klasik dua pihak tanpa MITM.',
+  'state.unknownCheck': 'pemeriksaan "{check}" tidak dikenal.',
+  'state.stepInt': 'langkah harus bilangan bulat ≥ 0.',
+  'state.missing': 'nilai {name} tidak ada.',
+  'state.evilOrder': 'B palsu berorde {r} tidak tersedia untuk p ini.',
+  'state.stepRange': 'langkah {step} melebihi jumlah langkah alur ini ({total}).',
+  'export.empty': 'Belum ada langkah untuk diekspor; jalankan simulasi terlebih dahulu.',
+  'export.fileName': 'transkrip-dh-langkah-{step}',
+  'export.done': 'Transkrip langkah 1–{step} diekspor ke {file}.',
+  'import.notJson': 'Transkrip tidak valid: bukan JSON ({error}).',
+  'import.notTranscript': 'Transkrip tidak valid: bukan transkrip simulator ini.',
+  'import.version': 'Transkrip tidak valid: versi {version} tidak didukung.',
+  'import.malformed': 'Transkrip tidak valid: params atau steps hilang atau bentuknya salah.',
+  'import.inconsistent': 'Transkrip tidak konsisten dengan hasil hitung ulang:',
+  'import.consistent': 'Transkrip konsisten: {steps} langkah dan {values} nilai cocok dengan hasil hitung ulang.',
+
+  // app.js: square-and-multiply traces and practice mode
+  'trace.summary': 'Jejak square-and-multiply: {label} = {base}<sup>{exp}</sup> mod p',
+  'trace.expBits': '{exp} berukuran {bits} bit',
+  'trace.explain': '{exp}. Bit dibaca dari kanan (bit 0 terkecil). Di setiap baris: jika bit = 1, hasil ← hasil · b mod p; lalu b ← b² mod p. Total {squarings} pengkuadratan dan {multiplications} perkalian, bukan {naive} perkalian berulang.',
+  'trace.multiply': 'kali?',
+  'trace.result': 'hasil',
+  'trace.mulMark': '✓ hasil · b',
+  'trace.prev': '‹ Sebelumnya',
+  'trace.next': 'Berikutnya ›',
+  'trace.page': 'Halaman {page}/{pages} (bit {from}–{to})',
+  'quiz.hint.formula': 'Petunjuk 1: <code>{formula}</code>. Ambil sisa bagi p setelah setiap perkalian agar angkanya tetap kecil.',
+  'quiz.hint.trace': 'Petunjuk 2: {exp} = {bits}<sub>2</sub>. Baris pertama square-and-multiply (bit dibaca dari kanan); lanjutkan sampai bit {last}:',
+  'quiz.check': 'Periksa',
+  'quiz.hint': 'Petunjuk',
+  'quiz.shown': 'Jawaban ditampilkan (0 poin).',
+  'quiz.right': '✅ Dijawab benar ({points}/{max} poin).',
+  'quiz.score': 'Skor: {points}/{max} · {right}/{asked} benar',
+  'quiz.unreduced': 'Sisa baginya sudah benar, tetapi {name} harus di antara 0 dan p − 1: ambil mod {p} sekali lagi.',
+  'quiz.correct': '✅ Benar: {name} = {value} (+{points} poin).',
+  'quiz.wrong': '❌ Belum tepat.',
+  'quiz.answer': 'Jawabannya {name} = {value}.',
+  'quiz.seeHint': 'Lihat petunjuk {n} di bawah.',
+  'quiz.start': 'Mulai latihan',
+  'quiz.stop': 'Selesai latihan',
+  'quiz.new': 'Soal baru ({level}): p = {p}, g = {g}, a = {a}, b = {b}. Jalankan langkah demi langkah lalu hitung A, B, dan S.',
+
+  // app.js: controls, random parameters, modes
+  'ui.auto': 'Auto Play',
+  'ui.autoStop': 'Hentikan Auto',
+  'ui.mitmOn': 'Mode MITM (Mallory)',
+  'ui.mitmOff': 'Matikan MITM',
+  'ui.confineOn': 'Bob jahat (subgrup kecil)',
+  'ui.confineOff': 'Bob jujur kembali',
+  'random.needParams': 'p dan g harus valid untuk mengacak a,b.',
+  'ui.fixParams': 'Perbaiki parameter terlebih dahulu.',
+  'quiz.answerFirst': 'Jawab dulu {name} pada langkah {n} sebelum melanjutkan.',
+  'random.badRange': 'Rentang a,b tidak valid.',
+  'random.group': 'Rahasia {n} peserta diacak.',
+  'random.mitm': 'a, b, ma, dan mb diacak.',
+  'random.secrets': 'a dan b diacak.',
+  'random.generating': 'Membangkitkan bilangan prima {bits} bit…',
+  'random.generatingSafe': 'Membangkitkan safe prime {bits} bit…',
+  'random.generatingCertified': 'Membangkitkan safe prime {bits} bit beserta sertifikatnya…',
+  'random.kindSafe': 'safe prime p = 2q+1, g membangkitkan subgrup orde q',
+  'random.kindPrimitive': 'g akar primitif',
+  'random.done': 'Parameter p, g, a, b diacak (p {bits} bit, {kind}; {ms} ms).',
+  'random.smoothFailed': 'Gagal membangkitkan p dengan p−1 mulus, coba lagi.',
+  'mode.ecdh': 'Mode ECDH: {curve}.',
+  'mode.dh': 'Mode DH klasik.',
+  'mode.invalid': 'Parameter belum valid untuk mode ini; klik "Acak a,b" atau ubah a dan b.',
+  'mode.partiesInvalid': 'Parameter belum valid; klik "Acak a,b" atau ubah rahasia peserta.',
+  'mode.group': 'DH grup {n} peserta (cincin, {n} putaran).',
+  'mode.twoParty': 'DH dua pihak (Alice dan Bob).',
+  'param.partySecret': 'Rahasia {name} (x{n})',
+
+  // app.js: presets, event handlers, key derivation
+  'preset.loading': 'Memuat {name} dan memeriksa keprimaan p…',
+  'preset.loaded': '{name}: p {bits} bit, g = {g}, a dan b diacak.',
+  'ui.verbose': 'Mode Rinci',
+  'ui.brief': 'Mode Ringkas',
+  'mode.mitmOn': 'Mode MITM aktif: Mallory akan mencegat pertukaran pada langkah {step}.',
+  'mode.mitmOff': 'Mode MITM nonaktif.',
+  'mode.confineOn': 'Bob jahat mengirim B berorde {r} pada langkah {step}.',
+  'mode.confineOff': 'Bob kembali jujur.',
+  'check.subgroupOnlySafe': 'Pemeriksaan subgrup hanya berlaku untuk safe prime p = 2q+1 dengan g berorde q; untuk p ini pemeriksaan itu dilewati.',
+  'chat.noSubtle': 'Web Crypto (crypto.subtle) tidak tersedia; buka halaman lewat https atau localhost.',
+  'chat.kdfFailed': 'Gagal menurunkan kunci: {error}',
+
+  // app.js: encrypted chat and Eve
+  'chat.notInFlow': 'Tidak ada di alur ini',
+  'chat.open': 'Terbuka',
+  'chat.openMitm': 'Terbuka (disadap Mallory)',
+  'chat.locked': 'Terkunci sampai langkah {step}',
+  'chat.decrypted': '✅ {who} mendekripsi: “{text}”',
+  'chat.decryptFailed': '❌ {who} gagal mendekripsi: tag autentikasi tidak cocok (kunci berbeda)',
+  'chat.ciphertext': 'ciphertext + tag ({bytes} byte)',
+  'chat.malloryReads': '😈 Mallory membaca: “{text}”',
+  'chat.malloryFails': '😈 Mallory gagal membaca',
+  'chat.forwarded': 'Jika diteruskan apa adanya:',
+  'chat.reencrypts': 'Mallory mengenkripsi ulang dengan K(Mallory–{to}):',
+  'eve.costPh': '√q terbesar',
+  'eve.sees': 'Eve melihat: {values}',
+  'time.seconds': '{n} detik',
+  'time.minutes': '{n} menit',
+  'time.hours': '{n} jam',
+  'time.days': '{n} hari',
+  'time.years': '{n} tahun',
+  'eve.onlyDh': 'Serangan Eve di panel ini hanya untuk DH klasik. Pada ECDH, algoritme generik (BSGS, rho) tetap berbiaya √n; untuk P-256 itu ≈ 2^128 operasi.',
+  'eve.onlyTwoParty': 'Serangan Eve di panel ini hanya untuk DH dua pihak. Pada DH grup, Eve tetap harus memecahkan log diskret dari salah satu nilai putaran pertama.',
+  'eve.notYet': 'Eve belum menyadap {name}. Jalankan simulasi sampai langkah {step}.',
+  'eve.working': 'Eve sedang menghitung…',
+  'eve.limit': '⏱ batas operasi habis',
+  'eve.stopped': 'Pencarian Eve dihentikan.',
+  'eve.failed': '❌ gagal',
+  'eve.otherX': '✅ x = {x} (≠ {target}, tetapi g^x = {name})',
+  'eve.log': 'Langkah {method} ({lines} baris)',
+  'eve.phTitle': 'Pohlig–Hellman per subgrup:',
+  'eve.phSubgroup': 'Subgrup orde q^e',
+  'eve.phReal': '{target} mod q^e (asli)',
+  'eve.real': 'Nilai asli {target} = <span class="value">{value}</span>.',
+  'eve.shared': 'Dengan x, Eve menghitung <code>S = {base}<sup>x</sup> mod p = {value}</code>.',
+  'eve.bits': '{bits} bit',
+  'eve.bitsThis': '{bits} bit (p ini)',
+  'eve.target': 'Target: <code>{target}</code>, p berukuran {bits} bit.',
+  'eve.method': 'Metode',
+  'eve.ops': 'Operasi',
+  'eve.time': 'Waktu',
+  'eve.result': 'Hasil',
+  'eve.estimate': 'Perkiraan biaya dengan laju ±{rate} operasi/ms (brute force ≈ p, BSGS/rho ≈ √p):',
+  'eve.size': 'Ukuran p',
+
+  // index.html: static text, applied through the data-i18n* attributes
+  'page.title': 'Simulasi Diffie–Hellman (Minimal)',
+  'page.heading': 'Simulasi Diffie–Hellman',
+  'page.params': 'Parameter',
+  'page.protocol': 'Protokol',
+  'page.protocol.dh': 'DH klasik (Z_p*)',
+  'page.protocol.ecdh': 'ECDH (kurva eliptik)',
+  'page.numFormat': 'Format angka',
+  'page.numFormat.help': 'Berlaku untuk input, hasil, perhitungan, dan tombol Salin. Nilai heksadesimal, biner, dan base64 yang ditempel boleh berisi spasi atau titik dua (seperti keluaran OpenSSL); di mode heksadesimal dan biner awalan 0x/0b dikenali otomatis.',
+  'page.preset': 'Grup standar',
+  'page.preset.custom': '— isi sendiri —',
+  'page.p': 'Modulus prima p',
+  'page.p.placeholder': 'contoh: 23',
+  'page.g': 'Generator g (basis)',
+  'page.g.placeholder': 'contoh: 5',
+  'page.curve': 'Kurva',
+  'page.curvePlot': 'Titik-titik kurva',
+  'page.parties': 'Jumlah peserta',
+  'page.parties.two': '2 (Alice dan Bob)',
+  'page.parties.group': '{n} — DH grup (cincin)',
+  'page.a': 'Rahasia Alice (a)',
+  'page.b': 'Rahasia Bob (b)',
+  'page.ma': 'Rahasia Mallory ke Alice (ma)',
+  'page.mb': 'Rahasia Mallory ke Bob (mb)',
+  'page.evilB': 'B palsu dari Bob jahat',
+  'page.evilB.help': 'Elemen berorde kecil r, dengan r pembagi p − 1. Bob mengirimnya sebagai ganti g<sup>b</sup>.',
+  'page.ops.label': 'Operasi parameter',
+  'page.ops': 'Operasi',
+  'page.bitSize': 'Ukuran p untuk "Acak semua"',
+  'page.bitSize.demo': 'Demo (401–2000)',
+  'page.bitSize.bits': '{bits} bit',
+  'page.bitSize.slow': '{bits} bit (lambat)',
+  'page.bitSize.verySlow': '{bits} bit (sangat lambat)',
+  'page.validate': 'Validasi',
+  'page.random': 'Acak a,b',
+  'page.randomAll': 'Acak semua',
+  'page.randomSmooth.title': 'p 64-bit dengan p−1 hanya berfaktor kecil',
+  'page.randomSmooth': 'Acak p lemah (p−1 mulus)',
+  'page.run.label': 'Eksekusi simulasi',
+  'page.run': 'Eksekusi',
+  'page.prev': 'Langkah sebelumnya',
+  'page.next': 'Langkah berikutnya',
+  'page.reset': 'Reset',
+  'page.view.label': 'Mode tampilan',
+  'page.view': 'Tampilan',
+  'page.confine.title': 'Bob mengirim B berorde kecil untuk mengorek a mod r',
+  'page.share.title': 'Tautan berisi parameter, langkah, dan mode saat ini',
+  'page.share': 'Salin tautan',
+  'page.checks.label': 'Pemeriksaan nilai publik',
+  'page.checks': 'Pemeriksaan penerima',
+  'page.chkRange': 'Rentang: 2 ≤ A, B ≤ p − 2',
+  'page.chkSubgroup': 'Subgrup (safe prime): A<sup>q</sup> ≡ B<sup>q</sup> ≡ 1 (mod p)',
+  'page.transcript.label': 'Transkrip',
+  'page.transcript': 'Transkrip',
+  'page.exportFormat': 'Format ekspor',
+  'page.export.title': 'Semua langkah yang sudah tampil, parameter, dan hasil',
+  'page.export': 'Ekspor',
+  'page.import.title': 'Muat transkrip JSON dan periksa konsistensinya',
+  'page.import': 'Impor JSON',
+  'page.steps': 'Langkah-langkah',
+  'page.seq': 'Diagram urutan',
+  'page.seqEve': 'Tampilkan Eve, penyadap yang mencatat semua yang dikirim',
+  'page.seqDiagram': 'Diagram urutan: siapa mengirim apa dan siapa tahu apa',
+  'page.quiz': 'Latihan',
+  'page.quiz.help': 'Simulator memilih p, g, a, dan b lalu menyembunyikan A, B, dan S. Ketik setiap nilai pada langkahnya. Jawaban salah membuka petunjuk bertingkat: rumus, baris pertama square-and-multiply, lalu jawabannya. Tanpa petunjuk 3 poin, berkurang 1 untuk setiap petunjuk.',
+  'page.quizLevel': 'Tingkat kesulitan',
+  'page.quizNew': 'Soal baru',
+  'page.gen': 'Analisis generator g',
+  'page.gen.help': 'Semua nilai publik dan kunci bersama berada di subgrup ⟨g⟩ = {g<sup>0</sup>, g<sup>1</sup>, …}. Makin kecil orde g, makin sedikit kunci yang mungkin.',
+  'page.mr': 'Uji keprimaan p (Miller–Rabin)',
+  'page.mr.help': 'Setiap basis a menghitung a<sup>d</sup> mod p lalu mengkuadratkannya hingga s − 1 kali. p lolos jika barisan dimulai dari 1 atau mencapai p − 1. Basis yang tidak lolos adalah <b>saksi</b> bahwa p komposit; basis yang lolos padahal p komposit disebut <b>pembohong</b>.',
+  'page.mrBases': 'Basis',
+  'page.mrBasesFull': 'Seperti Validasi',
+  'page.mrPseudo': 'Pseudoprima kuat',
+  'page.mrPseudoPick': 'Pilih untuk dicoba…',
+  'page.history': 'Riwayat percobaan',
+  'page.history.help': 'Setiap pertukaran yang mencapai langkah verifikasi dicatat di sini sampai halaman dimuat ulang. Buka lagi sebuah percobaan, atau centang dua atau lebih untuk membandingkannya berdampingan.',
+  'page.compare': 'Bandingkan yang dicentang',
+  'page.historyClear': 'Kosongkan riwayat',
+  'page.bench': 'Tolok ukur',
+  'page.bench.help': 'Berapa lama operasi dasar DH di browser ini untuk p 64 sampai 4096 bit: modPow (yang dihitung Alice dan Bob), uji keprimaan, dan pencarian bilangan prima. Setiap ukuran dijalankan sekali sebagai pemanasan lalu beberapa kali lagi; grafik memakai skala log dan menampilkan median.',
+  'page.benchMax': 'Ukuran terbesar',
+  'page.benchSlowPrime': 'randomPrimeInRange juga pada 4096 bit (sekitar satu menit per sampel)',
+  'page.benchIter': 'Pengulangan per ukuran',
+  'page.benchWebCrypto': 'Bandingkan dengan Web Crypto',
+  'page.benchRun': 'Jalankan',
+  'page.benchStop': 'Hentikan',
+  'page.benchChart': 'Grafik waktu per ukuran',
+  'page.chat': 'Obrolan terenkripsi (AES-GCM)',
+  'page.chat.help': 'Terbuka setelah langkah "Saluran terenkripsi siap". Pesan dienkripsi dengan kunci pengirim dan didekripsi dengan kunci penerima.',
+  'page.chatAlice': 'Halo Bob!',
+  'page.chatBob': 'Halo Alice!',
+  'page.send': 'Kirim',
+  'page.chatMismatch': 'Simulasikan kunci tidak cocok (S milik Bob berbeda 1 bit)',
+  'page.eve': 'Eve (penyadap)',
+  'page.eve.help': 'Eve hanya melihat nilai publik p, g, A, dan B. Ia mencoba menemukan a atau b dengan memecahkan logaritma diskret.',
+  'page.eveTarget': 'Target',
+  'page.eveTarget.a': 'a dari A = g^a mod p',
+  'page.eveTarget.b': 'b dari B = g^b mod p',
+  'page.eveMethod': 'Metode',
+  'page.eveRun': 'Serang',
+  'page.eveAll': 'Bandingkan semua metode',
+  'page.certify': 'Dengan sertifikat (Pocklington/Pratt)',
+  'page.certify.title': 'Bangun safe prime beserta bukti keprimaan yang bisa diperiksa ulang',
+  'page.mrRounds': 'Putaran Miller–Rabin acak (p ≥ 3,3·10^24)',
+  'page.bpsw.title': 'Miller–Rabin basis 2 ditambah uji Lucas kuat sebelum basis acak',
+  'page.bpsw': 'Baillie–PSW',
+
+  // index.html: language switch
+  'page.language': 'Bahasa',
+
+  // app.js: copying, end of practice, option lists
+  'param.bits': '{bits} bit',
+  'copy.done': 'Disalin: {text}',
+  'copy.failed': 'Gagal menyalin ke clipboard.',
+  'copy.empty': 'Tidak ada nilai untuk disalin.',
+  'quiz.done': 'Latihan selesai. {score}.',
+
+  // app.js: background jobs
+  'work.progress': '{label} {candidates} kandidat, {rounds} putaran Miller–Rabin ({s} s)',
+  'work.progressRounds': '{label} {rounds} putaran Miller–Rabin ({s} s)',
+  'work.demo': 'Membangkitkan bilangan prima demo…',
+  'work.smooth': 'Membangkitkan p 64 bit dengan p−1 mulus…',
+  'work.checkP': 'Memeriksa keprimaan p ({bits} bit)…',
+  'work.cancelled': 'Dibatalkan: {label}',
+  'work.failed': 'Gagal: {label} ({error})',
+  'page.cancelWork': 'Batalkan',
+
+  // app.js: Miller–Rabin panel
+  'mr.idle': 'Klik Validasi untuk melihat bagaimana p diuji.',
+  'mr.prime': 'prima',
+  'mr.composite': 'komposit',
+  'mr.subject': 'Uji untuk p = {p} ({bits} bit).',
+  'mr.proven': 'p dibuktikan prima dengan sertifikat saat dibangkitkan, jadi Miller–Rabin tidak dijalankan. Pilih basis di atas untuk tetap mencobanya.',
+  'mr.screenIsPrime': 'Saringan bilangan prima kecil ({list}): p adalah salah satunya, jadi prima.',
+  'mr.screenFactor': 'Saringan bilangan prima kecil: p habis dibagi {q}, jadi komposit tanpa perlu Miller–Rabin.',
+  'mr.screenPass': 'Saringan bilangan prima kecil: p tidak habis dibagi {list}.',
+  'mr.planBases': 'Hanya basis {list} yang diuji.',
+  'mr.planFixed': 'p di bawah batas {limit}, jadi ketiga belas basis tetap 2 … 41 memutuskan dengan pasti.',
+  'mr.planBpsw': 'p di atas batas deterministik: basis 2, lalu uji Lucas kuat (Baillie–PSW), lalu {rounds} basis acak.',
+  'mr.planRandom': 'p di atas batas deterministik: basis 2, lalu {rounds} basis acak.',
+  'mr.result': 'Hasil',
+  'mr.pass': 'lolos',
+  'mr.liar': 'pembohong',
+  'mr.witness': 'saksi',
+  'mr.skipped': '… {n} kuadrat lagi …',
+  'mr.lucas': 'Lucas kuat',
+  'mr.lucasFactor': 'menemukan faktor {q}',
+  'mr.provedBy': 'Basis {a} adalah saksi: barisannya tidak dimulai dari 1 dan tidak pernah mencapai p − 1, jadi p pasti komposit.',
+  'mr.provedByLucas': 'Basis 2 lolos, tetapi uji Lucas kuat gagal, jadi p pasti komposit.',
+  'mr.fooled': 'Setiap basis yang dipilih lolos, jadi uji ini menganggap p prima — padahal p komposit. p adalah pseudoprima kuat untuk basis-basis ini.',
+  'mr.allPass': 'Setiap basis yang dipilih lolos.',
+  'mr.fullSays': 'Uji lengkap: {verdict}',
+  'mr.pseudoOption': '{n} — mengelabui basis {bases}',
+
+  // app.js: sequence diagram
+  'seq.eve': 'Eve (penyadap)',
+  'seq.eveNothing': 'belum ada yang terkirim',
+  'seq.groupOnly': 'Diagram urutan hanya tersedia untuk pertukaran dua pihak.',
+
+  // app.js: run history
+  'history.count': '{n} tersimpan',
+  'history.open': 'Buka',
+  'history.time': 'Waktu',
+  'history.flow': 'Alur',
+  'history.differ': 'Yang berbeda: {names}.',
+  'history.same': 'Semua parameter dan hasil sama.',
+
+  // app.js: benchmark
+  'bench.running': '{op}, {bits} bit ({i}/{n})…',
+  'bench.runningNative': 'Web Crypto: {name}…',
+  'bench.done': 'Selesai.',
+  'bench.stopped': 'Dihentikan; hasil yang sudah ada tetap ditampilkan.',
+  'bench.count': '{n} hasil',
+  'bench.axisBits': 'ukuran (bit)',
+  'bench.median': 'median',
+  'bench.spread': 'min {min}, maks {max}; {runs} sampel × {reps} kali',
+  'bench.asymmetry': 'Dari {from} ke {to} bit, modPow milik Alice dan Bob hanya {factor}× lebih lambat, sedangkan banyaknya kemungkinan rahasia yang harus dicoba Eve naik 2^{extra} kali lipat.',
+  'bench.rsaSign': 'Web Crypto: tanda tangan RSA',
+  'bench.rsaPrime': 'Web Crypto: kunci RSA ÷ 2 (satu prima)',
+  'bench.rsaSignRow': 'Tanda tangan RSA {bits} bit',
+  'bench.rsaKeygenRow': 'Kunci RSA {bits} bit (dua prima {half} bit)',
+  'bench.ecdhRow': 'ECDH {curve} (setara DH {dh} bit)',
+  'bench.jsSame': 'JavaScript BigInt, pekerjaan serupa',
+  'bench.nativeNote': 'Web Crypto berjalan dalam kode native browser. Tanda tangan RSA memakai CRT (dua modPow setengah ukuran), jadi sekitar 3–4× lebih ringan daripada satu modPow penuh. ECDH mencapai keamanan yang sama dengan kunci jauh lebih kecil daripada DH (NIST SP 800-57).',
+  'bench.noWebCrypto': 'Web Crypto tidak tersedia di sini (butuh HTTPS atau localhost), jadi hanya helper JavaScript yang diukur.',
+
+  // bin/dh-sim.js
+  'cli.usage': 'Pemakaian: dh-sim <perintah> [opsi]\n\nPerintah:\n  prime      --bits N [--safe] [--count K]       bilangan prima (atau safe prime p = 2q+1)\n  group      --bits N [--safe] [--count K]       p beserta generator g\n  generator  --p P [--subgroup]                  cari generator untuk p (subgrup orde q jika safe prime)\n  validate   --p P --g G --a A --b B             periksa parameter dengan aturan yang sama seperti halaman\n             --curve ID --a A --b B              (ECDH: toy17, toy97, p256)\n  exchange   [--p P --g G | --bits N [--safe] | --curve ID] [--a A --b B] [--count K]\n                                                 transkrip pertukaran lengkap; a, b acak jika tidak diisi\n  check      --file FILE                         periksa jawaban (array JSON atau JSON Lines; "-" = stdin)\n  bench      [--bits N] [--count K]              waktu modPow, isProbablePrime, randomPrimeInRange per ukuran\n                                                 64..N bit (bawaan 1024), median dari K kali (bawaan 5)\n\nOpsi umum:\n  --format text|json                             format keluaran (bawaan: text)\n  --lang id|en                                   bahasa keluaran dan pesan (bawaan: id)\n  --help\n\nUkuran --bits: 8..4096. Safe prime ≥ 1024 bit bisa memakan waktu beberapa menit.',
+  'cli.required': '--{name} wajib diisi.',
+  'cli.pgRequired': '--p dan --g wajib diisi (atau --curve).',
+  'cli.countRange': '--count harus bilangan bulat 1..1000.',
+  'cli.bitsRange': '--bits harus bilangan bulat 8..4096.',
+  'cli.benchMin': '--bits untuk bench minimal {min}.',
+  'cli.slowSafe': 'Membangkitkan safe prime {bits} bit bisa sangat lama…',
+  'cli.unknownCurve': 'Kurva tidak dikenal: {id} (pilihan: {ids}).',
+  'cli.subgroupSafe': '--subgroup hanya untuk safe prime p = 2q+1.',
+  'cli.unfactorable': 'p−1 tidak dapat difaktorkan (sisa {rest}).',
+  'cli.pPrime': 'p harus bilangan prima ≥ 5.',
+  'cli.fileUnreadable': '--file: tidak bisa dibaca ({error}).',
+  'cli.badJson': '{where}: JSON tidak valid ({error}).',
+  'cli.line': 'baris {n}',
+  'cli.notList': '--file harus berisi array JSON atau JSON Lines.',
+  'cli.notObject': 'Rekaman {n} bukan objek JSON.',
+  'cli.formatUnknown': '--format harus text atau json.',
+  'cli.langUnknown': '--lang harus salah satu dari: {ids}.',
+  'cli.bits': '{bits} bit',
+  'cli.bitHeader': 'bit',
+  'cli.step.params': 'Parameter publik',
+  'cli.step.curve': 'kurva {name}, G = {G}, n = {n}',
+  'cli.step.secretA': 'Alice memilih rahasia',
+  'cli.step.publicA': 'Alice menghitung A',
+  'cli.step.secretB': 'Bob memilih rahasia',
+  'cli.step.publicB': 'Bob menghitung B',
+  'cli.step.exchange': 'Tukar nilai publik',
+  'cli.step.keyAlice': 'Alice menghitung kunci',
+  'cli.step.keyBob': 'Bob menghitung kunci',
+  'cli.step.verify': 'Verifikasi',
+  'cli.step.match': 'cocok',
+  'cli.step.mismatch': 'tidak cocok',
+  'cli.check.invalid': 'parameter tidak valid — {message}',
+  'cli.check.expected': 'seharusnya {value}',
+  'cli.check.noAnswers': 'parameter valid, tidak ada jawaban',
+  'cli.check.total': 'Benar: {correct}/{total}',
+  'cli.unsafeNumber': '{name} melebihi 2^53 sebagai angka JSON; tulis sebagai string desimal.',
+};
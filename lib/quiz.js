@@ -0,0 +1,47 @@
+// Practice mode: difficulty levels, fresh exercise parameters, grading of typed answers and
+// the score. The app hides A, B and S and asks for each at the step that computes it.
+
+import { modPow, randomPrimeInRange, findGenerator, randomBigIntInRange } from './dh-math.js';
+import { parseBigIntAs } from './format.js';
+import { t } from './i18n.js';
+
+// The prime size is what makes a level hard: by hand, with a calculator, or with square-and-multiply
+export const QUIZ_LEVELS = [
+  { id: 'mudah', min: 11n, max: 97n },
+  { id: 'sedang', min: 101n, max: 997n },
+  { id: 'sulit', min: 1n << 15n, max: (1n << 16n) - 1n },
+].map((level) => ({ ...level, get name() { return t(`quiz.level.${level.id}`); } }));
+
+// Hints come in this order; the last one is the answer itself
+export const QUIZ_HINTS = ['formula', 'trace', 'answer'];
+export const QUIZ_MAX_POINTS = QUIZ_HINTS.length;
+
+// p, g (a primitive root), a and b for one exercise
+export function quizParams(levelId) {
+  const level = QUIZ_LEVELS.find((l) => l.id === levelId) || QUIZ_LEVELS[0];
+  const p = randomPrimeInRange(level.min, level.max);
+  return {
+    p,
+    g: findGenerator(p),
+    a: randomBigIntInRange(2n, p - 2n),
+    b: randomBigIntInRange(2n, p - 2n),
+  };
+}
+
+// Grade `text` (in number format `fmt`) against base^exp mod p. Returns { ok: false, error }
+// when it does not parse, else { ok: true, verdict } with verdict 'correct', 'unreduced' (right
+// residue but not in 0..p-1, which costs nothing) or 'wrong'.
+export function gradeAnswer(text, { base, exp, mod }, fmt = 'dec') {
+  if (!String(text || '').trim()) return { ok: false, error: t('quiz.empty') };
+  const R = parseBigIntAs(text, fmt);
+  if (!R.ok) return R;
+  const want = modPow(base, exp, mod);
+  if (R.value === want) return { ok: true, verdict: 'correct' };
+  if (R.value >= mod && R.value % mod === want) return { ok: true, verdict: 'unreduced' };
+  return { ok: true, verdict: 'wrong' };
+}
+
+// Full marks without hints, one less for each hint seen; nothing once the answer was shown
+export function quizPoints(hints) {
+  return Math.max(0, QUIZ_MAX_POINTS - hints);
+}
@@ -0,0 +1,210 @@
+// Exchange transcripts: a plain JSON object describing the parameters, the values revealed so
+// far and every rendered step, plus Markdown and LaTeX renderings of it.
+//
+//   { format, version, created, language, protocol, curve, flow, flowName, parties, numberFormat,
+//     verbose, checks, step, totalSteps, params: { p, g, a, b, ... }, results: { A, B, S1, ... },
+//     steps: [{ n, id, title, short, long, calc, hidden? }] }
+//
+// In practice mode a step whose question is still open has `hidden` set to the value name it
+// asks for; its calc is the question and the value is left out of results.
+//
+// The page also keeps the transcripts of finished exchanges as its run history.
+//
+// Numbers in params/results are decimal strings, curve points { x, y }, the point at infinity
+// null and group keys an array. checks lists the receiver checks in use ('range', 'subgroup').
+// Step texts are plain text in the language ('id', 'en') and number format of the page; the
+// headings of the Markdown and LaTeX renderings follow the current language.
+
+import { t as tr } from './i18n.js';
+
+export const TRANSCRIPT_FORMAT = 'dh-sim-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+export function encodeValue(v) {
+  if (v === null) return null;
+  if (typeof v === 'bigint') return v.toString();
+  if (Array.isArray(v)) return v.map(encodeValue);
+  return { x: v.x.toString(), y: v.y.toString() };
+}
+
+function showValue(j) {
+  if (j === null) return 'O';
+  if (typeof j === 'string') return j;
+  if (Array.isArray(j)) return j.map(showValue).join(', ');
+  return `(${j.x}, ${j.y})`;
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+// Step HTML to plain text: <sup>k</sup> becomes ^k (^(k) when k is not one word),
+// <sub>i</sub> becomes _i, line and row breaks become newlines
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<br\s*\/?>|<\/div>|<\/p>/gi, '\n')
+    .replace(/<sup>(.*?)<\/sup>/gi, (m, e) => (/^\w+$/.test(e) ? `^${e}` : `^(${e})`))
+    .replace(/<sub>(.*?)<\/sub>/gi, '_$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (m, name) => ENTITIES[name])
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+const STEP_FIELDS = ['id', 'title', 'short', 'long', 'calc'];
+
+// Differences between a recorded transcript and one rebuilt from its parameters, as messages.
+// An empty list means the recording is consistent.
+export function compareTranscripts(recorded, rebuilt) {
+  const out = [];
+  if (recorded.flow !== rebuilt.flow) out.push(tr('transcript.diff.flow', { got: recorded.flow, want: rebuilt.flow }));
+  if (recorded.totalSteps !== rebuilt.totalSteps) {
+    out.push(tr('transcript.diff.totalSteps', { got: recorded.totalSteps, want: rebuilt.totalSteps }));
+  }
+  const steps = Array.isArray(recorded.steps) ? recorded.steps : [];
+  const hidden = new Set(steps.map((st) => st && st.hidden).filter(Boolean));
+  const names = new Set([...Object.keys(recorded.results || {}), ...Object.keys(rebuilt.results)]);
+  for (const name of names) {
+    const want = rebuilt.results[name];
+    const got = (recorded.results || {})[name];
+    if (got === undefined && hidden.has(name)) continue;
+    if (want === undefined) out.push(tr('transcript.diff.notYet', { name, got: showValue(got), step: rebuilt.step }));
+    else if (got === undefined) out.push(tr('transcript.diff.missing', { name, want: showValue(want) }));
+    else if (JSON.stringify(got) !== JSON.stringify(want)) out.push(tr('transcript.diff.value', { name, got: showValue(got), want: showValue(want) }));
+  }
+  if (steps.length !== rebuilt.steps.length) out.push(tr('transcript.diff.stepCount', { got: steps.length, want: rebuilt.steps.length }));
+  rebuilt.steps.forEach((st, idx) => {
+    const rec = steps[idx];
+    if (!rec) return;
+    const fields = STEP_FIELDS.filter((k) => rec[k] !== st[k] && !(k === 'calc' && rec.hidden)).map((k) => tr(`transcript.field.${k}`));
+    if (fields.length) out.push(tr('transcript.diff.step', { n: st.n, id: st.id, fields: fields.join(', ') }));
+  });
+  return out;
+}
+
+// The state of a transcript in the URL hash format read by the page (see stateToHash() in app.js)
+export function transcriptToState(rec) {
+  const h = new URLSearchParams();
+  h.set('mode', String(rec.protocol));
+  if (rec.curve) h.set('curve', String(rec.curve));
+  for (const [k, v] of Object.entries(rec.params || {})) h.set(k, String(v));
+  if (rec.flow === 'mitm') h.set('mitm', '1');
+  if (rec.flow === 'confine') h.set('confine', '1');
+  if (Array.isArray(rec.checks) && rec.checks.length) h.set('check', rec.checks.join(','));
+  h.set('n', String(rec.parties));
+  h.set('step', String(rec.step));
+  if (rec.verbose) h.set('verbose', '1');
+  if (rec.numberFormat) h.set('fmt', String(rec.numberFormat));
+  return h;
+}
+
+// Params and results of several transcripts side by side: one row { section, name, values,
+// same } per name found in any of them, in order of appearance, with undefined for a run
+// that lacks it. `same` is true when every run has the same value.
+export function compareRuns(runs) {
+  const rows = [];
+  for (const section of ['params', 'results']) {
+    const names = [...new Set(runs.flatMap((r) => Object.keys(r[section] || {})))];
+    for (const name of names) {
+      const values = runs.map((r) => (r[section] || {})[name]);
+      const first = JSON.stringify(values[0]);
+      rows.push({ section, name, values, same: values.every((v) => v !== undefined && JSON.stringify(v) === first) });
+    }
+  }
+  return rows;
+}
+
+function header(t) {
+  const proto = t.protocol === 'ecdh' ? `ECDH (${t.curve})` : tr('transcript.classicDh');
+  const rows = [
+    [tr('transcript.protocol'), proto],
+    [tr('transcript.flow'), t.flowName],
+    [tr('transcript.step'), tr('transcript.stepOf', { step: t.step, total: t.totalSteps })],
+  ];
+  if (t.checks && t.checks.length) rows.push([tr('transcript.checks'), t.checks.map((c) => tr(`check.${c}`)).join(', ')]);
+  return rows;
+}
+
+export function transcriptToMarkdown(t) {
+  const table = `| ${tr('transcript.name')} | ${tr('transcript.value')} |`;
+  const lines = [`# ${tr('transcript.heading')}`, ''];
+  for (const [k, v] of header(t)) lines.push(`- ${k}: ${v}`);
+  lines.push('', `## ${tr('transcript.params')}`, '', table, '| --- | --- |');
+  for (const [k, v] of Object.entries(t.params)) lines.push(`| ${k} | \`${v}\` |`);
+  lines.push('', `## ${tr('transcript.results')}`, '');
+  const results = Object.entries(t.results);
+  if (results.length) {
+    lines.push(table, '| --- | --- |');
+    for (const [k, v] of results) lines.push(`| ${k} | \`${showValue(v)}\` |`);
+  } else {
+    lines.push(tr('transcript.noResults'));
+  }
+  lines.push('', `## ${tr('transcript.steps')}`);
+  for (const st of t.steps) {
+    lines.push('', `### ${st.n}. ${st.title}`, '', t.verbose ? st.long : st.short, '', '```text', st.calc, '```');
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+const LATEX_SPECIAL = { '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', $: '\\$', '&': '\\&', '#': '\\#', '%': '\\%', _: '\\_', '^': '\\^{}', '~': '\\textasciitilde{}' };
+// Symbols used by the step texts, so the document also builds with pdflatex
+const LATEX_SYMBOLS = {
+  '·': '$\\cdot$', '≤': '$\\le$', '≥': '$\\ge$', '−': '$-$', '→': '$\\to$', '←': '$\\leftarrow$',
+  '↔': '$\\leftrightarrow$', '⇄': '$\\rightleftarrows$', '≠': '$\\neq$', '≈': '$\\approx$', '±': '$\\pm$',
+  '√': '$\\surd$', '²': '\\textsuperscript{2}', '³': '\\textsuperscript{3}', '✅': '$\\checkmark$',
+  '❌': '$\\times$', '∈': '$\\in$', '≡': '$\\equiv$', '⟨': '$\\langle$', '⟩': '$\\rangle$', '–': '--', '—': '---',
+  '“': '``', '”': "''", '…': '\\ldots{}', '😈': '', '⏱': '',
+};
+
+function escapeLatex(s) {
+  return s.replace(/[\\{}$&#%_^~]/g, (c) => LATEX_SPECIAL[c]).replace(/[^\x00-\x7f]/gu, (c) => (c in LATEX_SYMBOLS ? LATEX_SYMBOLS[c] : c));
+}
+
+// Plain text to LaTeX: ^k / ^(k) and _i become super- and subscripts, and long runs of
+// digits (or hex/base64) may break anywhere
+function latexText(s) {
+  const long = (x) => x.replace(/[0-9A-Za-z+/=]{24,}/g, (run) => `\\seqsplit{${run}}`);
+  let out = '';
+  let last = 0;
+  for (const m of s.matchAll(/([\^_])(\([^)]*\)|[0-9A-Za-z+/=]+)/g)) {
+    out += long(escapeLatex(s.slice(last, m.index)));
+    const inner = m[2].startsWith('(') ? m[2].slice(1, -1) : m[2];
+    out += `${m[1] === '^' ? '\\textsuperscript' : '\\textsubscript'}{${long(escapeLatex(inner))}}`;
+    last = m.index + m[0].length;
+  }
+  return out + long(escapeLatex(s.slice(last)));
+}
+
+export function transcriptToLatex(t) {
+  const tt = (s) => `\\texttt{${latexText(s)}}`;
+  const lines = [
+    '\\documentclass{article}',
+    '\\usepackage[utf8]{inputenc}',
+    '\\usepackage[T1]{fontenc}',
+    '\\usepackage{amssymb}',
+    '\\usepackage{seqsplit}',
+    '\\begin{document}',
+    `\\section*{${latexText(tr('transcript.heading'))}}`,
+    '\\begin{itemize}',
+    ...header(t).map(([k, v]) => `  \\item ${latexText(k)}: ${latexText(v)}`),
+    '\\end{itemize}',
+    `\\subsection*{${latexText(tr('transcript.params'))}}`,
+    '\\begin{itemize}',
+    ...Object.entries(t.params).map(([k, v]) => `  \\item $${k}$ = ${tt(v)}`),
+    '\\end{itemize}',
+    `\\subsection*{${latexText(tr('transcript.results'))}}`,
+  ];
+  const results = Object.entries(t.results);
+  if (results.length) {
+    lines.push('\\begin{itemize}', ...results.map(([k, v]) => `  \\item ${latexText(k)} = ${tt(showValue(v))}`), '\\end{itemize}');
+  } else {
+    lines.push(latexText(tr('transcript.noResults')));
+  }
+  lines.push(`\\subsection*{${latexText(tr('transcript.steps'))}}`, '\\begin{enumerate}');
+  for (const st of t.steps) {
+    lines.push(`  \\item \\textbf{${latexText(st.title)}}\\\\`, `  ${latexText(t.verbose ? st.long : st.short)}\\\\`);
+    lines.push(`  ${st.calc.split('\n').map(tt).join('\\\\\n  ')}`);
+  }
+  lines.push('\\end{enumerate}', '\\end{document}');
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,87 @@
+// Parameter parsing and validation rules, shared by the page and the CLI so both accept and
+// reject exactly the same inputs with the same messages.
+
+import { modPow, primalityVerdict } from './dh-math.js';
+import { certificateChain } from './certificate.js';
+import { smoothFactorization } from './dlog.js';
+import { t } from './i18n.js';
+
+// Longest accepted input; 2500 digits ≈ 8300 bits, enough for every standard group
+export const MAX_DIGITS = 2500;
+
+// Utils: parsing BigInt decimal
+export function parseBigIntDec(str) {
+  const s = String(str || '').trim();
+  if (!/^[0-9]+$/.test(s)) return { ok: false, error: t('validate.decimalOnly') };
+  if (s.length > MAX_DIGITS) return { ok: false, error: t('validate.tooLong', { len: s.length, max: MAX_DIGITS }) };
+  try {
+    const v = BigInt(s);
+    return { ok: true, value: v };
+  } catch (e) {
+    return { ok: false, error: t('validate.invalidNumber') };
+  }
+}
+
+// Human-readable certainty of a primality verdict (for the message box): proven (fixed bases
+// or a certificate), Baillie–PSW, or probabilistic with its error bound
+export function describeVerdict(v, name = 'p') {
+  if (!v.prime) {
+    if (v.factor !== null) return t('validate.notPrimeFactor', { name, factor: v.factor });
+    if (v.witness !== null) return t('validate.notPrimeWitness', { name, witness: v.witness });
+    if (v.lucas) return t('validate.notPrimeLucas', { name, D: v.lucas });
+    return t('validate.notPrime', { name });
+  }
+  if (v.certainty === 'deterministic') return t('validate.primeCertain', { name });
+  if (v.certainty === 'proven') return t('validate.primeProven', { name, steps: certificateChain(v.certificate).length });
+  const random = v.rounds - 1;
+  if (v.certainty === 'bpsw') {
+    return random ? t('validate.primeBpswRounds', { name, random, bits: 2 * random }) : t('validate.primeBpsw', { name });
+  }
+  return random ? t('validate.primeProbable', { name, rounds: v.rounds, random, bits: 2 * random }) : t('validate.primeBase2', { name });
+}
+
+// Warning text when p-1 is smooth enough for Pohlig–Hellman to be practical, else ''.
+// Tiny p are skipped: every method breaks them anyway.
+export function smoothnessWarning(P) {
+  if (P <= (1n << 32n)) return '';
+  const factors = smoothFactorization(P - 1n);
+  if (!factors) return '';
+  const largest = factors.reduce((m, f) => (f.q > m ? f.q : m), 1n);
+  return t('validate.smooth', { bits: largest.toString(2).length });
+}
+
+// Classic DH: p prime (≥ 3), 2 ≤ g ≤ p-1 and every secret in 2..p-2. `secrets` is a list of
+// [name, value] pairs. Pass a caching `verdictOf` when the same p is checked repeatedly.
+// Returns { ok, message, verdict }; message is the error, or the success text with certainty
+// and smoothness warning.
+export function validateDh({ p, g, secrets }, verdictOf = primalityVerdict) {
+  if (p < 3n) return { ok: false, message: t('validate.pMin'), verdict: null };
+  const verdict = verdictOf(p);
+  if (!verdict.prime) return { ok: false, message: describeVerdict(verdict), verdict };
+  if (g <= 1n || g >= p) return { ok: false, message: t('validate.gRange'), verdict };
+  for (const [name, k] of secrets) {
+    if (k < 2n || k >= p - 1n) return { ok: false, message: t('validate.secretRange', { name }), verdict };
+  }
+  const warn = smoothnessWarning(p);
+  return { ok: true, message: [t('validate.ok'), describeVerdict(verdict), warn].filter(Boolean).join('\n'), verdict };
+}
+
+// Checks a receiver can run on a public value X before using it (Alice on B, Bob on A).
+// The range check 2 ≤ X ≤ p-2 rejects 0, 1 and p-1; with q given (safe prime p = 2q+1 and g
+// of order q) X^q ≡ 1 proves X lies in the subgroup of g. Returns { range, subgroup } where
+// subgroup is null without q.
+export function publicValueChecks(X, p, q = null) {
+  return {
+    range: X >= 2n && X <= p - 2n,
+    subgroup: q === null ? null : modPow(X, q, p) === 1n,
+  };
+}
+
+// ECDH: secrets are scalars in 1..n-1 where n is the order of G
+export function validateEcdh(curve, secrets) {
+  const n = curve.n;
+  for (const [name, k] of secrets) {
+    if (k < 1n || k >= n) return { ok: false, message: t('validate.scalarRange', { name, n }) };
+  }
+  return { ok: true, message: t('validate.okCurve', { curve: curve.name }) };
+}
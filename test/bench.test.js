@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BENCH_SIZES, BENCH_OPS, summarize, benchmark, benchmarkAsync } from '../lib/bench.js';
+import { JOBS } from '../lib/jobs.js';
+
+test('summarize gives the median, min and max', () => {
+  assert.deepEqual(summarize([3, 1, 2]), { runs: 3, median: 2, min: 1, max: 3 });
+  assert.deepEqual(summarize([4, 1, 2, 8]), { runs: 4, median: 3, min: 1, max: 8 });
+});
+
+test('benchmark times every operation after the warm-up', () => {
+  assert.deepEqual(BENCH_OPS, ['modPow', 'isProbablePrime', 'randomPrimeInRange']);
+  assert.equal(BENCH_SIZES[0], 64);
+  assert.equal(BENCH_SIZES.at(-1), 4096);
+  for (const op of BENCH_OPS) {
+    const res = benchmark(op, 64, { warmup: 1, iterations: 3 });
+    assert.equal(res.op, op);
+    assert.equal(res.bits, 64);
+    assert.equal(res.runs, 3);
+    assert.ok(res.reps >= 1 && res.reps <= 1000);
+    assert.ok(res.min >= 0 && res.min <= res.median && res.median <= res.max);
+  }
+  assert.throws(() => benchmark('toString', 64), /Unknown operation/);
+});
+
+test('a spent budget stops after one timed run', () => {
+  assert.equal(benchmark('modPow', 128, { warmup: 2, iterations: 10, budget: 0 }).runs, 1);
+  assert.equal(JOBS.bench({ op: 'isProbablePrime', bits: 2048, options: { warmup: 0, iterations: 5, budget: 0 } }).runs, 1);
+});
+
+test('benchmarkAsync awaits each run', async () => {
+  let calls = 0;
+  const res = await benchmarkAsync(async () => { calls++; }, { warmup: 2, iterations: 4 });
+  assert.equal(calls, 6);
+  assert.equal(res.runs, 4);
+  assert.equal((await benchmarkAsync(async () => {}, { iterations: 9, budget: 0 })).runs, 1);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PRATT_BITS, prattCertificate, provablePrime, provableSafePrime, verifyCertificate, certificateChain,
+  certificateVerdict, describeCertificate,
+} from '../lib/certificate.js';
+import { isProbablePrime, bitLength } from '../lib/dh-math.js';
+
+test('Pratt certificates for small primes', () => {
+  for (const p of [2n, 3n, 5n, 97n, 65537n, 4294967291n]) {
+    const cert = prattCertificate(p);
+    assert.equal(cert.type, 'pratt');
+    assert.deepEqual(verifyCertificate(cert), { ok: true, error: null }, `${p}`);
+  }
+  assert.deepEqual(prattCertificate(97n).factors.map((f) => f.n), [2n, 3n]); // 96 = 2^5 · 3
+  assert.throws(() => prattCertificate(561n));
+});
+
+test('provable primes and safe primes check out at every size', () => {
+  for (const bits of [16, PRATT_BITS + 1, 64, 200]) {
+    const cert = provablePrime(bits);
+    assert.equal(bitLength(cert.n), bits);
+    assert.ok(verifyCertificate(cert).ok, `${bits}`);
+  }
+  for (const bits of [24, 64, 256]) {
+    const { p, q, certificate } = provableSafePrime(bits);
+    assert.equal(bitLength(p), bits);
+    assert.equal(p, 2n * q + 1n);
+    assert.ok(isProbablePrime(p) && isProbablePrime(q));
+    assert.ok(verifyCertificate(certificate).ok, `${bits}`);
+    const chain = certificateChain(certificate);
+    assert.equal(chain[0].n, p);
+    assert.equal(chain.at(-1).type, 'pratt');
+    if (bits > PRATT_BITS) assert.equal(chain[1].n, q);
+    assert.equal(describeCertificate(certificate).length, chain.length);
+  }
+});
+
+test('tampered certificates are rejected with the failing step', () => {
+  const { certificate } = provableSafePrime(128);
+  const copy = (c) => structuredClone(c);
+
+  const split = copy(certificate);
+  split.n += 2n;
+  assert.match(verifyCertificate(split).error, /n − 1 ≠ F · R/);
+
+  const deep = copy(certificate);
+  certificateChain(deep)[2].a = certificateChain(deep)[2].n - 1n; // (n-1)^R ≡ 1 for even R
+  assert.equal(verifyCertificate(deep).ok, false);
+
+  // A composite F must not pass as the proven factor
+  const fake = copy(certificate);
+  fake.F.n *= 3n;
+  assert.equal(verifyCertificate(fake).ok, false);
+
+  // 15 = 2·7 + 1, but F = 2 is below √15 and proves nothing
+  const small = { type: 'pocklington', n: 15n, a: 2n, R: 7n, F: prattCertificate(2n) };
+  assert.match(verifyCertificate(small).error, /F²/);
+
+  const pratt = prattCertificate(65537n);
+  pratt.factors = [];
+  assert.match(verifyCertificate(pratt).error, /n − 1/);
+  assert.match(verifyCertificate({ type: 'other', n: 7n, a: 3n }).error, /bentuk/);
+  assert.equal(verifyCertificate(null).ok, false);
+  assert.equal(certificateVerdict(split), null);
+  assert.equal(certificateVerdict(certificate).certainty, 'proven');
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { isProbablePrime, modPow, bitLength } from '../lib/dh-math.js';
+
+const CLI = fileURLToPath(new URL('../bin/dh-sim.js', import.meta.url));
+
+function run(args, input) {
+  const r = spawnSync(process.execPath, [CLI, ...args], { input, encoding: 'utf8', timeout: 60000 });
+  return { code: r.status, out: r.stdout, err: r.stderr };
+}
+
+const json = (args, input) => JSON.parse(run([...args, '--format', 'json'], input).out);
+
+test('prime and group produce values of the requested size', () => {
+  const primes = json(['prime', '--bits', '48', '--count', '3']);
+  assert.equal(primes.length, 3);
+  for (const { p } of primes) assert.ok(bitLength(BigInt(p)) === 48 && isProbablePrime(BigInt(p)));
+  const [safe] = json(['prime', '--bits', '40', '--safe']);
+  assert.equal(BigInt(safe.p), 2n * BigInt(safe.q) + 1n);
+  const [grp] = json(['group', '--bits', '40', '--safe']);
+  assert.equal(modPow(BigInt(grp.g), BigInt(grp.order), BigInt(grp.p)), 1n);
+});
+
+test('generator finds a primitive root or a subgroup generator', () => {
+  const root = json(['generator', '--p', '23']);
+  assert.equal(root.order, '22');
+  for (const q of [2n, 11n]) assert.notEqual(modPow(BigInt(root.g), 22n / q, 23n), 1n);
+  const sub = json(['generator', '--p', '2039', '--subgroup']);
+  assert.equal(modPow(BigInt(sub.g), 1019n, 2039n), 1n);
+  // 401 - 1 = 2^4 · 5^2 is not of the form 2q
+  assert.equal(json(['generator', '--p', '401']).order, '400');
+  assert.equal(run(['generator', '--p', '401', '--subgroup']).code, 2);
+});
+
+test('validate uses the same messages as the page and sets the exit code', () => {
+  const ok = run(['validate', '--p', '23', '--g', '5', '--a', '6', '--b', '15']);
+  assert.equal(ok.code, 0);
+  assert.match(ok.out, /^Parameter valid\./);
+  const bad = run(['validate', '--p', '23', '--g', '5', '--a', '6', '--b', '22']);
+  assert.equal(bad.code, 1);
+  assert.equal(bad.out.trim(), 'b harus dalam rentang 2 .. p-2.');
+  assert.equal(run(['validate', '--p', '23', '--g', '5', '--a', '6']).code, 2);
+  assert.equal(run(['validate', '--p', 'abc', '--g', '5', '--a', '6', '--b', '7']).code, 2);
+});
+
+test('exchange prints a consistent nine-step transcript', () => {
+  const t = json(['exchange', '--p', '23', '--g', '5', '--a', '6', '--b', '15']);
+  assert.equal(t.A, '8');
+  assert.equal(t.B, '19');
+  assert.equal(t.sAlice, '2');
+  assert.equal(t.match, true);
+  assert.equal(t.steps.length, 9);
+  const text = run(['exchange', '--p', '23', '--g', '5', '--a', '6', '--b', '15']).out;
+  assert.match(text, /^7\. Alice menghitung kunci: S = B\^a mod p = 2$/m);
+  const ec = json(['exchange', '--curve', 'toy17', '--a', '3', '--b', '7']);
+  assert.deepEqual(ec.sAlice, ec.sBob);
+  assert.equal(json(['exchange', '--bits', '24', '--count', '4']).filter((x) => x.match).length, 4);
+});
+
+test('check grades answer files from stdin', () => {
+  const lines = [
+    { id: 'ok', p: '23', g: '5', a: 6, b: 15, A: 8, B: '19', S: '2' },
+    { id: 'wrong', p: 23, g: 5, a: 6, b: 15, S: 3 },
+    { id: 'invalid', p: 25, g: 5, a: 6, b: 15 },
+    { id: 'ec', curve: 'toy17', a: 3, b: 7, S: { x: 6, y: 3 } },
+  ].map((x) => JSON.stringify(x)).join('\n');
+  const r = run(['check', '--file', '-'], lines);
+  assert.equal(r.code, 1);
+  assert.match(r.out, /#wrong: S ✗ \(seharusnya 2\)/);
+  const res = json(['check', '--file', '-'], lines);
+  assert.equal(res.correct, 2);
+  assert.deepEqual(res.results.map((x) => x.valid), [true, true, false, true]);
+  assert.equal(run(['check', '--file', '-'], `[${JSON.stringify({ p: 23, g: 5, a: 6, b: 15, S: 2 })}]`).code, 0);
+});
+
+test('check rejects JSON numbers beyond 2^53 instead of grading rounded values', () => {
+  const big = '18446744073709551557'; // prime, 2^64 - 59
+  const res = json(['check', '--file', '-'], `{"id": "big", "p": ${big}, "g": 2, "a": 6, "b": 15}\n{"p": "${big}", "g": 2, "a": 6, "b": 15, "S": 99999999999999999999}`);
+  assert.deepEqual(res.results.map((x) => x.valid), [false, false]);
+  assert.match(res.results[0].message, /^p .*string desimal/);
+  assert.match(res.results[1].message, /^S /);
+  const ok = json(['check', '--file', '-'], `{"p": "${big}", "g": 2, "a": 6, "b": 15}`);
+  assert.equal(ok.results[0].valid, true);
+});
+
+test('check reports unreadable input as a usage error', () => {
+  const bad = (args, input) => {
+    const r = run(args, input);
+    assert.equal(r.code, 2);
+    assert.doesNotMatch(r.err, /\n\s+at /); // no stack trace
+    return r.err;
+  };
+  assert.match(bad(['check', '--file', '-'], '{"p": 23, "g": 5, "a": 6, "b": 15}\n{"p": 23,'), /baris 2: JSON tidak valid/);
+  assert.match(bad(['check', '--file', '/nonexistent/jawaban.jsonl']), /ENOENT/);
+  assert.match(bad(['check', '--file', '-'], 'null'), /Rekaman 1 bukan objek/);
+  assert.match(bad(['check', '--file', '-'], '[{"p": 23}, null]'), /Rekaman 2 bukan objek/);
+});
+
+test('bench times each helper per size up to --bits', () => {
+  const res = json(['bench', '--bits', '128', '--count', '2']);
+  assert.deepEqual(res.map((r) => `${r.op}@${r.bits}`), [
+    'modPow@64', 'isProbablePrime@64', 'randomPrimeInRange@64',
+    'modPow@128', 'isProbablePrime@128', 'randomPrimeInRange@128',
+  ]);
+  assert.ok(res.every((r) => r.runs === 2 && r.median >= 0));
+  assert.match(run(['bench', '--bits', '64', '--count', '1']).out, /^64 +\d/m);
+  assert.equal(run(['bench', '--bits', '32']).code, 2);
+});
+
+test('--lang switches the output language', () => {
+  const r = run(['exchange', '--p', '23', '--g', '5', '--a', '6', '--b', '15', '--lang', 'en']);
+  assert.equal(r.code, 0);
+  assert.match(r.out, /^7\. Alice computes the key: S = B\^a mod p = 2$/m);
+  assert.match(run(['validate', '--p', '23', '--g', '5', '--a', '1', '--b', '3', '--lang', 'en']).out, /^a must be in the range 2 \.\. p-2\./m);
+  const bad = run(['prime', '--bits', '16', '--lang', 'xx']);
+  assert.equal(bad.code, 2);
+  assert.match(bad.err, /--lang/);
+});
@@ -0,0 +1,356 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  modPow, modPowTrace, primalityVerdict, isProbablePrime, MR_DETERMINISTIC_LIMIT, MR_FIXED_BASES,
+  strongLucasTest, jacobi, isqrt, millerRabinRound, millerRabinWithBases, STRONG_PSEUDOPRIMES,
+  randomBigIntBelow, randomBigIntInRange, randomPrimeInRange, randomPrimeBits, randomSafePrime,
+  randomSmoothPrime, randomGroup, primeFactorization, primeFactorsDistinct, multiplicativeOrder,
+  groupOrderFactors, generatorInfo, powerCycle, findGenerator, subgroupGenerator, gcd, modInverse, crt, bitLength, hexBig,
+} from '../lib/dh-math.js';
+
+// Order of g by walking its powers; only for small p
+function naiveOrder(g, p) {
+  let x = g % p, k = 1n;
+  while (x !== 1n) { x = (x * g) % p; k++; }
+  return k;
+}
+
+test('modPow matches repeated multiplication', () => {
+  for (const [b, e, m] of [[5n, 6n, 23n], [2n, 100n, 1000003n], [7n, 0n, 13n], [123n, 45n, 1n]]) {
+    let want = 1n % m;
+    for (let i = 0n; i < e; i++) want = (want * b) % m;
+    assert.equal(modPow(b, e, m), want, `${b}^${e} mod ${m}`);
+  }
+  assert.equal(modPow(-2n, 3n, 7n), 6n); // (-8) mod 7
+  assert.equal(modPow(2n, 127n, (1n << 127n) - 1n), 1n);
+});
+
+test('modPowTrace records every square-and-multiply iteration', () => {
+  const { result, rows } = modPowTrace(5n, 6n, 23n);
+  assert.equal(result, 8n);
+  assert.deepEqual(rows, [
+    { i: 0, bit: 0, base: 5n, result: 1n },
+    { i: 1, bit: 1, base: 2n, result: 2n },
+    { i: 2, bit: 1, base: 4n, result: 8n },
+  ]);
+  const p = (1n << 127n) - 1n, e = (1n << 100n) + 12345n;
+  const big = modPowTrace(3n, e, p);
+  assert.equal(big.result, modPow(3n, e, p));
+  assert.equal(big.rows.length, bitLength(e));
+  big.rows.forEach((r) => assert.equal(r.base, modPow(3n, 1n << BigInt(r.i), p)));
+  assert.deepEqual(modPowTrace(7n, 0n, 13n), { result: 1n, rows: [] });
+  assert.deepEqual(modPowTrace(7n, 5n, 1n), { result: 0n, rows: [] });
+});
+
+test('known primes are prime', () => {
+  const primes = [
+    2n, 3n, 5n, 37n, 41n, 43n, 97n, 7919n, 65537n, 2147483647n,
+    (1n << 61n) - 1n,
+    (1n << 89n) - 1n, // above the deterministic bound
+    (1n << 127n) - 1n,
+  ];
+  for (const p of primes) assert.ok(isProbablePrime(p), `${p}`);
+});
+
+test('certainty depends on the size of n', () => {
+  const small = primalityVerdict((1n << 61n) - 1n);
+  assert.equal(small.certainty, 'deterministic');
+  assert.equal(small.rounds, MR_FIXED_BASES.length);
+  const big = primalityVerdict((1n << 89n) - 1n);
+  assert.equal(big.prime, true);
+  assert.equal(big.certainty, 'bpsw');
+  assert.equal(big.rounds, 17);
+  assert.equal(big.lucas, -7n);
+  const mrOnly = primalityVerdict((1n << 89n) - 1n, { lucas: false, rounds: 4 });
+  assert.equal(mrOnly.certainty, 'probabilistic');
+  assert.equal(mrOnly.rounds, 5);
+  assert.equal(mrOnly.lucas, null);
+  assert.equal(primalityVerdict((1n << 89n) - 1n, { rounds: 0 }).rounds, 1);
+});
+
+test('edge cases around the smallest values', () => {
+  const three = primalityVerdict(3n);
+  assert.deepEqual(three, { prime: true, certainty: 'deterministic', rounds: 0, witness: null, factor: null, lucas: null });
+  for (const n of [-7n, 0n, 1n]) assert.equal(isProbablePrime(n), false, `${n}`);
+  assert.equal(isProbablePrime(2n), true);
+  assert.equal(primalityVerdict(4n).factor, 2n);
+  assert.equal(primalityVerdict(43n * 47n).prime, false);
+  assert.equal(primalityVerdict(41n * 41n).factor, 41n);
+});
+
+test('Carmichael numbers fool Fermat but not Miller–Rabin', () => {
+  const carmichael = [561n, 1105n, 1729n, 2465n, 2821n, 6601n, 8911n, 41041n, 825265n];
+  // No factor ≤ 41, so the trial division by the fixed bases cannot catch them
+  const noSmallFactor = [1152271n, 3057601n, 3828001n, 6733693n];
+  for (const n of [...carmichael, ...noSmallFactor]) {
+    assert.equal(isProbablePrime(n), false, `${n}`);
+  }
+  for (const n of noSmallFactor) {
+    assert.equal(modPow(2n, n - 1n, n), 1n, `Fermat base 2 passes for ${n}`);
+    const v = primalityVerdict(n);
+    assert.equal(v.factor, null);
+    assert.notEqual(v.witness, null);
+  }
+});
+
+test('strong pseudoprimes are caught by the first base they do not fool', () => {
+  // n is a strong pseudoprime to every prime base below `witness`
+  const cases = [
+    [1373653n, 5n],
+    [25326001n, 7n],
+    [3215031751n, 11n],
+    [2152302898747n, 13n],
+    [3474749660383n, 17n],
+    [341550071728321n, 23n],
+    [3825123056546413051n, 37n],
+    [318665857834031151167461n, 41n],
+  ];
+  for (const [n, witness] of cases) {
+    const v = primalityVerdict(n);
+    assert.equal(v.prime, false, `${n}`);
+    assert.equal(v.certainty, 'deterministic');
+    assert.equal(v.witness, witness, `${n}`);
+  }
+  // 2047 = 23 · 89 fools base 2, but 23 is one of the fixed bases and divides it
+  assert.equal(primalityVerdict(2047n).factor, 23n);
+});
+
+test('traced verdicts record the split of n-1 and every round', () => {
+  // 2047 − 1 = 1023 · 2: base 2 gives 2^1023 ≡ 1, base 3 is a witness
+  assert.deepEqual(millerRabinRound(2n, 2047n, 1023n, 1), { a: 2n, seq: [1n], pass: true });
+  assert.equal(millerRabinRound(3n, 2047n, 1023n, 1).pass, false);
+  // 561 − 1 = 35 · 2^4: 263 → 166 → 67 → 1 never meets 560, and 67² ≡ 1 exposes a factor
+  assert.deepEqual(millerRabinRound(2n, 561n, 35n, 4).seq, [263n, 166n, 67n, 1n]);
+
+  const prime = primalityVerdict(1000003n, { trace: true });
+  assert.equal(prime.trace.d * 2n ** BigInt(prime.trace.s), 1000002n);
+  assert.deepEqual(prime.trace.rounds.map((r) => r.a), MR_FIXED_BASES);
+  assert.ok(prime.trace.rounds.every((r) => r.pass && r.seq.length <= prime.trace.s));
+  assert.equal(prime.trace.lucas, null);
+  const { trace, ...plain } = prime;
+  assert.deepEqual(plain, primalityVerdict(1000003n));
+
+  const composite = primalityVerdict(3215031751n, { trace: true });
+  assert.deepEqual(composite.trace.rounds.map((r) => r.pass), [true, true, true, true, false]);
+  assert.deepEqual(primalityVerdict(91n, { trace: true }).trace, { d: null, s: 0, rounds: [], lucas: null });
+  // Above the bound: base 2, the Lucas test, then the random bases
+  const big = primalityVerdict((1n << 89n) - 1n, { rounds: 3, trace: true });
+  assert.equal(big.trace.rounds.length, 4);
+  assert.equal(big.trace.lucas.prime, true);
+  assert.equal(big.trace.lucas.D, big.lucas);
+});
+
+test('strong pseudoprimes fool exactly their bases', () => {
+  for (const { n, bases } of STRONG_PSEUDOPRIMES) {
+    assert.equal(isProbablePrime(n), false, `${n}`);
+    const fooled = millerRabinWithBases(n, MR_FIXED_BASES.slice(0, bases));
+    assert.equal(fooled.prime, true, `${n}`);
+    assert.equal(fooled.rounds.length, bases);
+    if (bases < MR_FIXED_BASES.length) {
+      const caught = millerRabinWithBases(n, MR_FIXED_BASES.slice(0, bases + 1));
+      assert.equal(caught.witness, MR_FIXED_BASES[bases], `${n}`);
+    }
+  }
+  assert.equal(STRONG_PSEUDOPRIMES.at(-1).n, MR_DETERMINISTIC_LIMIT);
+  // The screen only divides by the chosen bases
+  assert.equal(millerRabinWithBases(2047n, MR_FIXED_BASES).factor, 23n);
+  assert.deepEqual(millerRabinWithBases(3n, [2n]), { prime: true, factor: null, witness: null, d: null, s: 0, rounds: [] });
+  assert.equal(millerRabinWithBases(1n, [2n]).prime, false);
+});
+
+test('the deterministic bound itself is rejected by Lucas and by the random rounds', () => {
+  // A strong pseudoprime to base 2, so Baillie–PSW needs its Lucas half
+  const v = primalityVerdict(MR_DETERMINISTIC_LIMIT);
+  assert.equal(v.prime, false);
+  assert.equal(v.witness, null);
+  assert.notEqual(v.lucas, null);
+  const mr = primalityVerdict(MR_DETERMINISTIC_LIMIT, { lucas: false });
+  assert.equal(mr.prime, false);
+  assert.notEqual(mr.witness, null);
+  assert.equal(isProbablePrime(((1n << 61n) - 1n) * ((1n << 89n) - 1n)), false);
+});
+
+test('strong Lucas test: Selfridge pseudoprimes, base-2 pseudoprimes and squares', () => {
+  // Every strong Lucas pseudoprime below 10^5 (OEIS A217255); none fools base 2 as well
+  const lucasPsp = [5459n, 5777n, 10877n, 16109n, 18971n, 22499n, 24569n, 25199n, 40309n, 58519n, 75077n, 97439n];
+  for (const n of lucasPsp) {
+    assert.equal(strongLucasTest(n).prime, true, `${n}`);
+    assert.notEqual(modPow(2n, n - 1n, n), 1n, `${n}`);
+  }
+  // Strong pseudoprimes to base 2 fail the Lucas test
+  for (const n of [2047n, 3277n, 4033n, 4681n, 8321n, 3215031751n]) assert.equal(strongLucasTest(n).prime, false, `${n}`);
+  for (const p of [43n, 7919n, 65537n, (1n << 61n) - 1n, (1n << 127n) - 1n]) assert.equal(strongLucasTest(p).prime, true, `${p}`);
+  assert.deepEqual(strongLucasTest(10007n * 10007n), { prime: false, D: null, factor: 10007n });
+  assert.equal(strongLucasTest(((1n << 89n) - 1n) ** 2n).factor, (1n << 89n) - 1n);
+});
+
+test('jacobi and isqrt', () => {
+  // (a/n) against Euler's criterion for the prime 1009
+  for (let a = 1n; a < 60n; a++) {
+    const e = modPow(a, 504n, 1009n);
+    assert.equal(jacobi(a, 1009n), e === 1n ? 1 : -1, `${a}`);
+  }
+  assert.equal(jacobi(8n, 21n), -1);
+  assert.equal(jacobi(5n, 21n), 1);
+  assert.equal(jacobi(-7n, 21n), 0);
+  for (const n of [0n, 1n, 2n, 99n, 100n, (1n << 200n) + 5n, (1n << 201n)]) {
+    const r = isqrt(n);
+    assert.ok(r * r <= n && (r + 1n) * (r + 1n) > n, `${n}`);
+  }
+});
+
+test('randomBigIntBelow stays in range, including degenerate bounds', () => {
+  assert.equal(randomBigIntBelow(0n), 0n);
+  assert.equal(randomBigIntBelow(-5n), 0n);
+  assert.equal(randomBigIntBelow(1n), 0n);
+  const big = (1n << 130n) + 1n;
+  let upper = 0;
+  const draws = 2000;
+  for (let i = 0; i < draws; i++) {
+    const x = randomBigIntBelow(big);
+    assert.ok(x >= 0n && x < big);
+    if (x >= big / 2n) upper++;
+  }
+  // Half of the draws should land in the upper half; 6 standard deviations of slack
+  assert.ok(Math.abs(upper - draws / 2) < 6 * Math.sqrt(draws / 4), `upper half: ${upper}/${draws}`);
+});
+
+test('rejection sampler is uniform (chi-square)', () => {
+  // 10 is not a power of two, so 6 of the 16 masked values get rejected
+  const n = 10, draws = 20000;
+  const counts = new Array(n).fill(0);
+  for (let i = 0; i < draws; i++) counts[Number(randomBigIntBelow(BigInt(n)))]++;
+  const expected = draws / n;
+  const chi2 = counts.reduce((acc, c) => acc + (c - expected) ** 2 / expected, 0);
+  // 9 degrees of freedom: P(chi2 > 46) ≈ 1e-6
+  assert.ok(chi2 < 46, `chi2 = ${chi2.toFixed(1)}, counts ${counts}`);
+});
+
+test('randomBigIntInRange is inclusive and accepts swapped bounds', () => {
+  const seen = new Set();
+  for (let i = 0; i < 300; i++) {
+    const x = randomBigIntInRange(7n, 5n);
+    assert.ok(x >= 5n && x <= 7n);
+    seen.add(x);
+  }
+  assert.deepEqual([...seen].sort(), [5n, 6n, 7n]);
+  assert.equal(randomBigIntInRange(9n, 9n), 9n);
+});
+
+test('randomPrimeInRange returns primes inside the range', () => {
+  for (let i = 0; i < 50; i++) {
+    const p = randomPrimeInRange(401n, 2000n);
+    assert.ok(p >= 401n && p <= 2000n && isProbablePrime(p), `${p}`);
+  }
+  assert.ok([5n, 7n].includes(randomPrimeInRange(2n, 7n)));
+});
+
+test('prime generators hit the requested size', () => {
+  const p = randomPrimeBits(80);
+  assert.equal(bitLength(p), 80);
+  assert.ok(isProbablePrime(p));
+  const sp = randomSafePrime(64);
+  assert.equal(bitLength(sp.p), 64);
+  assert.equal(sp.p, 2n * sp.q + 1n);
+  assert.ok(isProbablePrime(sp.p) && isProbablePrime(sp.q));
+});
+
+test('randomSmoothPrime builds p with only small factors in p-1', () => {
+  const sp = randomSmoothPrime(64);
+  assert.ok(sp !== null);
+  assert.equal(bitLength(sp.p), 64);
+  assert.ok(isProbablePrime(sp.p));
+  const { factors, cofactor } = primeFactorization(sp.p - 1n, 4096n);
+  assert.equal(cofactor, 1n);
+  assert.deepEqual(factors.map((f) => f.q), sp.factors);
+});
+
+test('randomGroup returns a generator of the advertised order', () => {
+  const small = randomGroup(24, false);
+  assert.equal(naiveOrder(small.g, small.p), small.p - 1n);
+  const big = randomGroup(64, false);
+  assert.equal(bitLength(big.p), 64);
+  assert.equal(multiplicativeOrder(big.g, big.p, big.factors.map((q) => ({ q }))), big.p - 1n);
+  for (const q of big.factors) assert.equal((big.p - 1n) % q, 0n);
+  const safe = randomGroup(48, true);
+  assert.equal(safe.p, 2n * safe.q + 1n);
+  assert.equal(modPow(safe.g, safe.q, safe.p), 1n);
+  assert.notEqual(safe.g, 1n);
+});
+
+test('factorization helpers', () => {
+  assert.deepEqual(primeFactorization(360n), { factors: [{ q: 2n, e: 3 }, { q: 3n, e: 2 }, { q: 5n, e: 1 }], cofactor: 1n });
+  assert.deepEqual(primeFactorization(1n), { factors: [], cofactor: 1n });
+  assert.deepEqual(primeFactorization(97n), { factors: [{ q: 97n, e: 1 }], cofactor: 1n });
+  // With a bound, the part that was not searched is handed back
+  const partial = primeFactorization(4n * 1000003n * 1000033n, 1000n);
+  assert.deepEqual(partial.factors, [{ q: 2n, e: 2 }]);
+  assert.equal(partial.cofactor, 1000003n * 1000033n);
+  assert.deepEqual(primeFactorsDistinct(2n * 3n * 3n * 7n), [2n, 3n, 7n]);
+});
+
+test('generators and element orders', () => {
+  for (const p of [5n, 23n, 401n, 1999n]) {
+    const g = findGenerator(p);
+    assert.equal(naiveOrder(g, p), p - 1n, `generator of ${p}`);
+    assert.equal(multiplicativeOrder(g, p, primeFactorization(p - 1n).factors), p - 1n);
+  }
+  assert.equal(multiplicativeOrder(2n, 23n, primeFactorization(22n).factors), 11n);
+  const g = findGenerator(23n, [2n, 11n]);
+  assert.equal(naiveOrder(g, 23n), 22n);
+  const h = subgroupGenerator(23n, 11n);
+  assert.equal(naiveOrder(h, 23n), 11n);
+});
+
+test('generatorInfo reports order, index and primitivity', () => {
+  const { factors, rest } = groupOrderFactors(23n);
+  assert.deepEqual(factors, [{ q: 2n, e: 1 }, { q: 11n, e: 1 }]);
+  assert.equal(rest, 1n);
+  assert.deepEqual(generatorInfo(5n, 23n, factors), {
+    order: 22n, exact: true, primitive: true, index: 1n, orderFactors: factors,
+  });
+  const minus1 = generatorInfo(22n, 23n, factors);
+  assert.equal(minus1.order, 2n);
+  assert.equal(minus1.primitive, false);
+  assert.equal(minus1.index, 11n);
+  const f401 = groupOrderFactors(401n).factors;
+  assert.deepEqual(f401, [{ q: 2n, e: 4 }, { q: 5n, e: 2 }]);
+  for (let g = 2n; g < 401n; g++) assert.equal(generatorInfo(g, 401n, f401).order, naiveOrder(g, 401n));
+  // Safe prime: the large cofactor q is recognised as prime, so the order is exact
+  const { p, q } = randomSafePrime(96);
+  const big = groupOrderFactors(p);
+  assert.deepEqual(big, { factors: [{ q: 2n, e: 1 }, { q, e: 1 }], rest: 1n });
+  assert.equal(generatorInfo(subgroupGenerator(p, q), p, big.factors).order, q);
+  // Composite leftover: the order is only a multiple of the true one
+  const r = randomPrimeBits(40), s = randomPrimeBits(40);
+  const partial = groupOrderFactors(2n * r * s + 1n, 1n << 8n, () => ({ prime: false }));
+  assert.deepEqual(partial, { factors: [{ q: 2n, e: 1 }], rest: r * s });
+  const info = generatorInfo(3n, 2n * r * s + 1n, partial.factors, partial.rest);
+  assert.equal(info.exact, false);
+  assert.notEqual(info.primitive, true);
+});
+
+test('powerCycle walks g^k until it returns to 1', () => {
+  assert.deepEqual(powerCycle(2n, 23n, 64), [1n, 2n, 4n, 8n, 16n, 9n, 18n, 13n, 3n, 6n, 12n]);
+  assert.deepEqual(powerCycle(22n, 23n, 64), [1n, 22n]);
+  assert.equal(powerCycle(5n, 23n, 22).length, 22);
+  assert.equal(powerCycle(5n, 23n, 21), null);
+  assert.equal(powerCycle(0n, 23n, 64), null);
+});
+
+test('gcd, modInverse and crt', () => {
+  assert.equal(gcd(-12n, 18n), 6n);
+  assert.equal(gcd(0n, 5n), 5n);
+  assert.equal(modInverse(3n, 11n), 4n);
+  assert.equal(modInverse(-3n, 11n), 7n);
+  assert.equal(modInverse(6n, 9n), null);
+  assert.equal(crt([2n, 3n, 2n], [3n, 5n, 7n]), 23n);
+  assert.equal(crt([], []), 0n);
+});
+
+test('bitLength and hexBig', () => {
+  assert.equal(bitLength(0n), 0);
+  assert.equal(bitLength(1n), 1);
+  assert.equal(bitLength(255n), 8);
+  assert.equal(hexBig('FF 01\n 00'), 0xff0100n);
+});
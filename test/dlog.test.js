@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { modPow, randomSmoothPrime, randomSafePrime, findGenerator, subgroupGenerator } from '../lib/dh-math.js';
+import { dlogBruteForce, dlogBSGS, dlogPollardRho, dlogPohligHellman, smoothFactorization } from '../lib/dlog.js';
+import { smoothnessWarning } from '../lib/validate.js';
+
+const METHODS = { dlogBruteForce, dlogBSGS, dlogPollardRho, dlogPohligHellman };
+
+test('every method recovers the secret in a small group', () => {
+  const p = 2003n, g = 5n, x = 1234n;
+  const h = modPow(g, x, p);
+  for (const [name, run] of Object.entries(METHODS)) {
+    const res = run(g, h, p, 100000);
+    assert.equal(res.status, 'found', name);
+    assert.equal(modPow(g, res.x, p), h, name);
+    assert.ok(res.ops > 0 && res.log.length > 0, name);
+  }
+});
+
+test('the operation limit stops a search', () => {
+  const p = 1000003n, g = findGenerator(p);
+  const h = modPow(g, 999000n, p);
+  const res = dlogBruteForce(g, h, p, 1000);
+  assert.equal(res.status, 'limit');
+  assert.equal(res.x, null);
+});
+
+test('BSGS works inside a prime-order subgroup', () => {
+  const p = 2039n, q = 1019n; // safe prime
+  const g = subgroupGenerator(p, q);
+  const h = modPow(g, 777n, p);
+  const res = dlogBSGS(g, h, p, 100000, q);
+  assert.equal(res.status, 'found');
+  assert.equal(res.x % q, 777n);
+});
+
+test('Pohlig–Hellman breaks a smooth 64-bit prime and reports each subgroup', () => {
+  const sp = randomSmoothPrime(64);
+  const g = findGenerator(sp.p, sp.factors);
+  const x = (sp.p - 1n) / 3n + 12345n;
+  const h = modPow(g, x, sp.p);
+  const res = dlogPohligHellman(g, h, sp.p, 2000000);
+  assert.equal(res.status, 'found');
+  assert.equal(res.x, x);
+  for (const part of res.parts) assert.equal(part.x, x % part.mod);
+});
+
+test('Pohlig–Hellman gives up when p-1 has a large prime factor', () => {
+  const { p, q } = randomSafePrime(64);
+  const g = subgroupGenerator(p, q);
+  const res = dlogPohligHellman(g, modPow(g, 99n, p), p, 2000000);
+  assert.equal(res.status, 'fail');
+  assert.deepEqual(res.parts, []);
+});
+
+test('the smoothness warning and Pohlig–Hellman agree on a composite cofactor', () => {
+  // p - 1 = 2 · 7 · 65537 · 65539: both primes are beyond trial division, their product above 2^32
+  const p = 60133212203n;
+  assert.equal(smoothFactorization(p - 1n), null);
+  assert.equal(smoothnessWarning(p), '');
+  assert.equal(dlogPohligHellman(3n, modPow(3n, 99n, p), p, 2000000).status, 'fail');
+  const sp = randomSmoothPrime(64);
+  assert.deepEqual(smoothFactorization(sp.p - 1n).map((f) => f.q).sort((x, y) => (x < y ? -1 : 1)),
+    [...sp.factors].sort((x, y) => (x < y ? -1 : 1)));
+  assert.notEqual(smoothnessWarning(sp.p), '');
+});
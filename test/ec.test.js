@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ecOnCurve, ecNeg, ecAdd, ecMul, CURVES } from '../lib/ec.js';
+import { hexBig, isProbablePrime } from '../lib/dh-math.js';
+
+const curve = (id) => CURVES.find((c) => c.id === id);
+
+test('base points lie on their curves and have prime order n', () => {
+  for (const C of CURVES) {
+    assert.ok(ecOnCurve(C.G, C), `${C.id} G`);
+    assert.ok(isProbablePrime(C.n), `${C.id} n`);
+    assert.equal(ecMul(C.n, C.G, C), null, `${C.id} n·G = O`);
+    assert.deepEqual(ecMul(C.n - 1n, C.G, C), ecNeg(C.G, C), `${C.id} (n-1)·G = -G`);
+  }
+});
+
+test('teaching curves have exactly n points', () => {
+  for (const C of CURVES.filter((c) => c.plot)) {
+    let count = 1; // O
+    for (let x = 0n; x < C.p; x++) {
+      for (let y = 0n; y < C.p; y++) if (ecOnCurve({ x, y }, C)) count++;
+    }
+    assert.equal(BigInt(count), C.n, C.id);
+  }
+});
+
+test('point addition follows the group laws', () => {
+  const C = curve('toy97');
+  const P = ecMul(5n, C.G, C), Q = ecMul(11n, C.G, C), R = ecMul(30n, C.G, C);
+  assert.deepEqual(ecAdd(P, Q, C), ecAdd(Q, P, C));
+  assert.deepEqual(ecAdd(ecAdd(P, Q, C), R, C), ecAdd(P, ecAdd(Q, R, C), C));
+  assert.deepEqual(ecAdd(P, null, C), P);
+  assert.equal(ecAdd(P, ecNeg(P, C), C), null);
+  assert.deepEqual(ecAdd(P, P, C), ecMul(10n, C.G, C));
+  assert.deepEqual(ecMul(-3n, C.G, C), ecNeg(ecMul(3n, C.G, C), C));
+  assert.equal(ecMul(0n, C.G, C), null);
+});
+
+test('P-256 matches the published multiples of G', () => {
+  const C = curve('p256');
+  assert.deepEqual(ecMul(2n, C.G, C), {
+    x: hexBig('7CF27B18 8D034F7E 8A523803 04B51AC3 C08969E2 77F21B35 A60B48FC 47669978'),
+    y: hexBig('07775510 DB8ED040 293D9AC6 9F7430DB BA7DADE6 3CE98229 9E04B79D 227873D1'),
+  });
+  assert.deepEqual(ecMul(3n, C.G, C), {
+    x: hexBig('5ECBE4D1 A6330A44 C8F7EF95 1D4BF165 E6C6B721 EFADA985 FB41661B C6E7FD6C'),
+    y: hexBig('8734640C 4998FF7E 374B06CE 1A64A2EC D82AB036 384FB83D 9A79B127 A27D5032'),
+  });
+});
+
+test('ECDH: both sides reach the same point', () => {
+  for (const C of CURVES) {
+    const a = C.n / 3n + 1n, b = C.n / 2n + 3n;
+    const A = ecMul(a, C.G, C), B = ecMul(b, C.G, C);
+    assert.deepEqual(ecMul(a, B, C), ecMul(b, A, C), C.id);
+  }
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NUMBER_FORMATS, MAX_BITS, formatBigInt, parseBigIntAs } from '../lib/format.js';
+import { STANDARD_GROUPS } from '../lib/groups.js';
+
+const SAMPLES = [0n, 1n, 23n, 255n, 256n, (1n << 127n) - 1n, STANDARD_GROUPS[0].p];
+
+test('every format round-trips', () => {
+  for (const { id } of NUMBER_FORMATS) {
+    for (const v of SAMPLES) {
+      assert.deepEqual(parseBigIntAs(formatBigInt(v, id), id), { ok: true, value: v }, `${id} ${v}`);
+    }
+  }
+});
+
+test('known encodings', () => {
+  assert.equal(formatBigInt(255n, 'hex'), '0xFF');
+  assert.equal(formatBigInt(5n, 'bin'), '0b101');
+  assert.equal(formatBigInt(0n, 'b64'), 'AA==');
+  assert.equal(formatBigInt(0x010001n, 'b64'), 'AQAB'); // RSA exponent 65537 as in JWKs
+  assert.equal(parseBigIntAs('AQAB', 'b64').value, 65537n);
+  assert.equal(parseBigIntAs('_w', 'b64').value, 0xffn); // URL-safe, no padding
+});
+
+test('pasted values with whitespace and colons', () => {
+  const openssl = `
+    00:ff:ff:ff:ff:ff:ff:ff:ff:c9:0f:
+    da:a2:21:68:c2:34`;
+  assert.equal(parseBigIntAs(openssl, 'hex').value, 0xffffffffffffffffc90fdaa22168c234n);
+  assert.equal(parseBigIntAs('FFFFFFFF FFFFFFFF\n C90FDAA2', 'hex').value, 0xffffffffffffffffc90fdaa2n);
+  assert.equal(parseBigIntAs(' 1000003\n', 'dec').value, 1000003n);
+  // Decimal takes digits only: no separators inside the number
+  assert.equal(parseBigIntAs('1:2', 'dec').ok, false);
+  assert.equal(parseBigIntAs('1 000 003', 'dec').ok, false);
+});
+
+test('0x and 0b prefixes pick hex or binary, but not in decimal or base64', () => {
+  assert.equal(parseBigIntAs('0x1F', 'dec').error, 'Masukkan hanya angka desimal.');
+  assert.equal(parseBigIntAs('0b11', 'dec').ok, false);
+  assert.equal(parseBigIntAs('0x1F', 'hex').value, 31n);
+  assert.equal(parseBigIntAs('0b11', 'bin').value, 3n);
+  assert.equal(parseBigIntAs('0x1F', 'bin').value, 31n);
+  assert.equal(parseBigIntAs('0b11', 'hex').value, 0xb11n);
+  assert.equal(parseBigIntAs('0x1F', 'b64').value, 0xd31d45n);
+});
+
+test('invalid input gets a message in the selected format', () => {
+  assert.equal(parseBigIntAs('12a', 'dec').error, 'Masukkan hanya angka desimal.');
+  assert.match(parseBigIntAs('0xG1', 'bin').error, /heksadesimal/);
+  assert.match(parseBigIntAs('102', 'bin').error, /biner/);
+  for (const s of ['', 'A', '!!', 'AB=C']) assert.match(parseBigIntAs(s, 'b64').error, /base64/, s);
+  assert.match(parseBigIntAs(`0x1${'0'.repeat(Math.ceil(MAX_BITS / 4))}`, 'hex').error, /terlalu panjang/);
+});
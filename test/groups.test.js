@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { modPow, isProbablePrime, bitLength } from '../lib/dh-math.js';
+import { STANDARD_GROUPS } from '../lib/groups.js';
+
+test('every standard group is listed once with its size in the name', () => {
+  const ids = STANDARD_GROUPS.map((grp) => grp.id);
+  assert.deepEqual(ids, ['modp1536', 'modp2048', 'modp3072', 'ffdhe2048', 'ffdhe3072', 'ffdhe4096']);
+  for (const grp of STANDARD_GROUPS) {
+    assert.ok(grp.name.includes(String(bitLength(grp.p))), grp.name);
+  }
+});
+
+test('standard groups have the RFC structure', () => {
+  const ones = (1n << 64n) - 1n;
+  for (const grp of STANDARD_GROUPS) {
+    const bits = bitLength(grp.p);
+    // Both RFCs fix the top and bottom 64 bits to 1
+    assert.equal(grp.p >> BigInt(bits - 64), ones, `${grp.id} top bits`);
+    assert.equal(grp.p & ones, ones, `${grp.id} bottom bits`);
+    assert.equal(grp.g, 2n);
+    assert.equal(grp.q, (grp.p - 1n) / 2n);
+    // p ≡ 7 (mod 8), so 2 is a square and lies in the subgroup of order q
+    assert.equal(modPow(grp.g, grp.q, grp.p), 1n, `${grp.id} g^q`);
+  }
+});
+
+// The slowest test in the suite: about 10 s for all six, dominated by ffdhe4096
+test('standard groups are safe primes', () => {
+  for (const grp of STANDARD_GROUPS) {
+    assert.ok(isProbablePrime(grp.q), `${grp.id} q`);
+    assert.ok(isProbablePrime(grp.p), `${grp.id} p`);
+  }
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LANGUAGES, DEFAULT_LANGUAGE, setLanguage, getLanguage, numberLocale, t, pickLanguage } from '../lib/i18n.js';
+import { messages as id } from '../lib/locales/id.js';
+import { messages as en } from '../lib/locales/en.js';
+import { parseBigIntDec } from '../lib/validate.js';
+
+const placeholders = (msg) => [...msg.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+
+test('catalogs have the same keys and placeholders', () => {
+  assert.deepEqual(Object.keys(en).sort(), Object.keys(id).sort());
+  for (const key of Object.keys(id)) {
+    assert.deepEqual(placeholders(en[key]), placeholders(id[key]), key);
+  }
+});
+
+test('t substitutes params and falls back to the key', () => {
+  setLanguage('en');
+  assert.equal(t('param.bits', { bits: 16 }), en['param.bits'].replace('{bits}', '16'));
+  assert.equal(t('param.bits'), en['param.bits']); // unknown params stay as written
+  assert.equal(t('tidak.ada'), 'tidak.ada');
+  setLanguage('id');
+  assert.equal(t('param.bits', { bits: 16 }), id['param.bits'].replace('{bits}', '16'));
+});
+
+test('lib messages follow the language', () => {
+  setLanguage('en');
+  const inEnglish = parseBigIntDec('12a');
+  setLanguage('id');
+  assert.equal(inEnglish.error, en['validate.decimalOnly']);
+  assert.equal(parseBigIntDec('12a').error, id['validate.decimalOnly']);
+});
+
+test('setLanguage and pickLanguage', () => {
+  assert.equal(setLanguage('en'), 'en');
+  assert.equal(getLanguage(), 'en');
+  assert.equal(numberLocale(), 'en-US');
+  assert.equal(setLanguage('fr'), DEFAULT_LANGUAGE);
+  assert.equal(numberLocale(), 'id-ID');
+  assert.equal(pickLanguage(['en-GB', 'id']), 'en');
+  assert.equal(pickLanguage([null, 'fr-FR', 'ID']), 'id');
+  assert.equal(pickLanguage([undefined, 'de']), DEFAULT_LANGUAGE);
+  assert.equal(pickLanguage([]), DEFAULT_LANGUAGE);
+  assert.deepEqual(LANGUAGES.map((l) => l.id), ['id', 'en']);
+  setLanguage(DEFAULT_LANGUAGE);
+});
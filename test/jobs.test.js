@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JOBS, runJob } from '../lib/jobs.js';
+import { modPow, isProbablePrime, primalityVerdict, bitLength } from '../lib/dh-math.js';
+
+// g generates a subgroup of order (p-1)/index, checked against the distinct primes of p-1
+function assertOrder(p, g, factors, index = 1n) {
+  const order = (p - 1n) / index;
+  assert.equal(modPow(g, order, p), 1n);
+  for (const q of factors) {
+    if (order % q === 0n) assert.notEqual(modPow(g, order / q, p), 1n, `g=${g} q=${q}`);
+  }
+}
+
+test('group job: demo range and bit sizes, with the factors of p-1', () => {
+  const demo = JOBS.group({ bits: 0, safe: false });
+  assert.ok(demo.p >= 401n && demo.p <= 2000n && isProbablePrime(demo.p));
+  assertOrder(demo.p, demo.g, demo.factors);
+  const demoSafe = JOBS.group({ bits: 0, safe: true });
+  assert.deepEqual(demoSafe.factors, [2n, (demoSafe.p - 1n) / 2n]);
+  assertOrder(demoSafe.p, demoSafe.g, demoSafe.factors, 2n);
+  for (const safe of [false, true]) {
+    const grp = JOBS.group({ bits: 64, safe });
+    assert.equal(bitLength(grp.p), 64);
+    assert.deepEqual(grp.verdict, primalityVerdict(grp.p));
+    assertOrder(grp.p, grp.g, grp.factors, safe ? 2n : 1n);
+  }
+});
+
+test('group job with a certificate, and the tests option', () => {
+  const grp = JOBS.group({ bits: 128, safe: true, certify: true });
+  assert.equal(grp.verdict.certainty, 'proven');
+  assert.equal(grp.verdict.certificate.n, grp.p);
+  assert.equal(grp.verdict.certificate.F.n, grp.factors[1]);
+  assertOrder(grp.p, grp.g, grp.factors, 2n);
+  const plain = JOBS.group({ bits: 128, safe: true, tests: { rounds: 3, lucas: false } });
+  assert.equal(plain.verdict.certainty, 'probabilistic');
+  assert.equal(plain.verdict.rounds, 4);
+  assert.equal(JOBS.checkP({ p: plain.p, factor: false, tests: { rounds: 0 } }).verdict.certainty, 'bpsw');
+});
+
+test('smooth and checkP jobs', () => {
+  const sp = JOBS.smooth({ bits: 64 });
+  assert.ok(sp.verdict.prime && sp.factors.every((q) => q < 4096n));
+  assertOrder(sp.p, sp.g, sp.factors);
+  const safe = 2n * 1019n + 1n; // 2039, 1019 prime
+  assert.deepEqual(JOBS.checkP({ p: safe, factor: true }).order, { factors: [{ q: 2n, e: 1 }, { q: 1019n, e: 1 }], rest: 1n });
+  assert.equal(JOBS.checkP({ p: safe, factor: false }).order, null);
+  const composite = JOBS.checkP({ p: 561n, factor: true });
+  assert.equal(composite.verdict.prime, false);
+  assert.equal(composite.order, null);
+});
+
+test('runJob reports candidates and Miller–Rabin rounds', () => {
+  const seen = [];
+  const { result, progress } = runJob('group', { bits: 128, safe: false }, (p) => seen.push(p), 0);
+  assert.equal(bitLength(result.p), 128);
+  assert.ok(progress.candidates > 0 && progress.rounds > 0);
+  assert.ok(seen.length > 0);
+  for (let i = 1; i < seen.length; i++) assert.ok(seen[i].rounds >= seen[i - 1].rounds);
+  // The listener is gone once the job is over, and the next job counts from zero
+  isProbablePrime(result.p);
+  assert.deepEqual(runJob('checkP', { p: 13n, factor: false }).progress, { candidates: 0, rounds: 0 });
+  assert.throws(() => runJob('toString', {}), /Unknown job/);
+});
+
+test('eve job runs each requested discrete log search', () => {
+  const { rows, rate } = JOBS.eve({ methods: ['brute', 'bsgs', 'ph'], g: 5n, h: 8n, p: 23n, limit: 1000, lang: 'id' });
+  assert.deepEqual(rows.map((r) => r.method), ['brute', 'bsgs', 'ph']);
+  for (const { res, ms } of rows) {
+    assert.equal(modPow(5n, res.x, 23n), 8n);
+    assert.ok(ms >= 0 && res.log.length > 0);
+  }
+  assert.ok(rate > 0);
+  assert.throws(() => JOBS.eve({ methods: ['nope'], g: 5n, h: 8n, p: 23n, limit: 10, lang: 'id' }), /Unknown method/);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QUIZ_LEVELS, QUIZ_HINTS, QUIZ_MAX_POINTS, quizParams, gradeAnswer, quizPoints } from '../lib/quiz.js';
+import { modPow, isProbablePrime, generatorInfo, groupOrderFactors } from '../lib/dh-math.js';
+
+test('quizParams stays inside the level and picks a primitive root', () => {
+  for (const level of QUIZ_LEVELS) {
+    for (let i = 0; i < 5; i++) {
+      const { p, g, a, b } = quizParams(level.id);
+      assert.ok(p >= level.min && p <= level.max && isProbablePrime(p), `${level.id} p=${p}`);
+      const { factors, rest } = groupOrderFactors(p);
+      assert.equal(generatorInfo(g, p, factors, rest).primitive, true, `${level.id} g=${g}`);
+      for (const k of [a, b]) assert.ok(k >= 2n && k <= p - 2n);
+    }
+  }
+  assert.ok(quizParams('tidak-ada').p <= QUIZ_LEVELS[0].max);
+});
+
+test('gradeAnswer checks against modPow', () => {
+  const q = { base: 5n, exp: 6n, mod: 23n }; // 5^6 mod 23 = 8
+  assert.equal(modPow(5n, 6n, 23n), 8n);
+  assert.deepEqual(gradeAnswer('8', q), { ok: true, verdict: 'correct' });
+  assert.deepEqual(gradeAnswer(' 0x8 ', q, 'hex'), { ok: true, verdict: 'correct' });
+  assert.deepEqual(gradeAnswer('0b1000', q, 'bin'), { ok: true, verdict: 'correct' });
+  assert.deepEqual(gradeAnswer('31', q), { ok: true, verdict: 'unreduced' });
+  assert.deepEqual(gradeAnswer('15625', q), { ok: true, verdict: 'unreduced' }); // 5^6 itself
+  assert.deepEqual(gradeAnswer('9', q), { ok: true, verdict: 'wrong' });
+  assert.equal(gradeAnswer('', q).ok, false);
+  assert.equal(gradeAnswer('delapan', q).ok, false);
+});
+
+test('quizPoints drops one point per hint', () => {
+  assert.equal(QUIZ_HINTS[QUIZ_HINTS.length - 1], 'answer');
+  assert.equal(quizPoints(0), QUIZ_MAX_POINTS);
+  assert.equal(quizPoints(1), QUIZ_MAX_POINTS - 1);
+  assert.equal(quizPoints(QUIZ_HINTS.length), 0);
+  assert.equal(quizPoints(QUIZ_HINTS.length + 2), 0);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION, encodeValue, htmlToText, compareTranscripts,
+  transcriptToState, compareRuns, transcriptToMarkdown, transcriptToLatex,
+} from '../lib/transcript.js';
+
+function sample() {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    protocol: 'dh',
+    curve: null,
+    flow: 'dh',
+    flowName: 'DH dua pihak',
+    parties: 2,
+    numberFormat: 'dec',
+    verbose: false,
+    step: 3,
+    totalSteps: 11,
+    params: { p: '23', g: '5', a: '6', b: '15' },
+    results: { A: '8' },
+    steps: [
+      { n: 1, id: 'params', title: 'Pilih parameter publik', short: 'Pilih p dan g.', long: 'p = 23, g = 5.', calc: 'p = 23, g = 5' },
+      { n: 2, id: 'secretA', title: 'Alice memilih rahasia a', short: 'Rahasia a.', long: '2 ≤ a ≤ p−2', calc: 'a = 6' },
+      { n: 3, id: 'publicA', title: 'Alice menghitung A', short: 'Hitung A = g^a mod p.', long: 'A & co_1', calc: 'A = 5^6 mod 23 = 8' },
+    ],
+  };
+}
+
+test('encodeValue handles numbers, points, infinity and key lists', () => {
+  assert.equal(encodeValue(8n), '8');
+  assert.deepEqual(encodeValue({ x: 3n, y: 4n }), { x: '3', y: '4' });
+  assert.equal(encodeValue(null), null);
+  assert.deepEqual(encodeValue([1n, 2n]), ['1', '2']);
+});
+
+test('htmlToText keeps exponents, subscripts and line breaks readable', () => {
+  assert.equal(htmlToText('<code>A = 5<sup>6</sup> mod 23 = <span class="value">8</span></code>'), 'A = 5^6 mod 23 = 8');
+  assert.equal(htmlToText('x<sub>i</sub> &amp; B<sup>Bg==</sup>'), 'x_i & B^(Bg==)');
+  assert.equal(htmlToText('<div>a</div><div>  b   c </div>'), 'a\nb c');
+  assert.equal(htmlToText('<code>x</code><br>y'), 'x\ny');
+});
+
+test('an unchanged transcript is consistent', () => {
+  assert.deepEqual(compareTranscripts(sample(), sample()), []);
+});
+
+test('changed values and step texts are reported', () => {
+  const t = sample();
+  t.results.A = '9';
+  t.results.S1 = '2';
+  t.steps[2].calc = 'A = 5^6 mod 23 = 9';
+  t.steps[0].title = 'x';
+  assert.deepEqual(compareTranscripts(t, sample()), [
+    'A: tertulis 9, hasil hitung ulang 8',
+    'S1: tertulis 2, belum terlihat pada langkah 3',
+    'langkah 1 (params): judul berbeda',
+    'langkah 3 (publicA): perhitungan berbeda',
+  ]);
+  const short = sample();
+  short.steps.pop();
+  short.flow = 'mitm';
+  assert.deepEqual(compareTranscripts(short, sample()), ['alur: tertulis mitm, seharusnya dh', 'jumlah langkah tercatat: 2, seharusnya 3']);
+});
+
+test('an answer hidden by an open practice question is not reported as missing', () => {
+  const t = sample();
+  delete t.results.A;
+  t.steps[2] = { ...t.steps[2], calc: 'A = g^a mod p = ?', hidden: 'A' };
+  assert.deepEqual(compareTranscripts(t, sample()), []);
+  t.steps[2].title = 'x';
+  assert.deepEqual(compareTranscripts(t, sample()), ['langkah 3 (publicA): judul berbeda']);
+});
+
+test('Markdown lists parameters, results and steps', () => {
+  const md = transcriptToMarkdown(sample());
+  assert.match(md, /^# Transkrip Diffie–Hellman/);
+  assert.match(md, /\| p \| `23` \|/);
+  assert.match(md, /\| A \| `8` \|/);
+  assert.match(md, /### 3\. Alice menghitung A\n\nHitung A = g\^a mod p\.\n\n```text\nA = 5\^6 mod 23 = 8\n```/);
+  const verbose = transcriptToMarkdown({ ...sample(), verbose: true });
+  assert.match(verbose, /2 ≤ a ≤ p−2/);
+  assert.doesNotMatch(md, /Pemeriksaan penerima/);
+  const checked = transcriptToMarkdown({ ...sample(), checks: ['range', 'subgroup'] });
+  assert.match(checked, /- Pemeriksaan penerima: rentang, subgrup\n/);
+});
+
+test('LaTeX escapes special characters and maps symbols', () => {
+  const tex = transcriptToLatex({ ...sample(), verbose: true });
+  assert.match(tex, /^\\documentclass\{article\}/);
+  assert.match(tex, /\\end\{document\}\n$/);
+  assert.ok(tex.includes('\\texttt{A = 5\\textsuperscript{6} mod 23 = 8}'));
+  assert.ok(tex.includes('2 $\\le$ a $\\le$ p$-$2'));
+  assert.ok(tex.includes('A \\& co\\textsubscript{1}'));
+  const sub = transcriptToLatex({ ...sample(), steps: [{ ...sample().steps[0], short: 'S ∈ ⟨B⟩' }] });
+  assert.ok(sub.includes('S $\\in$ $\\langle$B$\\rangle$'));
+  const big = transcriptToLatex({ ...sample(), params: { p: '1'.repeat(40) } });
+  assert.ok(big.includes(`\\seqsplit{${'1'.repeat(40)}}`));
+});
+
+test('transcriptToState gives the hash the page opens', () => {
+  assert.equal(transcriptToState(sample()).toString(), 'mode=dh&p=23&g=5&a=6&b=15&n=2&step=3&fmt=dec');
+  const mitm = { ...sample(), flow: 'mitm', checks: ['order'], verbose: true, numberFormat: null };
+  const h = transcriptToState(mitm);
+  assert.equal(h.get('mitm'), '1');
+  assert.equal(h.get('check'), 'order');
+  assert.equal(h.get('verbose'), '1');
+  assert.equal(h.has('fmt'), false);
+});
+
+test('compareRuns lines up params and results and marks the differences', () => {
+  const a = sample();
+  const b = { ...sample(), params: { p: '23', g: '5', a: '7', b: '15' }, results: { A: '17', K: ['1', '2'] } };
+  const rows = compareRuns([a, b]);
+  assert.deepEqual(rows.map((r) => `${r.section}.${r.name}:${r.same}`),
+    ['params.p:true', 'params.g:true', 'params.a:false', 'params.b:true', 'results.A:false', 'results.K:false']);
+  assert.deepEqual(rows.at(-1).values, [undefined, ['1', '2']]);
+  assert.equal(compareRuns([a, sample()]).every((r) => r.same), true);
+});
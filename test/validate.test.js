@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseBigIntDec, describeVerdict, smoothnessWarning, validateDh, validateEcdh, publicValueChecks, MAX_DIGITS,
+} from '../lib/validate.js';
+import { modPow, primalityVerdict, randomSmoothPrime, randomSafePrime, smallOrderElement } from '../lib/dh-math.js';
+import { CURVES } from '../lib/ec.js';
+import { provableSafePrime, certificateVerdict } from '../lib/certificate.js';
+
+test('parseBigIntDec accepts trimmed decimal only', () => {
+  assert.deepEqual(parseBigIntDec(' 123 '), { ok: true, value: 123n });
+  for (const s of ['', '-5', '0x10', '1e3', '12 34', null]) assert.equal(parseBigIntDec(s).ok, false, `${s}`);
+  assert.match(parseBigIntDec('9'.repeat(MAX_DIGITS + 1)).error, /terlalu panjang/);
+});
+
+test('validateDh checks p, g and every secret in order', () => {
+  const secrets = (a, b) => [['a', a], ['b', b]];
+  assert.equal(validateDh({ p: 2n, g: 1n, secrets: [] }).message, 'p harus >= 3.');
+  assert.equal(validateDh({ p: 25n, g: 2n, secrets: [] }).message, 'p bukan prima (habis dibagi 5).');
+  assert.equal(validateDh({ p: 23n, g: 23n, secrets: [] }).message, 'g harus dalam rentang 2 .. p-1.');
+  assert.equal(validateDh({ p: 23n, g: 5n, secrets: secrets(6n, 22n) }).message, 'b harus dalam rentang 2 .. p-2.');
+  assert.equal(validateDh({ p: 23n, g: 5n, secrets: [['x3', 1n]] }).message, 'x3 harus dalam rentang 2 .. p-2.');
+  const ok = validateDh({ p: 23n, g: 5n, secrets: secrets(6n, 15n) });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.message, `Parameter valid.\n${describeVerdict(primalityVerdict(23n))}`);
+});
+
+test('validateDh uses the verdict callback it is given', () => {
+  let calls = 0;
+  const verdictOf = (p) => { calls++; return primalityVerdict(p); };
+  validateDh({ p: 23n, g: 5n, secrets: [] }, verdictOf);
+  assert.equal(calls, 1);
+});
+
+test('describeVerdict reports how strong the verdict is', () => {
+  const m89 = (1n << 89n) - 1n;
+  assert.match(describeVerdict(primalityVerdict(23n)), /^p prima \(pasti/);
+  assert.match(describeVerdict(primalityVerdict(m89)), /Baillie–PSW .* 16 putaran .* 2\^−32\.$/);
+  assert.match(describeVerdict(primalityVerdict(m89, { rounds: 0 })), /Baillie–PSW/);
+  assert.doesNotMatch(describeVerdict(primalityVerdict(m89, { rounds: 0 })), /putaran/);
+  assert.match(describeVerdict(primalityVerdict(m89, { lucas: false, rounds: 8 })), /4\^−8 = 2\^−16/);
+  assert.match(describeVerdict(primalityVerdict(m89, { lucas: false, rounds: 0 }), 'q'), /^q lolos Miller–Rabin basis 2 saja/);
+  assert.match(describeVerdict(primalityVerdict(3317044064679887385961981n)), /Lucas kuat dengan D = /);
+  const { certificate } = provableSafePrime(128);
+  assert.match(describeVerdict(certificateVerdict(certificate)), /^p terbukti prima: .* \(5 langkah\)/); // p, q, F and two smaller primes
+});
+
+test('smooth p-1 triggers the Pohlig–Hellman warning, safe primes do not', () => {
+  const smooth = randomSmoothPrime(64);
+  assert.match(smoothnessWarning(smooth.p), /Pohlig–Hellman/);
+  assert.match(validateDh({ p: smooth.p, g: 2n, secrets: [] }).message, /Peringatan/);
+  assert.equal(smoothnessWarning(randomSafePrime(64).p), '');
+  assert.equal(smoothnessWarning(1000003n), '');
+});
+
+test('publicValueChecks rejects low-order values', () => {
+  // p = 23 = 2·11 + 1, g = 2 has order 11
+  assert.deepEqual(publicValueChecks(modPow(2n, 7n, 23n), 23n, 11n), { range: true, subgroup: true });
+  assert.deepEqual(publicValueChecks(1n, 23n, 11n), { range: false, subgroup: true });
+  assert.deepEqual(publicValueChecks(22n, 23n, 11n), { range: false, subgroup: false });
+  assert.deepEqual(publicValueChecks(5n, 23n, 11n), { range: true, subgroup: false });
+  assert.deepEqual(publicValueChecks(0n, 23n), { range: false, subgroup: null });
+  // p = 401, p-1 = 2^4·5^2: an element of order 5 passes the range check
+  const { h } = smallOrderElement(401n, 5n);
+  assert.equal(modPow(h, 5n, 401n), 1n);
+  assert.deepEqual(publicValueChecks(h, 401n), { range: true, subgroup: null });
+  assert.deepEqual(smallOrderElement(401n, 2n), { h: 400n, t: 3n });
+  assert.equal(smallOrderElement(401n, 3n), null);
+});
+
+test('validateEcdh keeps scalars in 1..n-1', () => {
+  const curve = CURVES.find((c) => c.id === 'toy17');
+  assert.equal(validateEcdh(curve, [['a', 0n]]).ok, false);
+  assert.equal(validateEcdh(curve, [['a', 1n], ['b', curve.n]]).message, `b harus dalam rentang 1 .. n-1 (n = ${curve.n}).`);
+  assert.equal(validateEcdh(curve, [['a', 1n], ['b', curve.n - 1n]]).message, `Parameter valid (${curve.name}).`);
+});